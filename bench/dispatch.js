@@ -0,0 +1,53 @@
+/**
+ * Measures how fast incoming messages are dispatched to the object
+ * model on a large set.
+ *
+ *   $ node bench/dispatch.js [tracks] [scenes] [messages]
+ */
+
+var EventEmitter = require('events').EventEmitter;
+
+var LiveOSC = require('../index');
+
+var numTracks = parseInt(process.argv[2], 10) || 16;
+var numScenes = parseInt(process.argv[3], 10) || 64;
+var numMessages = parseInt(process.argv[4], 10) || 100000;
+
+var receiver = new EventEmitter();
+var liveosc = new LiveOSC({
+  emitter: {emit: function () {}},
+  receiver: receiver,
+  heartbeatInterval: 0
+});
+
+function send() {
+  var args = Array.prototype.slice.call(arguments, 0);
+  receiver.emit.apply(receiver, ['message'].concat(args));
+  receiver.emit.apply(receiver, args);
+}
+
+send('/live/tracks', numTracks);
+send('/live/scenes', numScenes);
+for (var i = 0; i < numTracks; i++) {
+  send('/live/devicelist', i, 0, 'EQ Eight', 1, 'Reverb');
+}
+
+var start = process.hrtime();
+for (var n = 0; n < numMessages; n++) {
+  var trackId = n % numTracks;
+  if (n % 2) {
+    send('/live/clip/loopstart', trackId, n % numScenes, n % 16);
+  } else {
+    send('/live/device/param', trackId, n % 2, 1, n % 100 / 100, 'Dry/Wet');
+  }
+}
+var elapsed = process.hrtime(start);
+var ms = elapsed[0] * 1e3 + elapsed[1] / 1e6;
+
+console.log(
+  numTracks + ' tracks x ' + numScenes + ' scenes: ' +
+  numMessages + ' messages in ' + ms.toFixed(1) + 'ms (' +
+  Math.round(numMessages / ms * 1000) + ' msg/s)'
+);
+
+liveosc.close();
@@ -3,10 +3,17 @@
  * @author Tom Dinchak <dinchak@gmail.com>
  */
 
-var chalk = require('chalk');
+var _ = require('underscore');
+var emitter = require('./lib/emitter');
 var OscReceiver = require('osc-receiver');
 var OscEmitter = require('osc-emitter');
+var Router = require('./lib/router');
 var Song = require('./lib/song');
+var errors = require('./lib/errors');
+var protocol = require('./lib/protocol');
+var Logger = require('./lib/logger');
+var Snapshot = require('./lib/snapshot');
+var Inspector = require('./lib/inspector');
 
 /**
  * LiveOSC sets up communication with LiveOSC and holds the song object.
@@ -17,7 +24,23 @@ var Song = require('./lib/song');
  * opts.port = port to listen on, default 9006
  * opts.liveHost = host live is running on, default 127.0.0.1
  * opts.livePort = port live is listening on, default 9005
- * opts.waitTime = time to wait before sending ready event
+ * opts.refreshTimeout = time to wait for a refresh to complete, default 10000
+ * opts.timeout = time to wait for a reply to a query, default 2000
+ * opts.heartbeatInterval = time between heartbeats, default 1000, 0 to disable
+ * opts.heartbeatMisses = missed heartbeats before disconnecting, default 3
+ * opts.offline = 'queue' to send setter calls made while disconnected once
+ *   connected, 'reject' to reject them, default 'queue'
+ * opts.outOfRange = what device.set() does with values outside the
+ *   parameter range, 'warn' to clamp and log a warning, 'clamp' to clamp
+ *   silently, 'reject' to report a ParameterRangeError, default 'warn'
+ * opts.logger = Logger options, or any object with a log(level, msg, fields)
+ *   method, false to disable logging, default a Logger at warn level
+ * opts.lookahead = time in milliseconds scheduled callbacks run before
+ *   their beat, so the messages they send reach Live in time, default 25
+ * opts.phraseLength = number of bars in a phrase, default 4
+ * opts.debug = log all OSC traffic at debug level
+ * opts.emitter = emitter used to send messages, default OscEmitter
+ * opts.receiver = receiver of incoming messages, default OscReceiver bound to opts.port
  * @constructor
  * @param {Object} opts options
  */
@@ -27,34 +50,432 @@ var LiveOSC = function (opts) {
   this.port = opts.port || 9006;
   this.liveHost = opts.liveHost || '127.0.0.1';
   this.livePort = opts.livePort || 9005;
-  this.waitTime = opts.waitTime || 1000;
+  this.refreshTimeout = opts.refreshTimeout || 10000;
+  this.timeout = opts.timeout || 2000;
   this.debug = opts.debug || false;
+  this.heartbeatInterval = typeof opts.heartbeatInterval != 'undefined' ? opts.heartbeatInterval : 1000;
+  this.heartbeatMisses = opts.heartbeatMisses || 3;
+  this.offline = opts.offline || 'queue';
+  this.outOfRange = opts.outOfRange || 'warn';
+  this.phraseLength = opts.phraseLength || 4;
+  this.lookahead = typeof opts.lookahead != 'undefined' ? opts.lookahead : 25;
 
-  this.emitter = new OscEmitter();
-  this.emitter.add(this.liveHost, this.livePort);
-  
-  this.receiver = new OscReceiver();
-  this.receiver.setMaxListeners(1000);
-  this.receiver.bind(this.port);
+  /**
+   * True while Live is answering heartbeats
+   * @type {Boolean}
+   */
+  this.isConnected = false;
 
-  if (this.debug) {
-    this.receiver.on('message', function () {
-      console.log(chalk.magenta('From Live: ') + Array.prototype.slice.call(arguments, 0).join(', '));
+  /**
+   * True once Live has answered for the first time
+   * @type {Boolean}
+   */
+  this.wasConnected = false;
+
+  /**
+   * Heartbeats sent without a message from Live since
+   * @type {Number}
+   */
+  this.missed = 0;
+
+  /**
+   * Messages waiting to be sent once connected
+   * @type {Array}
+   */
+  this.queue = [];
+
+  /**
+   * Queries waiting for a reply
+   * @type {Array}
+   */
+  this.queries = [];
+
+  /**
+   * True once close() has been called
+   * @type {Boolean}
+   */
+  this.closed = false;
+
+  /**
+   * Inspectors recording traffic
+   * @type {Array}
+   */
+  this.inspectors = [];
+
+  /**
+   * EventEmitter for connection events
+   * @type {Emitter}
+   */
+  this.eventEmitter = new emitter.Emitter();
+
+  if (opts.logger && typeof opts.logger.log == 'function') {
+    this.logger = opts.logger;
+  } else if (_.has(opts, 'logger') && !opts.logger) {
+    this.logger = new Logger({level: 'silent'});
+  } else {
+    this.logger = new Logger(_.extend({
+      level: this.debug ? 'debug' : 'warn'
+    }, opts.logger));
+  }
+
+  if (opts.emitter) {
+    this.emitter = opts.emitter;
+  } else {
+    this.emitter = new OscEmitter();
+    this.emitter.add(this.liveHost, this.livePort);
+  }
+
+  var self = this;
+
+  if (opts.receiver) {
+    this.receiver = opts.receiver;
+  } else {
+    this.receiver = new OscReceiver();
+    this.receiver._socket.on('error', function (err) {
+      self.error(new errors.BindError(self.port, err));
     });
-    var emit = this.emitter.emit;
-    this.emitter.emit = function () {
-      var args = Array.prototype.slice.call(arguments, 0).map(function (prm) {
-        if (typeof prm.value != 'undefined') {
-          return prm.value;
-        }
-        return prm;
-      });
-      console.log(chalk.green('  To Live: ') + args.join(', '));
-      emit.apply(this, arguments);
-    };
+    this.receiver.bind(this.port);
   }
 
+  this.decodeListener = function (err) {
+    self.error(new errors.ProtocolError(null, [], err.message));
+  };
+  this.receiver.on('error', this.decodeListener);
+
+  this.router = new Router(this.receiver, {
+    validate: protocol.validate,
+    error: function (err) {
+      self.error(err);
+    }
+  });
+
+  if (this.debug) {
+    this.inspect({log: true, limit: 1});
+  }
+
+  this.aliveListener = function () {
+    self.alive();
+  };
+  this.receiver.on('message', this.aliveListener);
+
   this.song = new Song(this);
+
+  if (this.heartbeatInterval) {
+    this.heartbeatTimer = setInterval(function () {
+      self.heartbeat();
+    }, this.heartbeatInterval);
+    this.heartbeat();
+  } else {
+    this.isConnected = true;
+    this.wasConnected = true;
+  }
+};
+
+/**
+ * Ping Live with /live/time, disconnects after opts.heartbeatMisses
+ * heartbeats have gone unanswered
+ */
+LiveOSC.prototype.heartbeat = function () {
+  if (this.missed++ >= this.heartbeatMisses && this.isConnected) {
+    this.isConnected = false;
+    this.logger.log('warn', 'Disconnected from Live', {missed: this.missed - 1});
+    this.eventEmitter.emit('disconnected');
+  }
+  this.transmit(['/live/time']);
+};
+
+/**
+ * Called for every message from Live, connects if disconnected.
+ * On reconnect queued messages are sent and the song is refreshed.
+ */
+LiveOSC.prototype.alive = function () {
+  this.missed = 0;
+  if (this.isConnected) return;
+  this.isConnected = true;
+  this.logger.log('info', this.wasConnected ? 'Reconnected to Live' : 'Connected to Live');
+  this.eventEmitter.emit('connected');
+  this.flush();
+  if (this.wasConnected) {
+    this.eventEmitter.emit('reconnected');
+    this.song.refresh();
+  }
+  this.wasConnected = true;
+};
+
+/**
+ * Send a message to Live.  While disconnected the message is queued
+ * until Live is back, or rejected if opts.offline is 'reject'.
+ * @param  {String}  address OSC address
+ * @return {Promise}         resolves once the message is sent
+ */
+LiveOSC.prototype.send = function (address) {
+  var args = Array.prototype.slice.call(arguments, 0);
+  if (this.isConnected) {
+    this.transmit(args);
+    return Promise.resolve();
+  }
+  if (this.offline == 'reject') {
+    return this.fail(new errors.NotConnectedError(address));
+  }
+  var self = this;
+  var promise = new Promise(function (resolve, reject) {
+    self.queue.push({args: args, resolve: resolve, reject: reject});
+  });
+  // messages still queued on close are rejected, don't make that an
+  // unhandled rejection for callers ignoring the promise
+  promise.catch(function () {});
+  return promise;
+};
+
+/**
+ * Hand a message to the emitter, every message to Live goes through
+ * here and is announced with the sent event
+ * @param {Array} args OSC address followed by the arguments
+ */
+LiveOSC.prototype.transmit = function (args) {
+  this.emitter.emit.apply(this.emitter, args);
+  this.eventEmitter.emit('sent', args);
+};
+
+/**
+ * Send all queued messages
+ */
+LiveOSC.prototype.flush = function () {
+  var queue = this.queue;
+  this.queue = [];
+  for (var i = 0; i < queue.length; i++) {
+    this.transmit(queue[i].args);
+    queue[i].resolve();
+  }
+};
+
+/**
+ * Report an error.  The error is emitted as an error event on
+ * LiveOSC and the song, or logged when neither has error listeners.
+ * @param {Error} err LiveOSCError
+ */
+LiveOSC.prototype.error = function (err) {
+  var targets = [this.eventEmitter];
+  if (this.song) {
+    targets.push(this.song.eventEmitter);
+  }
+  targets = targets.filter(function (eventEmitter) {
+    return eventEmitter.listenerCount('error') > 0;
+  });
+  if (!targets.length) {
+    this.logger.log('error', err.message, {name: err.name});
+    return;
+  }
+  targets.forEach(function (eventEmitter) {
+    eventEmitter.emit('error', err);
+  });
+};
+
+/**
+ * Report an error and return a promise rejected with it.  Callers
+ * that ignore the promise only get the error event, no unhandled
+ * rejection.
+ * @param  {Error}   err LiveOSCError
+ * @return {Promise}     rejected with err
+ */
+LiveOSC.prototype.fail = function (err) {
+  this.error(err);
+  var promise = Promise.reject(err);
+  promise.catch(function () {});
+  return promise;
+};
+
+/**
+ * Listen for a connection event, current events are:
+ *
+ *   connected
+ *   disconnected
+ *   reconnected
+ *   close
+ *   error
+ *   sent
+ *
+ * @param  {String}   ev     event name or pattern
+ * @param  {Object}   filter parameters to match, optional
+ * @param  {Function} cb     callback
+ * @return {Function}        unsubscribe handle, also has cancel()
+ */
+LiveOSC.prototype.on = function (ev, filter, cb) {
+  return emitter.subscribe(this, ev, filter, cb);
+};
+
+/**
+ * Start recording OSC traffic, see Inspector for the options
+ * @param  {Object}    opts Inspector options
+ * @return {Inspector}
+ */
+LiveOSC.prototype.inspect = function (opts) {
+  var inspector = new Inspector(this, opts);
+  this.inspectors.push(inspector);
+  return inspector;
+};
+
+/**
+ * Send a request to Live and wait for the reply.
+ *
+ * Options are as follows:
+ *
+ * opts.reply = address of the reply, defaults to the request address
+ * opts.match = leading reply arguments identifying the object, ex [trackId, clipId]
+ * opts.timeout = time to wait for the reply, defaults to liveosc.timeout
+ *
+ * @param  {String}  address OSC address to send
+ * @param  {Array}   args    request arguments, numbers are sent as integers
+ * @param  {Object}  opts    options
+ * @return {Promise}         resolves with the reply arguments following opts.match
+ */
+LiveOSC.prototype.query = function (address, args, opts) {
+  opts = opts || {};
+  args = args || [];
+  var self = this;
+  var reply = opts.reply || address;
+  var match = opts.match || [];
+  var timeout = opts.timeout || this.timeout;
+
+  return new Promise(function (resolve, reject) {
+    var timer;
+
+    function listener() {
+      finish();
+      resolve(Array.prototype.slice.call(arguments, match.length));
+    }
+
+    var query = {
+      cancel: function (err) {
+        finish();
+        reject(err);
+      }
+    };
+
+    function finish() {
+      clearTimeout(timer);
+      self.router.remove(reply, match, listener);
+      self.queries = self.queries.filter(function (other) {
+        return other !== query;
+      });
+    }
+
+    self.queries.push(query);
+    self.router.add(reply, match, listener);
+    timer = setTimeout(function () {
+      finish();
+      reject(new errors.TimeoutError([reply].concat(match).join(' '), timeout));
+    }, timeout);
+
+    self.transmit([address].concat(args.map(function (arg) {
+      if (typeof arg == 'number') {
+        return {type: 'integer', value: arg};
+      }
+      return arg;
+    })));
+  });
 };
 
+/**
+ * Shut down LiveOSC.  Destroys the song, cancels the heartbeat and
+ * pending requests and closes the sockets.
+ * @return {Promise} resolves once the sockets are closed
+ */
+LiveOSC.prototype.close = function () {
+  if (this.closed) {
+    return Promise.resolve();
+  }
+  this.closed = true;
+  this.isConnected = false;
+  clearInterval(this.heartbeatTimer);
+
+  var err = new errors.ClosedError();
+  this.queries.slice().forEach(function (query) {
+    query.cancel(err);
+  });
+  this.queue.forEach(function (queued) {
+    queued.reject(err);
+  });
+  this.queue = [];
+
+  this.song.destroy();
+  this.inspectors.forEach(function (inspector) {
+    inspector.stop();
+  });
+  this.receiver.removeListener('message', this.aliveListener);
+  this.receiver.removeListener('error', this.decodeListener);
+
+  var self = this;
+  return Promise.all([
+    closeSocket(this.receiver),
+    closeSocket(this.emitter)
+  ]).then(function () {
+    self.eventEmitter.emit('close');
+    self.eventEmitter.removeAllListeners();
+  });
+};
+
+/**
+ * Close the UDP socket of an OscReceiver or OscEmitter
+ * @param  {Object}  osc OscReceiver or OscEmitter
+ * @return {Promise}     resolves once the socket is closed
+ */
+function closeSocket(osc) {
+  return new Promise(function (resolve) {
+    if (!osc._socket) {
+      return resolve();
+    }
+    try {
+      osc._socket.close(resolve);
+    } catch (e) {
+      // socket was already closed
+      resolve();
+    }
+  });
+}
+
+/**
+ * LiveOSC simulator for offline development and tests
+ * @type {Function}
+ */
+LiveOSC.MockLive = require('./lib/mocklive');
+
+/**
+ * Error classes, ex err instanceof LiveOSC.errors.BindError
+ * @type {Object}
+ */
+LiveOSC.errors = errors;
+
+/**
+ * Structured logger, see opts.logger
+ * @type {Function}
+ */
+LiveOSC.Logger = Logger;
+
+/**
+ * Song class, see Song.fromJSON
+ * @type {Function}
+ */
+LiveOSC.Song = Song;
+
+/**
+ * Compare serialized sets, see diff.diff() and diff.format()
+ * @type {Object}
+ */
+LiveOSC.diff = require('./lib/diff');
+
+/**
+ * Mixer snapshots, see song.capture()
+ * @type {Function}
+ */
+LiveOSC.Snapshot = Snapshot;
+
+/**
+ * Subscription groups, see song.group()
+ * @type {Function}
+ */
+LiveOSC.Group = emitter.Group;
+
+emitter.mixin(LiveOSC);
+
 module.exports = LiveOSC;
@@ -4,7 +4,9 @@
  */
 
 var _ = require('underscore');
-var EventEmitter = require('events').EventEmitter;
+var emitter = require('./emitter');
+var Lfo = require('./lfo');
+var LiveOSCError = require('./errors').LiveOSCError;
 
 /**
  * Clip object, represents a clip in the Ableton Live set.
@@ -103,9 +105,9 @@ var Clip = function (liveosc, track, id) {
 
   /**
    * EventEmitter for clip events
-   * @type {EventEmitter}
+   * @type {Emitter}
    */
-  this.eventEmitter = new EventEmitter();
+  this.eventEmitter = new emitter.Emitter();
 
   var self = this;
 
@@ -116,8 +118,6 @@ var Clip = function (liveosc, track, id) {
    * @param  {Number} loopstart the new loopstart position
    */
   function loopstartListener(trackId, clipId, loopstart) {
-    if (self.track.id != trackId) return;
-    if (self.id != clipId) return;
     self.emitEvent('loopstart', {
       value: loopstart,
       prev: self.loopstart
@@ -132,8 +132,6 @@ var Clip = function (liveosc, track, id) {
    * @param  {Number} loopend   the new loopend position
    */
   function loopendListener(trackId, clipId, loopend) {
-    if (self.track.id != trackId) return;
-    if (self.id != clipId) return;
     self.emitEvent('loopend', {
       value: loopend,
       prev: self.loopend
@@ -148,8 +146,6 @@ var Clip = function (liveosc, track, id) {
    * @param  {Number} loopstate the new loop state
    */
   function loopstateListener(trackId, clipId, loopstate) {
-    if (self.track.id != trackId) return;
-    if (self.id != clipId) return;
     self.emitEvent('loopstate', {
       value: loopstate,
       prev: self.loopstate
@@ -164,8 +160,6 @@ var Clip = function (liveosc, track, id) {
    * @param  {Number} warping   the new warping state
    */
   function warpingListener(trackId, clipId, warping) {
-    if (self.track.id != trackId) return;
-    if (self.id != clipId) return;
     self.emitEvent('warping', {
       value: warping,
       prev: self.warping
@@ -181,8 +175,6 @@ var Clip = function (liveosc, track, id) {
    * @param  {Number} fine      the new fine pitch
    */
   function pitchListener(trackId, clipId, coarse, fine) {
-    if (self.track.id != trackId) return;
-    if (self.id != clipId) return;
     self.emitEvent('coarse', {
       value: coarse,
       prev: self.coarse
@@ -203,15 +195,24 @@ var Clip = function (liveosc, track, id) {
    * @param  {Number} length    the new length of the clip
    */
   function clipinfoListener(trackId, clipId, state, length) {
-    if (self.track.id != trackId) return;
-    if (self.id != clipId) return;
     self.emitEvent('state', {
       value: state,
       prev: self.state
     });
+    var scene = liveosc.song.scenes[self.id];
+    if (scene) {
+      scene.updateState(self.track.id, state);
+    }
+    var prev = self.state;
     self.state = state;
     self.length = length;
 
+    if (prev == 0 && state > 0) {
+      self.emitEvent('created', {object: self});
+    } else if (prev > 0 && state == 0) {
+      self.emitEvent('deleted', {object: self});
+    }
+
     if (state > 0) {
       self.refresh();
     } else {
@@ -226,27 +227,23 @@ var Clip = function (liveosc, track, id) {
    * @param  {String} name      the new name of the track
    */
   function clipnameListener(trackId, clipId, name) {
-    if (self.track.id != trackId) return;
-    if (self.id != clipId) return;
     self.emitEvent('name', {
       value: name,
       prev: self.name
     });
     self.name = name;
-    var trackArg = {type: 'integer', value: self.track.id};
-    var clipArg = {type: 'integer', value: self.id};
     // this message fires whe clips are added or deleted
     // request clip info for this slot
-    self.liveosc.emitter.emit('/live/clip/info', trackArg, clipArg);
+    self.liveosc.song.request('/live/clip/info', [self.track.id, self.id]);
   }
 
-  liveosc.receiver.on('/live/clip/loopstart', loopstartListener);
-  liveosc.receiver.on('/live/clip/loopend', loopendListener);
-  liveosc.receiver.on('/live/clip/loopstate', loopstateListener);
-  liveosc.receiver.on('/live/clip/warping', warpingListener);
-  liveosc.receiver.on('/live/pitch', pitchListener);
-  liveosc.receiver.on('/live/clip/info', clipinfoListener);
-  liveosc.receiver.on('/live/name/clip', clipnameListener);
+  liveosc.router.add('/live/clip/loopstart', [track.id, id], loopstartListener);
+  liveosc.router.add('/live/clip/loopend', [track.id, id], loopendListener);
+  liveosc.router.add('/live/clip/loopstate', [track.id, id], loopstateListener);
+  liveosc.router.add('/live/clip/warping', [track.id, id], warpingListener);
+  liveosc.router.add('/live/pitch', [track.id, id], pitchListener);
+  liveosc.router.add('/live/clip/info', [track.id, id], clipinfoListener);
+  liveosc.router.add('/live/name/clip', [track.id, id], clipnameListener);
 
   /**
    * Called when a clip is refreshed or destroyed
@@ -254,13 +251,13 @@ var Clip = function (liveosc, track, id) {
   this.destroy = function () {
     this.eventEmitter.emit('destroy');
     this.eventEmitter.removeAllListeners();
-    this.liveosc.receiver.removeListener('/live/clip/loopstart', loopstartListener);
-    this.liveosc.receiver.removeListener('/live/clip/loopend', loopendListener);
-    this.liveosc.receiver.removeListener('/live/clip/loopstate', loopstateListener);
-    this.liveosc.receiver.removeListener('/live/clip/warping', warpingListener);
-    this.liveosc.receiver.removeListener('/live/pitch', pitchListener);
-    this.liveosc.receiver.removeListener('/live/clip/info', clipinfoListener);
-    this.liveosc.receiver.removeListener('/live/name/clip', clipnameListener);
+    this.liveosc.router.remove('/live/clip/loopstart', [this.track.id, this.id], loopstartListener);
+    this.liveosc.router.remove('/live/clip/loopend', [this.track.id, this.id], loopendListener);
+    this.liveosc.router.remove('/live/clip/loopstate', [this.track.id, this.id], loopstateListener);
+    this.liveosc.router.remove('/live/clip/warping', [this.track.id, this.id], warpingListener);
+    this.liveosc.router.remove('/live/pitch', [this.track.id, this.id], pitchListener);
+    this.liveosc.router.remove('/live/clip/info', [this.track.id, this.id], clipinfoListener);
+    this.liveosc.router.remove('/live/name/clip', [this.track.id, this.id], clipnameListener);
   };
 };
 
@@ -268,17 +265,17 @@ var Clip = function (liveosc, track, id) {
  * Refresh the state of the clip
  */
 Clip.prototype.refresh = function () {
-  var trackArg = {type: 'integer', value: this.track.id};
-  var clipArg = {type: 'integer', value: this.id};
-  this.liveosc.emitter.emit('/live/clip/loopstart', trackArg, clipArg);
-  this.liveosc.emitter.emit('/live/clip/loopend', trackArg, clipArg);
-  this.liveosc.emitter.emit('/live/clip/loopstate', trackArg, clipArg);
+  var song = this.liveosc.song;
+  var ids = [this.track.id, this.id];
+  song.request('/live/clip/loopstart', ids);
+  song.request('/live/clip/loopend', ids);
+  song.request('/live/clip/loopstate', ids);
   if (this.track.audio) {
-    this.liveosc.emitter.emit('/live/clip/warping', trackArg, clipArg);
-    this.liveosc.emitter.emit('/live/pitch', trackArg, clipArg);
+    song.request('/live/clip/warping', ids);
+    song.request('/live/pitch', ids);
   }
   if (this.name === false) {
-    this.liveosc.emitter.emit('/live/name/clip', trackArg, clipArg);
+    song.request('/live/name/clip', ids);
   }
 };
 
@@ -286,7 +283,7 @@ Clip.prototype.refresh = function () {
  * Trigger the clip to start playing
  */
 Clip.prototype.play = function () {
-  this.liveosc.emitter.emit(
+  return this.liveosc.send(
     '/live/play/clipslot',
     {
       type: 'integer',
@@ -303,7 +300,7 @@ Clip.prototype.play = function () {
  * Trigger the clip to stop playing
  */
 Clip.prototype.stop = function () {
-  this.liveosc.emitter.emit(
+  return this.liveosc.send(
     '/live/stop/clip',
     {
       type: 'integer',
@@ -321,7 +318,7 @@ Clip.prototype.stop = function () {
  * @param {String} name the new clip name
  */
 Clip.prototype.setName = function (name) {
-  this.liveosc.emitter.emit(
+  return this.liveosc.send(
     '/live/name/clip',
     {
       type: 'integer',
@@ -347,7 +344,7 @@ Clip.prototype.setPitch = function (coarse, fine) {
   if (!this.track.audio) {
     return;
   }
-  this.liveosc.emitter.emit(
+  return this.liveosc.send(
     '/live/pitch',
     {
       type: 'integer',
@@ -373,7 +370,7 @@ Clip.prototype.setPitch = function (coarse, fine) {
  * @param {Number} loopstart the loop start position in beats
  */
 Clip.prototype.setLoopstart = function (loopstart) {
-  this.liveosc.emitter.emit(
+  return this.liveosc.send(
     '/live/clip/loopstart',
     {
       type: 'integer',
@@ -395,7 +392,7 @@ Clip.prototype.setLoopstart = function (loopstart) {
  * @param {Number} loopend the loop end position in beats
  */
 Clip.prototype.setLoopend = function (loopend) {
-  this.liveosc.emitter.emit(
+  return this.liveosc.send(
     '/live/clip/loopend',
     {
       type: 'integer',
@@ -412,12 +409,52 @@ Clip.prototype.setLoopend = function (loopend) {
   );
 };
 
+/**
+ * Modulate a loop point with an LFO, see Lfo for the options.  The
+ * LFO covers the length of the clip unless opts.min and opts.max
+ * are given, loop points are sent in whole beats so opts.step
+ * defaults to 1.
+ * @param  {String} name 'loopstart' or 'loopend'
+ * @param  {Object} opts LFO options, ex {shape: 'square', rate: '4 bars'}
+ * @return {Lfo}         rejects with a LiveOSCError while the length
+ *                       is unknown and no opts.max is given
+ */
+Clip.prototype.modulate = function (name, opts) {
+  opts = opts || {};
+  var self = this;
+  var setters = {
+    loopstart: this.setLoopstart,
+    loopend: this.setLoopend
+  };
+  if (!setters[name]) {
+    throw new Error('Cannot modulate ' + name + ' of a clip');
+  }
+  var min = typeof opts.min == 'number' ? opts.min : 0;
+  var max = typeof opts.max == 'number' ? opts.max : this.length;
+  if (max <= min) {
+    return Lfo.failed(this.liveosc, new LiveOSCError(
+      'Cannot modulate ' + name + ' of clip ' + this.id + ' on track ' +
+      this.track.id + ', its length is unknown and no range was given'
+    ));
+  }
+  return Lfo.start(this.liveosc, {
+    target: this,
+    name: name,
+    min: min,
+    max: max,
+    step: 1,
+    set: function (value) {
+      return setters[name].call(self, value);
+    }
+  }, opts);
+};
+
 /**
  * Enable or disable looping of the clip
  * @param {Number} loopstate 0 to disable, 1 to enable
  */
 Clip.prototype.setLoopstate = function (loopstate) {
-  this.liveosc.emitter.emit(
+  return this.liveosc.send(
     '/live/clip/loopstate',
     {
       type: 'integer',
@@ -447,7 +484,7 @@ Clip.prototype.setLoopstate = function (loopstate) {
  * @param {Number} warping the new warping mode
  */
 Clip.prototype.setWarping = function (warping) {
-  this.liveosc.emitter.emit(
+  return this.liveosc.send(
     '/live/clip/warping',
     {
       type: 'integer',
@@ -465,11 +502,17 @@ Clip.prototype.setWarping = function (warping) {
 };
 
 /**
- * Focus the clip
+ * Focus the clip.  LiveOSC addresses the clip slot by track and clip
+ * id, earlier versions of this method sent only the clip id and
+ * focused the wrong slot.
  */
 Clip.prototype.view = function () {
-  this.liveosc.emitter.emit(
+  return this.liveosc.send(
     '/live/clip/view',
+    {
+      type: 'integer',
+      value: this.track.id
+    },
     {
       type: 'integer',
       value: this.id
@@ -477,6 +520,80 @@ Clip.prototype.view = function () {
   );
 };
 
+/**
+ * Query a single clip value
+ * @param  {String}  address OSC address to query
+ * @return {Promise}         resolves with the reply arguments after the ids
+ */
+Clip.prototype.fetch = function (address) {
+  var ids = [this.track.id, this.id];
+  return this.liveosc.query(address, ids, {match: ids});
+};
+
+/**
+ * Query the clip playing state and length
+ * @return {Promise} resolves with {state, length}
+ */
+Clip.prototype.fetchInfo = function () {
+  return this.fetch('/live/clip/info').then(function (args) {
+    return {
+      state: args[0],
+      length: args[1]
+    };
+  });
+};
+
+/**
+ * Query the clip loop settings
+ * @return {Promise} resolves with {loopstart, loopend, loopstate}
+ */
+Clip.prototype.fetchLoop = function () {
+  return Promise.all([
+    this.fetch('/live/clip/loopstart'),
+    this.fetch('/live/clip/loopend'),
+    this.fetch('/live/clip/loopstate')
+  ]).then(function (replies) {
+    return {
+      loopstart: replies[0][0],
+      loopend: replies[1][0],
+      loopstate: replies[2][0]
+    };
+  });
+};
+
+/**
+ * Query the clip name
+ * @return {Promise} resolves with the name
+ */
+Clip.prototype.fetchName = function () {
+  return this.fetch('/live/name/clip').then(function (args) {
+    return args[0];
+  });
+};
+
+/**
+ * Query the clip pitch (audio only)
+ * @return {Promise} resolves with {coarse, fine}
+ */
+Clip.prototype.fetchPitch = function () {
+  return this.fetch('/live/pitch').then(function (args) {
+    return {
+      coarse: args[0] || 0,
+      fine: args[1] || 0
+    };
+  });
+};
+
+/**
+ * Query the clip warping mode (audio only)
+ * @return {Promise} resolves with the warping mode
+ */
+Clip.prototype.fetchWarping = function () {
+  return this.fetch('/live/clip/warping').then(function (args) {
+    return args[0];
+  });
+};
+
 /**
  * Listen for a clip event, current events are:
  *
@@ -488,13 +605,17 @@ Clip.prototype.view = function () {
  *   coarse
  *   fine
  *   name
+ *   created
+ *   deleted
  *   destroy
  * 
- * @param  {string}   ev event name
- * @param  {Function} cb callback
+ * @param  {String}   ev     event name or pattern
+ * @param  {Object}   filter parameters to match, optional
+ * @param  {Function} cb     callback
+ * @return {Function}        unsubscribe handle, also has cancel()
  */
-Clip.prototype.on = function (ev, cb) {
-  this.eventEmitter.on(ev, cb);
+Clip.prototype.on = function (ev, filter, cb) {
+  return emitter.subscribe(this, ev, filter, cb);
 };
 
 /**
@@ -510,4 +631,55 @@ Clip.prototype.emitEvent = function (ev, params) {
   );
 };
 
+/**
+ * Plain data of the clip, see Song.prototype.toJSON
+ * @return {Object}
+ */
+Clip.prototype.toJSON = function () {
+  return {
+    id: this.id,
+    name: this.name,
+    state: this.state,
+    length: this.length,
+    loopstart: this.loopstart,
+    loopend: this.loopend,
+    loopstate: this.loopstate,
+    warping: this.warping,
+    coarse: this.coarse,
+    fine: this.fine
+  };
+};
+
+/**
+ * Create a clip from data returned by toJSON, the clip is not
+ * connected to Live
+ * @param  {Object} data  clip data, null for an empty slot
+ * @param  {Object} track Track the clip belongs to
+ * @param  {Number} id    id of the clip
+ * @return {Clip}
+ */
+Clip.fromJSON = function (data, track, id) {
+  var clip = Object.create(Clip.prototype);
+  clip.liveosc = null;
+  clip.track = track;
+  clip.eventEmitter = new emitter.Emitter();
+  clip.destroy = function () {
+    clip.eventEmitter.removeAllListeners();
+  };
+  return _.extend(clip, {
+    id: id,
+    name: false,
+    state: 0,
+    length: 0,
+    loopstart: 0,
+    loopend: 0,
+    loopstate: 0,
+    warping: 0,
+    coarse: 0,
+    fine: 0
+  }, data);
+};
+
+emitter.mixin(Clip);
+
 module.exports = Clip;
@@ -0,0 +1,169 @@
+/**
+ * @module node-liveosc
+ * @author Tom Dinchak <dinchak@gmail.com>
+ */
+
+var position = require('./position');
+
+/**
+ * Clock object, follows the song position between /live/beat
+ * messages using the song tempo, and measures musical time for
+ * ramps and other timed changes.
+ * @constructor
+ * @param {Object} song Song instance
+ */
+var Clock = function (song) {
+
+  /**
+   * Song instance
+   * @type {Object}
+   */
+  this.song = song;
+
+  /**
+   * Tempo the clock runs at
+   * @type {Number}
+   */
+  this.tempo = song.tempo;
+
+  /**
+   * Number of beats in a bar, follows the time signature
+   * @type {Number}
+   */
+  this.beatsPerBar = position.beatsPerBar(song.numerator, song.denominator);
+
+  /**
+   * True while the song is playing
+   * @type {Boolean}
+   */
+  this.playing = song.playing == 2;
+
+  /**
+   * Song position at positionTime, in beats
+   * @type {Number}
+   */
+  this.position = song.beat;
+
+  /**
+   * Time the position was last updated
+   * @type {Number}
+   */
+  this.positionTime = this.time();
+
+  /**
+   * Beats elapsed at totalTime
+   * @type {Number}
+   */
+  this.total = 0;
+
+  /**
+   * Time the elapsed beats were last updated
+   * @type {Number}
+   */
+  this.totalTime = this.positionTime;
+
+  var self = this;
+
+  song.on('tempo', function (param) {
+    self.setTempo(param.value);
+  });
+
+  song.on('signature', function (param) {
+    self.beatsPerBar = position.beatsPerBar(param.value.numerator, param.value.denominator);
+  });
+
+  song.on('beat', function (param) {
+    self.position = param.value;
+    self.positionTime = self.time();
+  });
+
+  song.on('play', function (param) {
+    self.position = self.beat();
+    self.positionTime = self.time();
+    self.playing = param.value == 2;
+  });
+};
+
+/**
+ * Current time in milliseconds
+ * @return {Number}
+ */
+Clock.prototype.time = function () {
+  return Date.now();
+};
+
+/**
+ * Length of a beat at the current tempo
+ * @return {Number} milliseconds
+ */
+Clock.prototype.msPerBeat = function () {
+  return 60000 / this.tempo;
+};
+
+/**
+ * Song position in beats, advanced from the last /live/beat at the
+ * current tempo while the song is playing
+ * @return {Number}
+ */
+Clock.prototype.beat = function () {
+  if (!this.playing) {
+    return this.position;
+  }
+  return this.position + (this.time() - this.positionTime) / this.msPerBeat();
+};
+
+/**
+ * Beats elapsed since the clock was created at the tempo of the
+ * song, keeps running while the song is stopped
+ * @return {Number}
+ */
+Clock.prototype.elapsed = function () {
+  return this.total + (this.time() - this.totalTime) / this.msPerBeat();
+};
+
+/**
+ * Change the tempo, time measured so far is kept
+ * @param {Number} tempo new tempo
+ */
+Clock.prototype.setTempo = function (tempo) {
+  var now = this.time();
+  this.total = this.elapsed();
+  this.totalTime = now;
+  this.position = this.beat();
+  this.positionTime = now;
+  this.tempo = tempo;
+};
+
+/**
+ * Convert a duration to beats, durations look like 8 (beats),
+ * '2 bars', '3 beats', 'bar', {beats: 8}, {bars: 2} or {ms: 1500}.
+ * Milliseconds are converted at the current tempo.
+ * @param  {Mixed}  duration duration
+ * @return {Number}          beats, defaults to one bar
+ */
+Clock.prototype.toBeats = function (duration) {
+  if (typeof duration == 'number') {
+    return duration;
+  }
+  if (typeof duration == 'string') {
+    var match = /^\s*([\d.]+)?\s*(beat|bar)s?\s*$/.exec(duration);
+    if (!match) {
+      throw new Error('Unknown duration ' + duration);
+    }
+    var count = typeof match[1] != 'undefined' ? parseFloat(match[1]) : 1;
+    return match[2] == 'bar' ? count * this.beatsPerBar : count;
+  }
+  duration = duration || {};
+  if (typeof duration.beats == 'number') {
+    return duration.beats;
+  }
+  if (typeof duration.bars == 'number') {
+    return duration.bars * this.beatsPerBar;
+  }
+  if (typeof duration.ms == 'number') {
+    return duration.ms / this.msPerBeat();
+  }
+  return this.beatsPerBar;
+};
+
+module.exports = Clock;
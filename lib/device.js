@@ -4,7 +4,43 @@
  */
 
 var _ = require('underscore');
-var EventEmitter = require('events').EventEmitter;
+var emitter = require('./emitter');
+var errors = require('./errors');
+var Ramp = require('./ramp');
+var Lfo = require('./lfo');
+
+/**
+ * Compare parameter values at the float32 precision Live sends them
+ * with, so the echo of a value that was just set is not a change
+ * @param  {Number}  a value
+ * @param  {Number}  b value
+ * @return {Boolean}   true if the values are the same
+ */
+function sameValue(a, b) {
+  return a === b || (typeof a == 'number' && typeof b == 'number' && Math.fround(a) === Math.fround(b));
+}
+
+/**
+ * Determine device addresses based on track type
+ * @param  {String} type type of device's track ('track', 'return', 'master')
+ * @return {Object}      addresses keyed by info, range, param and allParam
+ */
+function addresses(type) {
+  if (type == 'track') {
+    return {
+      info: '/live/device',
+      range: '/live/device/range',
+      param: '/live/device/param',
+      allParam: '/live/device/allparam'
+    };
+  }
+  return {
+    info: '/live/' + type + '/device',
+    range: '/live/' + type + '/device/range',
+    param: '/live/' + type + '/device/param',
+    allParam: type == 'master' ? '/live/master/device' : '/live/' + type + '/device/allparam'
+  };
+}
 
 /**
  * Device object, represents a device in the Ableton Live set.
@@ -69,38 +105,23 @@ var Device = function (liveosc, id, track, type, name) {
 
   /**
    * EventEmitter for device events
-   * @type {EventEmitter}
+   * @type {Emitter}
    */
-  this.eventEmitter = new EventEmitter();
+  this.eventEmitter = new emitter.Emitter();
 
   var self = this;
 
-  // determine listener addresses based on track type
-  var infoAddr = '/live/device';
-  var rangeAddr = '/live/device/range';
-  var paramAddr = '/live/device/param';
-  var allParamAddr = '/live/device/allparam';
-  if (type != 'track') {
-    infoAddr = '/live/' + type + '/device';
-    rangeAddr = '/live/' + type + '/device/range';
-    paramAddr = '/live/' + type + '/device/param';
-    allParamAddr = '/live/' + type + '/device/allparam';
-    if (type == 'master') {
-      allParamAddr = '/live/master/device';
-    }
-  }
+  var addrs = addresses(type);
+  var infoAddr = addrs.info;
+  var rangeAddr = addrs.range;
+  var paramAddr = addrs.param;
+  var allParamAddr = addrs.allParam;
 
   /**
    * Listen for /live/device/range
    */
   function rangeListener() {
-    var args = Array.prototype.slice.call(arguments, 0);
-    if (type != 'master') {
-      var trackId = args.shift();
-      if (trackId != self.track.id) return;
-    }
-    var deviceId = args.shift();
-    if (deviceId != self.id) return;
+    var args = Array.prototype.slice.call(arguments, self.ids().length);
     for (var i = 0; i < args.length; i += 3) {
       if (!self.params[args[i]]) {
         self.params[args[i]] = {};
@@ -115,19 +136,13 @@ var Device = function (liveosc, id, track, type, name) {
    * Listen for /live/device/allparam
    */
   function allParamListener() {
-    var args = Array.prototype.slice.call(arguments, 0);
-    if (type != 'master') {
-      var trackId = args.shift();
-      if (trackId != self.track.id) return;
-    }
-    var deviceId = args.shift();
-    if (deviceId != self.id) return;
+    var args = Array.prototype.slice.call(arguments, self.ids().length);
     for (var i = 0; i < args.length; i += 3) {
       if (!self.params[args[i]]) {
         self.params[args[i]] = {};
       }
       var param = self.params[args[i]];
-      if (param.value != args[i + 1]) {
+      if (!sameValue(param.value, args[i + 1])) {
         self.emitEvent('param', {
           name: args[i + 2],
           value: args[i + 1],
@@ -148,17 +163,12 @@ var Device = function (liveosc, id, track, type, name) {
    * Listen for /live/device/param
    */
   function paramListener() {
-    var args = Array.prototype.slice.call(arguments, 0);
-    if (type != 'master') {
-      var trackId = args.shift();
-      if (trackId != self.track.id) return;
-    }
-    var deviceId = args.shift();
-    if (deviceId != self.id) return;
+    var args = Array.prototype.slice.call(arguments, self.ids().length);
     if (!self.params[args[0]]) {
       self.params[args[0]] = {};
     }
     var param = self.params[args[0]];
+    if (sameValue(param.value, args[1]) && param.name == args[2]) return;
     self.emitEvent('param', {
       name: args[2],
       value: args[1],
@@ -173,23 +183,26 @@ var Device = function (liveosc, id, track, type, name) {
     param.name = args[2];
   }
 
-  liveosc.receiver.on(rangeAddr, rangeListener);
-  liveosc.receiver.on(allParamAddr, allParamListener);
-  liveosc.receiver.on(paramAddr, paramListener);
+  liveosc.router.add(rangeAddr, this.ids(), rangeListener);
+  liveosc.router.add(allParamAddr, this.ids(), allParamListener);
+  liveosc.router.add(paramAddr, this.ids(), paramListener);
 
-  var args = [infoAddr];
-  if (type != 'master') {
-    args.push({type: 'integer', value: track.id});
-  }
-  args.push({type: 'integer', value: id});
-  liveosc.emitter.emit.apply(liveosc.emitter, args);
+  this.refresh();
 
-  var args = [rangeAddr];
-  if (type != 'master') {
-    args.push({type: 'integer', value: track.id});
-  }
-  args.push({type: 'integer', value: id});
-  liveosc.emitter.emit.apply(liveosc.emitter, args);
+  /**
+   * Called when the device moves to a different position in the chain
+   * @param {Number} deviceId the new id of the device
+   */
+  this.setId = function (deviceId) {
+    if (deviceId == self.id) return;
+    self.liveosc.router.remove(rangeAddr, self.ids(), rangeListener);
+    self.liveosc.router.remove(paramAddr, self.ids(), paramListener);
+    self.liveosc.router.remove(allParamAddr, self.ids(), allParamListener);
+    self.id = deviceId;
+    self.liveosc.router.add(rangeAddr, self.ids(), rangeListener);
+    self.liveosc.router.add(allParamAddr, self.ids(), allParamListener);
+    self.liveosc.router.add(paramAddr, self.ids(), paramListener);
+  };
 
   /**
    * Called when a device is refreshed or destroyed
@@ -197,43 +210,243 @@ var Device = function (liveosc, id, track, type, name) {
   this.destroy = function () {
     self.emitEvent('destroy');
     self.eventEmitter.removeAllListeners();
-    self.liveosc.receiver.removeListener(rangeAddr, rangeListener);
-    self.liveosc.receiver.removeListener(paramAddr, paramListener);
-    self.liveosc.receiver.removeListener(allParamAddr, allParamListener);
+    self.liveosc.router.remove(rangeAddr, self.ids(), rangeListener);
+    self.liveosc.router.remove(paramAddr, self.ids(), paramListener);
+    self.liveosc.router.remove(allParamAddr, self.ids(), allParamListener);
   };
 };
 
 /**
- * Set a device parameter to a value
- * @param {Mixed}  param id of the parameter or name of the parameter
- * @param {Number} value new parameter value
+ * Reconcile a list of devices with a device list reported by Live.
+ * Devices that are still present are kept and refreshed, matching by
+ * name so devices keep their identity when the chain is reordered.
+ * @param  {Object} liveosc LiveOSC instance
+ * @param  {Array}  devices current devices
+ * @param  {Array}  list    device list arguments, ex [0, 'Reverb', 1, 'EQ Eight']
+ * @param  {Object} track   track the devices belong to
+ * @param  {String} type    type of the track ('track', 'return', 'master')
+ * @return {Array}          the new list of devices
  */
-Device.prototype.set = function (param, value) {
-  var addr;
-  if (this.type == 'track') {
-    addr = '/live/device';
-  } else {
-    addr = '/live/' + this.type + '/device';
+Device.reconcile = function (liveosc, devices, list, track, type) {
+  var remaining = devices.slice();
+  var result = [];
+  for (var i = 0; i < list.length; i += 2) {
+    var deviceId = list[i];
+    var deviceName = list[i + 1];
+    var device = _.find(remaining, function (device) {
+      return device.id == deviceId && device.name == deviceName;
+    }) || _.findWhere(remaining, {name: deviceName});
+    if (device) {
+      remaining = _.without(remaining, device);
+      device.setId(deviceId);
+      device.refresh();
+    } else {
+      device = new Device(liveosc, deviceId, track, type, deviceName);
+      device.emitEvent('added', {object: device});
+    }
+    result.push(device);
   }
-  var args = [addr];
-  if (this.type != 'master') {
-    args.push({type: 'integer', value: this.track.id});
+  _.each(remaining, function (device) {
+    device.emitEvent('removed', {object: device});
+    device.destroy();
+  });
+  return result;
+};
+
+/**
+ * Request the parameter values and ranges of the device
+ */
+Device.prototype.refresh = function () {
+  var addrs = addresses(this.type);
+  this.liveosc.song.request(addrs.info, this.ids(), addrs.allParam);
+  this.liveosc.song.request(addrs.range, this.ids());
+};
+
+/**
+ * Find a parameter by id or name
+ * @param  {Mixed}  param id of the parameter or name of the parameter
+ * @return {Object}       parameter, undefined if unknown
+ */
+Device.prototype.findParam = function (param) {
+  if (typeof param == 'string') {
+    return _.findWhere(this.params, {name: param});
   }
-  args.push({type: 'integer', value: this.id});
+  return this.params[param];
+};
+
+/**
+ * Set a device parameter to a value.  When the range of the parameter
+ * is known the value is checked against it (see opts.outOfRange), and
+ * sent as a float unless both the range and the value are whole
+ * numbers.  An unknown parameter name is reported as an
+ * UnknownParameterError.  Once sent, the parameter and param events
+ * reflect the applied value.
+ * @param  {Mixed}   param id of the parameter or name of the parameter
+ * @param  {Number}  value new parameter value
+ * @return {Promise}       resolves once the message is sent
+ */
+Device.prototype.set = function (param, value) {
+  var prm = this.findParam(param);
   if (typeof param == 'string') {
-    var prm = _.findWhere(this.params, {name: param});
-    if (prm) {
-      param = prm.id;
-    } else {
-      throw new Error('No parameter with name ' + param);
+    if (!prm) {
+      return this.liveosc.fail(new errors.UnknownParameterError(this, param));
+    }
+    param = prm.id;
+  }
+
+  var ranged = prm && typeof prm.min == 'number' && typeof prm.max == 'number';
+  if (ranged && (value < prm.min || value > prm.max)) {
+    var err = new errors.ParameterRangeError(this, prm, value);
+    if (this.liveosc.outOfRange == 'reject') {
+      return this.liveosc.fail(err);
+    }
+    if (this.liveosc.outOfRange == 'warn') {
+      this.liveosc.logger.log('warn', err.message, {param: prm.name, value: value});
     }
+    value = Math.min(Math.max(value, prm.min), prm.max);
   }
+
+  var whole = value % 1 === 0 && (!ranged || (prm.min % 1 === 0 && prm.max % 1 === 0));
+  var args = [addresses(this.type).info].concat(_.map(this.ids(), function (id) {
+    return {type: 'integer', value: id};
+  }));
   args.push({type: 'integer', value: param});
-  args.push({type: 'integer', value: value});
-  this.liveosc.emitter.emit.apply(
-    this.liveosc.emitter,
-    args
-  );
+  args.push({type: whole ? 'integer' : 'float', value: value});
+
+  var self = this;
+  var promise = this.liveosc.send.apply(this.liveosc, args);
+  promise.then(function () {
+    if (prm && !sameValue(prm.value, value)) {
+      self.emitEvent('param', {name: prm.name, value: value, prev: prm.value});
+      self.emitEvent(prm.name, {value: value, prev: prm.value});
+      prm.value = value;
+    }
+  }, function () {});
+  return promise;
+};
+
+/**
+ * Set a device parameter from a normalized value, 0 sets the minimum
+ * and 1 the maximum of the parameter range.  The range must be known,
+ * otherwise a ParameterRangeError is reported.
+ * @param  {Mixed}   param id of the parameter or name of the parameter
+ * @param  {Number}  value normalized value between 0 and 1
+ * @return {Promise}       resolves once the message is sent
+ */
+Device.prototype.setNormalized = function (param, value) {
+  var prm = this.findParam(param);
+  if (!prm) {
+    return this.liveosc.fail(new errors.UnknownParameterError(this, param));
+  }
+  if (typeof prm.min != 'number' || typeof prm.max != 'number') {
+    return this.liveosc.fail(new errors.ParameterRangeError(this, prm, value));
+  }
+  return this.set(prm.id, prm.min + value * (prm.max - prm.min));
+};
+
+/**
+ * Ramp a device parameter, see Ramp for the options.  Values are
+ * clamped to the parameter range by set().
+ * @param  {Mixed}  param id of the parameter or name of the parameter
+ * @param  {Number} value target value
+ * @param  {Object} opts  ramp options, ex {beats: 8, curve: 'exp'}
+ * @return {Ramp}         resolves with true once the value is reached,
+ *                        rejects with an UnknownParameterError
+ */
+Device.prototype.ramp = function (param, value, opts) {
+  var prm = this.findParam(param);
+  if (!prm) {
+    return Ramp.failed(this.liveosc, new errors.UnknownParameterError(this, param));
+  }
+  var self = this;
+  return Ramp.start(this.liveosc, {
+    target: this,
+    name: prm.name,
+    from: prm.value,
+    to: value,
+    set: function (val) {
+      return self.set(prm.id, val);
+    }
+  }, opts);
+};
+
+/**
+ * Modulate a device parameter with an LFO, see Lfo for the options.
+ * The LFO covers the parameter range unless opts.min and opts.max
+ * are given.
+ * @param  {Mixed}  param id of the parameter or name of the parameter
+ * @param  {Object} opts  LFO options, ex {shape: 'sine', rate: 4, depth: 0.2}
+ * @return {Lfo}          rejects with an UnknownParameterError or a
+ *                        ParameterRangeError while the range is unknown
+ */
+Device.prototype.modulate = function (param, opts) {
+  opts = opts || {};
+  var prm = this.findParam(param);
+  if (!prm) {
+    return Lfo.failed(this.liveosc, new errors.UnknownParameterError(this, param));
+  }
+  var min = typeof opts.min == 'number' ? opts.min : prm.min;
+  var max = typeof opts.max == 'number' ? opts.max : prm.max;
+  if (typeof min != 'number' || typeof max != 'number') {
+    return Lfo.failed(this.liveosc, new errors.ParameterRangeError(this, prm, opts.offset));
+  }
+  var self = this;
+  return Lfo.start(this.liveosc, {
+    target: this,
+    name: prm.name,
+    min: min,
+    max: max,
+    set: function (value) {
+      return self.set(prm.id, value);
+    }
+  }, opts);
+};
+
+/**
+ * Ids identifying this device in OSC messages, the track id is
+ * omitted for master devices
+ * @return {Array} ex [trackId, deviceId]
+ */
+Device.prototype.ids = function () {
+  if (this.type == 'master') {
+    return [this.id];
+  }
+  return [this.track.id, this.id];
+};
+
+/**
+ * Query the parameter values of the device
+ * @return {Promise} resolves with a list of parameters, ex [{id: 0, value: 1, name: 'Device On'}]
+ */
+Device.prototype.fetchParams = function () {
+  var addrs = addresses(this.type);
+  var ids = this.ids();
+  return this.liveosc.query(addrs.info, ids, {
+    reply: addrs.allParam,
+    match: ids
+  }).then(function (args) {
+    var params = [];
+    for (var i = 0; i < args.length; i += 3) {
+      params.push({id: args[i], value: args[i + 1], name: args[i + 2]});
+    }
+    return params;
+  });
+};
+
+/**
+ * Query the parameter ranges of the device
+ * @return {Promise} resolves with a list of ranges, ex [{id: 0, min: 0, max: 1}]
+ */
+Device.prototype.fetchRanges = function () {
+  var addrs = addresses(this.type);
+  var ids = this.ids();
+  return this.liveosc.query(addrs.range, ids, {match: ids}).then(function (args) {
+    var ranges = [];
+    for (var i = 0; i < args.length; i += 3) {
+      ranges.push({id: args[i], min: args[i + 1], max: args[i + 2]});
+    }
+    return ranges;
+  });
 };
 
 /**
@@ -242,13 +455,10 @@ Device.prototype.set = function (param, value) {
 Device.prototype.view = function () {
   var args = ['/live/' + this.type + '/device/view'];
   if (this.type != 'master') {
-    args.push({type: 'integer', value: this.id});
+    args.push({type: 'integer', value: this.track.id});
   }
   args.push({type: 'integer', value: this.id});
-  this.liveosc.emitter.emit.apply(
-    this.liveosc.emitter,
-    args
-  );
+  return this.liveosc.send.apply(this.liveosc, args);
 };
 
 /**
@@ -258,13 +468,17 @@ Device.prototype.view = function () {
  *     * fired on any parameter change
  *   <name of the parameter>
  *     * listen for a specific parameter
+ *   added
+ *   removed
  *   destroy
  *   
- * @param  {String}   ev event name
- * @param  {Function} cb callback
+ * @param  {String}   ev     event name or pattern
+ * @param  {Object}   filter parameters to match, optional
+ * @param  {Function} cb     callback
+ * @return {Function}        unsubscribe handle, also has cancel()
  */
-Device.prototype.on = function (ev, cb) {
-  this.eventEmitter.on(ev, cb);
+Device.prototype.on = function (ev, filter, cb) {
+  return emitter.subscribe(this, ev, filter, cb);
 };
 
 /**
@@ -281,4 +495,55 @@ Device.prototype.emitEvent = function (ev, params) {
   this.liveosc.song.eventEmitter.emit('device:' + ev, globalParams);
 };
 
+/**
+ * Plain data of the device, see Song.prototype.toJSON
+ * @return {Object}
+ */
+Device.prototype.toJSON = function () {
+  return {
+    id: this.id,
+    name: this.name,
+    type: this.type,
+    params: _.map(_.compact(this.params), function (prm) {
+      return {
+        id: prm.id,
+        name: prm.name,
+        value: prm.value,
+        min: typeof prm.min == 'number' ? prm.min : null,
+        max: typeof prm.max == 'number' ? prm.max : null
+      };
+    })
+  };
+};
+
+/**
+ * Create a device from data returned by toJSON, the device is not
+ * connected to Live
+ * @param  {Object} data  device data
+ * @param  {Object} track Track, Return or Song the device belongs to
+ * @return {Device}
+ */
+Device.fromJSON = function (data, track) {
+  var device = Object.create(Device.prototype);
+  device.liveosc = null;
+  device.id = data.id;
+  device.name = data.name;
+  device.type = data.type;
+  device.track = track;
+  // params are indexed by id
+  device.params = [];
+  _.each(data.params || [], function (prm) {
+    device.params[prm.id] = _.omit(prm, function (value) {
+      return value === null;
+    });
+  });
+  device.eventEmitter = new emitter.Emitter();
+  device.destroy = function () {
+    device.eventEmitter.removeAllListeners();
+  };
+  return device;
+};
+
+emitter.mixin(Device);
+
 module.exports = Device;
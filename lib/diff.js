@@ -0,0 +1,197 @@
+/**
+ * @module node-liveosc
+ * @author Tom Dinchak <dinchak@gmail.com>
+ */
+
+var _ = require('underscore');
+
+/**
+ * Convert a Song, its JSON string or its data to plain data
+ * @param  {Mixed}  state Song, JSON string or data returned by song.toJSON()
+ * @return {Object}
+ */
+function toData(state) {
+  if (typeof state == 'string') {
+    return JSON.parse(state);
+  }
+  if (state && typeof state.toJSON == 'function') {
+    return state.toJSON();
+  }
+  return state || {};
+}
+
+/**
+ * Path of a keyed child, ex tracks[3] or params['Dry/Wet']
+ * @param  {String} path parent path
+ * @param  {String} name child collection
+ * @param  {Mixed}  key  index or name
+ * @return {String}
+ */
+function childPath(path, name, key) {
+  var index = typeof key == 'number' ? key : "'" + key + "'";
+  return (path ? path + '.' : '') + name + '[' + index + ']';
+}
+
+/**
+ * Path of a value of an object, ex tracks[3].volume
+ * @param  {String} path object path
+ * @param  {String} key  value name
+ * @return {String}
+ */
+function valuePath(path, key) {
+  return path ? path + '.' + key : key;
+}
+
+/**
+ * Compare two sets of objects and the values they hold
+ *
+ * Changes look like:
+ *
+ *   {type: 'added', path: 'tracks[3]', value: {...}}
+ *   {type: 'removed', path: 'tracks[1].clips[2]', prev: {...}}
+ *   {type: 'changed', path: "tracks[3].devices[0].params['Dry/Wet']", value: 0.5, prev: 0.2}
+ *
+ * Tracks, returns, scenes, clips and devices are matched by position,
+ * the same as their id, and parameters by name.  A device replaced by
+ * a different device is reported as removed and added, and a track
+ * inserted in the set is compared with the track that was at its
+ * position.
+ *
+ * @param  {Mixed} before Song, JSON string or data returned by song.toJSON()
+ * @param  {Mixed} after  Song, JSON string or data returned by song.toJSON()
+ * @return {Array}        changes in set order
+ */
+function diff(before, after) {
+  var changes = [];
+
+  function added(path, value) {
+    changes.push({type: 'added', path: path, value: value});
+  }
+
+  function removed(path, prev) {
+    changes.push({type: 'removed', path: path, prev: prev});
+  }
+
+  function changed(path, prev, value) {
+    if (_.isEqual(prev, value)) return;
+    changes.push({type: 'changed', path: path, value: value, prev: prev});
+  }
+
+  // compare the scalar values of two objects
+  function values(path, prev, next, skip) {
+    var keys = _.union(_.keys(prev), _.keys(next));
+    _.each(_.difference(keys, skip || []), function (key) {
+      changed(valuePath(path, key), prev[key], next[key]);
+    });
+  }
+
+  // compare two lists of objects by position, empty slots are null
+  function list(path, name, prev, next, compare) {
+    var length = Math.max((prev || []).length, (next || []).length);
+    for (var i = 0; i < length; i++) {
+      var a = (prev || [])[i];
+      var b = (next || [])[i];
+      var itemPath = childPath(path, name, i);
+      if (a && b) {
+        compare(itemPath, a, b);
+      } else if (b) {
+        added(itemPath, b);
+      } else if (a) {
+        removed(itemPath, a);
+      }
+    }
+  }
+
+  function sends(path, prev, next) {
+    var length = Math.max((prev || []).length, (next || []).length);
+    for (var i = 0; i < length; i++) {
+      changed(childPath(path, 'sends', i), (prev || [])[i], (next || [])[i]);
+    }
+  }
+
+  function params(path, prev, next) {
+    var byName = function (params) {
+      return _.indexBy(_.compact(params), 'name');
+    };
+    var a = byName(prev);
+    var b = byName(next);
+    _.each(_.union(_.keys(a), _.keys(b)), function (name) {
+      var paramPath = childPath(path, 'params', name);
+      if (!b[name]) {
+        removed(paramPath, a[name]);
+      } else if (!a[name]) {
+        added(paramPath, b[name]);
+      } else {
+        changed(paramPath, a[name].value, b[name].value);
+      }
+    });
+  }
+
+  function devices(path, prev, next) {
+    list(path, 'devices', prev, next, function (devicePath, a, b) {
+      if (a.name != b.name) {
+        removed(devicePath, a);
+        added(devicePath, b);
+        return;
+      }
+      params(devicePath, a.params, b.params);
+    });
+  }
+
+  function track(path, a, b) {
+    values(path, a, b, ['id', 'sends', 'clips', 'devices']);
+    sends(path, a.sends, b.sends);
+    list(path, 'clips', a.clips, b.clips, function (clipPath, prev, next) {
+      values(clipPath, prev, next, ['id']);
+    });
+    devices(path, a.devices, b.devices);
+  }
+
+  var a = toData(before);
+  var b = toData(after);
+  values('', a, b, ['version', 'scenes', 'tracks', 'returns', 'devices']);
+  list('', 'scenes', a.scenes, b.scenes, function (path, prev, next) {
+    values(path, prev, next, ['id']);
+  });
+  list('', 'tracks', a.tracks, b.tracks, track);
+  list('', 'returns', a.returns, b.returns, track);
+  devices('', a.devices, b.devices);
+  return changes;
+}
+
+/**
+ * Short description of an object for added and removed changes
+ * @param  {Object} value track, clip, device or parameter data
+ * @return {String}       ex 'Reverb'
+ */
+function describe(value) {
+  if (value && typeof value == 'object') {
+    return JSON.stringify(value.name || '');
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Format changes as text, one change per line:
+ *
+ *   + tracks[3] "Bass"
+ *   - tracks[1].clips[2] "Drums"
+ *   ~ tracks[0].volume: 0.85 -> 0.5
+ *
+ * @param  {Array}  changes changes returned by diff()
+ * @return {String}
+ */
+function format(changes) {
+  return _.map(changes, function (change) {
+    if (change.type == 'added') {
+      return '+ ' + change.path + ' ' + describe(change.value);
+    }
+    if (change.type == 'removed') {
+      return '- ' + change.path + ' ' + describe(change.prev);
+    }
+    return '~ ' + change.path + ': ' + JSON.stringify(change.prev) + ' -> ' + JSON.stringify(change.value);
+  }).join('\n');
+}
+
+exports.diff = diff;
+exports.format = format;
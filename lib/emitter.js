@@ -0,0 +1,394 @@
+/**
+ * @module node-liveosc
+ * @author Tom Dinchak <dinchak@gmail.com>
+ */
+
+var _ = require('underscore');
+var util = require('util');
+var EventEmitter = require('events').EventEmitter;
+
+/**
+ * Convert a wildcard pattern to a RegExp, * matches any characters
+ * @param  {String} pattern pattern, ex 'clip:*'
+ * @return {RegExp}
+ */
+function wildcardRegExp(pattern) {
+  var source = _.map(pattern.split('*'), function (part) {
+    return part.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+  }).join('.*');
+  return new RegExp('^' + source + '$');
+}
+
+/**
+ * Emitter object, an EventEmitter that also calls wildcard listeners
+ * subscribed to patterns like 'clip:*'.  Wildcard listeners are called
+ * after the listeners of the event with (params, ev).
+ * @constructor
+ */
+var Emitter = function () {
+  EventEmitter.call(this);
+
+  /**
+   * Wildcard subscriptions, ex [{pattern: 'clip:*', regexp: /^clip:.*$/, listener: fn}]
+   * @type {Array}
+   */
+  this.wildcards = [];
+};
+
+util.inherits(Emitter, EventEmitter);
+
+/**
+ * Emit an event to its listeners and matching wildcard listeners
+ * @param  {String}  ev event name
+ * @return {Boolean}    true if the event had listeners
+ */
+Emitter.prototype.emit = function (ev) {
+  var args = Array.prototype.slice.call(arguments, 1);
+  var matching = _.filter(this.wildcards, function (wildcard) {
+    return wildcard.regexp.test(ev);
+  });
+  var handled = false;
+  // an error with only wildcard listeners is handled, not thrown
+  if (ev != 'error' || EventEmitter.prototype.listenerCount.call(this, 'error') > 0) {
+    handled = EventEmitter.prototype.emit.apply(this, arguments);
+  } else if (!matching.length) {
+    return EventEmitter.prototype.emit.apply(this, arguments);
+  }
+  var self = this;
+  _.each(matching, function (wildcard) {
+    wildcard.listener.apply(self, [args[0], ev].concat(args.slice(1)));
+  });
+  return handled || matching.length > 0;
+};
+
+/**
+ * Subscribe a listener to a wildcard pattern
+ * @param {String}   pattern pattern, ex 'device:*'
+ * @param {Function} listener called with (params, ev)
+ * @param {Boolean}  prepend  call before the other wildcard listeners
+ */
+Emitter.prototype.addWildcard = function (pattern, listener, prepend) {
+  var wildcard = {pattern: pattern, regexp: wildcardRegExp(pattern), listener: listener};
+  if (prepend) {
+    this.wildcards.unshift(wildcard);
+  } else {
+    this.wildcards.push(wildcard);
+  }
+};
+
+/**
+ * Unsubscribe a wildcard listener
+ * @param {String}   pattern  pattern it was subscribed to
+ * @param {Function} listener listener or the callback it wraps
+ */
+Emitter.prototype.removeWildcard = function (pattern, listener) {
+  var index = _.findIndex(this.wildcards, function (wildcard) {
+    return wildcard.pattern == pattern &&
+      (wildcard.listener === listener || wildcard.listener.listener === listener);
+  });
+  if (index != -1) {
+    this.wildcards.splice(index, 1);
+  }
+};
+
+/**
+ * Remove the listeners of an event, or every listener including
+ * wildcard listeners
+ * @param  {String}  ev event name, omit to remove everything
+ * @return {Emitter}
+ */
+Emitter.prototype.removeAllListeners = function (ev) {
+  if (arguments.length === 0) {
+    this.wildcards = [];
+    return EventEmitter.prototype.removeAllListeners.call(this);
+  }
+  if (ev.indexOf('*') != -1) {
+    this.wildcards = _.reject(this.wildcards, function (wildcard) {
+      return wildcard.pattern == ev;
+    });
+    return this;
+  }
+  return EventEmitter.prototype.removeAllListeners.call(this, ev);
+};
+
+/**
+ * Wildcard listeners whose pattern matches an event
+ * @param  {String} ev event name
+ * @return {Array}     listeners
+ */
+Emitter.prototype.wildcardListeners = function (ev) {
+  return _.map(_.filter(this.wildcards, function (wildcard) {
+    return wildcard.regexp.test(ev) || wildcard.pattern == ev;
+  }), function (wildcard) {
+    return wildcard.listener.listener || wildcard.listener;
+  });
+};
+
+/**
+ * Number of listeners an event reaches, including wildcard listeners
+ * @param  {String} ev event name
+ * @return {Number}
+ */
+Emitter.prototype.listenerCount = function (ev) {
+  if (ev.indexOf('*') != -1) {
+    return this.wildcardListeners(ev).length;
+  }
+  return EventEmitter.prototype.listenerCount.call(this, ev) + this.wildcardListeners(ev).length;
+};
+
+/**
+ * Wrap a function that removes a subscription into an unsubscribe
+ * handle, the handle can be called directly or through cancel()
+ * @param  {Function} remove removes the subscription
+ * @return {Function}        handle
+ */
+function subscription(remove) {
+  var done = false;
+  var handle = function () {
+    if (done) return;
+    done = true;
+    remove();
+  };
+  handle.cancel = handle;
+  return handle;
+}
+
+/**
+ * Subscribe to an event of an object with an eventEmitter
+ * @param  {Object}   target  object with an eventEmitter
+ * @param  {String}   ev      event name or wildcard pattern
+ * @param  {Object}   filter  params the event must match, ex {trackId: 2}
+ * @param  {Function} cb      callback
+ * @param  {Object}   opts    {once: true} and/or {prepend: true}
+ * @return {Function}         unsubscribe handle
+ */
+function subscribe(target, ev, filter, cb, opts) {
+  if (typeof filter == 'function') {
+    cb = filter;
+    filter = null;
+  }
+  opts = opts || {};
+  var emitter = target.eventEmitter;
+  var listener = cb;
+  var handle;
+  if (filter || opts.once) {
+    listener = function (params) {
+      if (filter && !_.isMatch(params || {}, filter)) return;
+      if (opts.once) handle();
+      return cb.apply(this, arguments);
+    };
+    listener.listener = cb;
+  }
+  if (ev.indexOf('*') != -1) {
+    emitter.addWildcard(ev, listener, opts.prepend);
+    handle = subscription(function () {
+      emitter.removeWildcard(ev, listener);
+    });
+    return handle;
+  }
+  if (opts.prepend) {
+    emitter.prependListener(ev, listener);
+  } else {
+    emitter.on(ev, listener);
+  }
+  handle = subscription(function () {
+    emitter.removeListener(ev, listener);
+  });
+  return handle;
+}
+
+/**
+ * Group object, collects subscriptions so they can be disposed
+ * together, ex when a component unmounts
+ * @constructor
+ * @param {Object} target default object subscribed to by on() and once()
+ */
+var Group = function (target) {
+  this.target = target;
+
+  /**
+   * Unsubscribe handles of the group
+   * @type {Array}
+   */
+  this.handles = [];
+};
+
+/**
+ * Add an unsubscribe handle, or anything with a cancel() method such
+ * as a watcher or scheduled job
+ * @param  {Mixed} handle handle
+ * @return {Mixed}        the handle
+ */
+Group.prototype.add = function (handle) {
+  this.handles.push(handle);
+  return handle;
+};
+
+/**
+ * Subscribe to an event and add the subscription to the group, the
+ * target defaults to the object the group was created for
+ * @param  {Object}   target object to subscribe to, optional
+ * @param  {String}   ev     event name or wildcard pattern
+ * @param  {Object}   filter params the event must match, optional
+ * @param  {Function} cb     callback
+ * @return {Function}        unsubscribe handle
+ */
+Group.prototype.on = function () {
+  var args = Array.prototype.slice.call(arguments);
+  var target = typeof args[0] == 'string' ? this.target : args.shift();
+  return this.add(target.on.apply(target, args));
+};
+
+/**
+ * Subscribe to the next matching event and add the subscription to
+ * the group, see on()
+ * @return {Function} unsubscribe handle
+ */
+Group.prototype.once = function () {
+  var args = Array.prototype.slice.call(arguments);
+  var target = typeof args[0] == 'string' ? this.target : args.shift();
+  return this.add(target.once.apply(target, args));
+};
+
+/**
+ * Remove every subscription of the group
+ */
+Group.prototype.dispose = function () {
+  _.each(this.handles.splice(0), function (handle) {
+    if (typeof handle == 'function') {
+      handle();
+    } else {
+      handle.cancel();
+    }
+  });
+};
+
+/**
+ * Emitter methods added to objects with an eventEmitter
+ * @type {Object}
+ */
+var methods = {
+
+  /**
+   * Listen for an event.  ev may be a wildcard pattern like 'clip:*',
+   * wildcard listeners get the event name as a second argument.
+   * @param  {String}   ev     event name or pattern
+   * @param  {Object}   filter params the event must match, optional,
+   *                           ex {trackId: 2}
+   * @param  {Function} cb     callback
+   * @return {Function}        unsubscribe handle
+   */
+  on: function (ev, filter, cb) {
+    return subscribe(this, ev, filter, cb);
+  },
+
+  /**
+   * Listen for the next matching event, see on()
+   * @return {Function} unsubscribe handle
+   */
+  once: function (ev, filter, cb) {
+    return subscribe(this, ev, filter, cb, {once: true});
+  },
+
+  /**
+   * Listen for an event before the other listeners, see on()
+   * @return {Function} unsubscribe handle
+   */
+  prependListener: function (ev, filter, cb) {
+    return subscribe(this, ev, filter, cb, {prepend: true});
+  },
+
+  /**
+   * Listen for the next matching event before the other listeners,
+   * see on()
+   * @return {Function} unsubscribe handle
+   */
+  prependOnceListener: function (ev, filter, cb) {
+    return subscribe(this, ev, filter, cb, {once: true, prepend: true});
+  },
+
+  /**
+   * Stop listening
+   * @param  {String}   ev event name or pattern
+   * @param  {Function} cb callback passed to on()
+   */
+  off: function (ev, cb) {
+    if (ev.indexOf('*') != -1) {
+      this.eventEmitter.removeWildcard(ev, cb);
+    } else {
+      this.eventEmitter.removeListener(ev, cb);
+    }
+  },
+
+  /**
+   * Stop listening, same as off()
+   * @param  {String}   ev event name or pattern
+   * @param  {Function} cb callback passed to on()
+   */
+  removeListener: function (ev, cb) {
+    this.off(ev, cb);
+  },
+
+  /**
+   * Remove every listener of an event or pattern, or every listener
+   * @param  {String} ev event name or pattern, optional
+   */
+  removeAllListeners: function (ev) {
+    this.eventEmitter.removeAllListeners.apply(this.eventEmitter, arguments);
+  },
+
+  /**
+   * Callbacks an event reaches, including wildcard listeners
+   * @param  {String} ev event name
+   * @return {Array}
+   */
+  listeners: function (ev) {
+    if (ev.indexOf('*') != -1) {
+      return this.eventEmitter.wildcardListeners(ev);
+    }
+    return _.map(this.eventEmitter.rawListeners(ev), function (listener) {
+      return listener.listener || listener;
+    }).concat(this.eventEmitter.wildcardListeners(ev));
+  },
+
+  /**
+   * Number of listeners an event reaches, including wildcard listeners
+   * @param  {String} ev event name
+   * @return {Number}
+   */
+  listenerCount: function (ev) {
+    return this.eventEmitter.listenerCount(ev);
+  },
+
+  /**
+   * Names of events with listeners, wildcard patterns included
+   * @return {Array}
+   */
+  eventNames: function () {
+    return _.uniq(this.eventEmitter.eventNames().concat(_.pluck(this.eventEmitter.wildcards, 'pattern')));
+  },
+
+  /**
+   * Create a subscription group for this object
+   * @return {Group}
+   */
+  group: function () {
+    return new Group(this);
+  }
+};
+
+/**
+ * Add the emitter methods to a class, methods the class defines
+ * itself are kept.  Instances must have an eventEmitter created with
+ * new Emitter().
+ * @param {Function} Class constructor
+ */
+function mixin(Class) {
+  _.defaults(Class.prototype, methods);
+}
+
+exports.Emitter = Emitter;
+exports.Group = Group;
+exports.subscription = subscription;
+exports.subscribe = subscribe;
+exports.mixin = mixin;
@@ -0,0 +1,154 @@
+/**
+ * @module node-liveosc
+ * @author Tom Dinchak <dinchak@gmail.com>
+ */
+
+var util = require('util');
+
+/**
+ * Base class of all LiveOSC errors
+ * @constructor
+ * @param {String} message error message
+ */
+var LiveOSCError = function (message) {
+  Error.call(this);
+  Error.captureStackTrace(this, this.constructor);
+  this.name = 'LiveOSCError';
+  this.message = message;
+};
+
+util.inherits(LiveOSCError, Error);
+
+/**
+ * The receiver could not listen on its port, ex when another
+ * process is already using it
+ * @constructor
+ * @param {Number} port  port that could not be bound
+ * @param {Error}  cause socket error
+ */
+var BindError = function (port, cause) {
+  LiveOSCError.call(this, 'Unable to listen on port ' + port + ': ' + cause.message);
+  this.name = 'BindError';
+  this.port = port;
+  this.code = cause.code;
+  this.cause = cause;
+};
+
+util.inherits(BindError, LiveOSCError);
+
+/**
+ * A device parameter was set by a name the device does not have
+ * @constructor
+ * @param {Object} device Device the parameter was set on
+ * @param {String} param  name of the parameter
+ */
+var UnknownParameterError = function (device, param) {
+  LiveOSCError.call(this, 'No parameter with name ' + param + ' on device ' + device.name);
+  this.name = 'UnknownParameterError';
+  this.device = device;
+  this.param = param;
+};
+
+util.inherits(UnknownParameterError, LiveOSCError);
+
+/**
+ * A device parameter was set to a value outside its range, or set
+ * by a normalized value before its range is known
+ * @constructor
+ * @param {Object} device Device the parameter was set on
+ * @param {Object} param  parameter, ex {id: 1, name: 'Dry/Wet', min: 0, max: 1}
+ * @param {Number} value  requested value
+ */
+var ParameterRangeError = function (device, param, value) {
+  var range = typeof param.min == 'number' ? param.min + '..' + param.max : 'an unknown range';
+  LiveOSCError.call(
+    this,
+    'Value ' + value + ' of ' + param.name + ' on device ' + device.name + ' is outside ' + range
+  );
+  this.name = 'ParameterRangeError';
+  this.device = device;
+  this.param = param;
+  this.value = value;
+};
+
+util.inherits(ParameterRangeError, LiveOSCError);
+
+/**
+ * A message from Live could not be decoded or its arguments do
+ * not have the expected shape
+ * @constructor
+ * @param {String} address OSC address of the message
+ * @param {Array}  args    message arguments
+ * @param {String} reason  what is wrong with the message
+ */
+var ProtocolError = function (address, args, reason) {
+  LiveOSCError.call(this, 'Invalid ' + (address ? 'message ' + address : 'packet') + ': ' + reason);
+  this.name = 'ProtocolError';
+  this.address = address;
+  this.args = args;
+  this.reason = reason;
+};
+
+util.inherits(ProtocolError, LiveOSCError);
+
+/**
+ * Live did not answer in time
+ * @constructor
+ * @param {String} what    description of what was waited for
+ * @param {Number} timeout time waited in milliseconds
+ */
+var TimeoutError = function (what, timeout) {
+  LiveOSCError.call(this, 'Timed out after ' + timeout + 'ms waiting for ' + what);
+  this.name = 'TimeoutError';
+  this.timeout = timeout;
+};
+
+util.inherits(TimeoutError, LiveOSCError);
+
+/**
+ * A message was dropped because Live is not connected
+ * @constructor
+ * @param {String} address OSC address of the message
+ */
+var NotConnectedError = function (address) {
+  LiveOSCError.call(this, 'Not connected to Live, dropped ' + address);
+  this.name = 'NotConnectedError';
+  this.address = address;
+};
+
+util.inherits(NotConnectedError, LiveOSCError);
+
+/**
+ * A request was cancelled because LiveOSC was closed
+ * @constructor
+ */
+var ClosedError = function () {
+  LiveOSCError.call(this, 'LiveOSC was closed');
+  this.name = 'ClosedError';
+};
+
+util.inherits(ClosedError, LiveOSCError);
+
+/**
+ * A path did not lead to an object or value of the set
+ * @constructor
+ * @param {String} path   path, ex 'tracks/Drums/volume'
+ * @param {String} reason what was not found
+ */
+var UnknownPathError = function (path, reason) {
+  LiveOSCError.call(this, 'Unknown path ' + path + ': ' + reason);
+  this.name = 'UnknownPathError';
+  this.path = path;
+};
+
+util.inherits(UnknownPathError, LiveOSCError);
+
+exports.LiveOSCError = LiveOSCError;
+exports.BindError = BindError;
+exports.UnknownParameterError = UnknownParameterError;
+exports.ParameterRangeError = ParameterRangeError;
+exports.ProtocolError = ProtocolError;
+exports.TimeoutError = TimeoutError;
+exports.NotConnectedError = NotConnectedError;
+exports.ClosedError = ClosedError;
+exports.UnknownPathError = UnknownPathError;
@@ -0,0 +1,364 @@
+/**
+ * @module node-liveosc
+ * @author Tom Dinchak <dinchak@gmail.com>
+ */
+
+var _ = require('underscore');
+var EventEmitter = require('events').EventEmitter;
+var osc = require('osc-min');
+var Track = require('./track');
+var Return = require('./return');
+var Clip = require('./clip');
+var Device = require('./device');
+
+/**
+ * Inspector object, records the OSC traffic between LiveOSC and Live.
+ *
+ * Options are as follows:
+ *
+ * opts.filter = address patterns to record, ex '/live/device/*',
+ *   a pattern is a string where * matches anything, a RegExp or an
+ *   array of patterns, default everything
+ * opts.exclude = address patterns not to record, ex '/live/beat'
+ * opts.object = only record messages for a Track, Return, Clip or Device
+ * opts.direction = 'in', 'out' or 'both', default 'both'
+ * opts.limit = number of records kept, default 1000
+ * opts.window = time in milliseconds message rates are measured over,
+ *   default 1000
+ * opts.log = log recorded messages at debug level, default false
+ *
+ * Rates count all traffic, including messages that are not recorded.
+ *
+ * @constructor
+ * @param {Object} liveosc LiveOSC instance
+ * @param {Object} opts    options
+ */
+var Inspector = function (liveosc, opts) {
+  opts = opts || {};
+  this.liveosc = liveosc;
+  this.filter = opts.filter ? pattern(opts.filter) : null;
+  this.exclude = opts.exclude ? pattern(opts.exclude) : null;
+  this.object = opts.object || null;
+  this.scope = this.object ? scopeOf(this.object) : null;
+  this.direction = opts.direction || 'both';
+  this.limit = opts.limit || 1000;
+  this.window = opts.window || 1000;
+  this.log = opts.log || false;
+
+  /**
+   * Recorded messages, oldest first, ex
+   * {time: 1412160000000, direction: 'in', address: '/live/tempo',
+   *  args: [{type: 'float', value: 120}]}
+   * @type {Array}
+   */
+  this.records = [];
+
+  /**
+   * Message counters keyed by address
+   * @type {Object}
+   */
+  this.counters = {};
+
+  /**
+   * True while recording
+   * @type {Boolean}
+   */
+  this.running = false;
+
+  /**
+   * EventEmitter for recorded messages
+   * @type {EventEmitter}
+   */
+  this.eventEmitter = new EventEmitter();
+
+  var self = this;
+  this.sentListener = function (args) {
+    self.record('out', args[0], _.map(args.slice(1), typedOut));
+  };
+  this.packetListener = function (buffer) {
+    var message;
+    try {
+      message = osc.fromBuffer(buffer);
+    } catch (e) {
+      // reported by LiveOSC as a ProtocolError
+      return;
+    }
+    var elements = message.oscType == 'bundle' ? message.elements : [message];
+    _.each(elements, function (el) {
+      self.record('in', el.address, _.map(el.args, function (arg) {
+        return {type: arg.type, value: arg.value};
+      }));
+    });
+  };
+  this.messageListener = function (address) {
+    self.record('in', address, _.map(Array.prototype.slice.call(arguments, 1), typedIn));
+  };
+
+  this.start();
+};
+
+/**
+ * Start recording
+ */
+Inspector.prototype.start = function () {
+  if (this.running) return;
+  this.running = true;
+  this.liveosc.eventEmitter.on('sent', this.sentListener);
+  // decode raw packets when possible to see the argument types Live sent
+  var socket = this.liveosc.receiver._socket;
+  if (socket) {
+    socket.on('message', this.packetListener);
+  } else {
+    this.liveosc.receiver.on('message', this.messageListener);
+  }
+};
+
+/**
+ * Stop recording, records and counters are kept
+ */
+Inspector.prototype.stop = function () {
+  if (!this.running) return;
+  this.running = false;
+  this.liveosc.eventEmitter.removeListener('sent', this.sentListener);
+  var socket = this.liveosc.receiver._socket;
+  if (socket) {
+    socket.removeListener('message', this.packetListener);
+  } else {
+    this.liveosc.receiver.removeListener('message', this.messageListener);
+  }
+};
+
+/**
+ * Count a message and record it when it passes the filters
+ * @param {String} direction 'in' or 'out'
+ * @param {String} address   OSC address
+ * @param {Array}  args      typed arguments, ex [{type: 'integer', value: 1}]
+ */
+Inspector.prototype.record = function (direction, address, args) {
+  var now = Date.now();
+  this.count(direction, address, now);
+  if (!this.matches(direction, address, args)) return;
+
+  var record = {
+    time: now,
+    direction: direction,
+    address: address,
+    args: args
+  };
+  this.records.push(record);
+  if (this.records.length > this.limit) {
+    this.records.shift();
+  }
+  if (this.log) {
+    var values = _.pluck(args, 'value').join(', ');
+    this.liveosc.logger.log(
+      'debug',
+      (direction == 'in' ? 'From Live: ' : '  To Live: ') + address + (values ? ' ' + values : ''),
+      {direction: direction, address: address, args: args}
+    );
+  }
+  this.eventEmitter.emit('message', record);
+};
+
+/**
+ * Check a message against the filters
+ * @param  {String}  direction 'in' or 'out'
+ * @param  {String}  address   OSC address
+ * @param  {Array}   args      typed arguments
+ * @return {Boolean}
+ */
+Inspector.prototype.matches = function (direction, address, args) {
+  if (this.direction != 'both' && this.direction != direction) {
+    return false;
+  }
+  if (this.filter && !this.filter.test(address)) {
+    return false;
+  }
+  if (this.exclude && this.exclude.test(address)) {
+    return false;
+  }
+  if (this.object) {
+    if (!this.scope.test(address)) {
+      return false;
+    }
+    var ids = idsOf(this.object);
+    for (var i = 0; i < ids.length; i++) {
+      if (!args[i] || args[i].value !== ids[i]) {
+        return false;
+      }
+    }
+  }
+  return true;
+};
+
+/**
+ * Count a message for the rate counters
+ * @param {String} direction 'in' or 'out'
+ * @param {String} address   OSC address
+ * @param {Number} now       current time
+ */
+Inspector.prototype.count = function (direction, address, now) {
+  var counter = this.counters[address];
+  if (!counter) {
+    counter = this.counters[address] = {in: 0, out: 0, times: []};
+  }
+  counter[direction]++;
+  counter.times.push(now);
+  trim(counter, now - this.window);
+};
+
+/**
+ * Message counts and rates keyed by address, ex
+ * {'/live/beat': {in: 1200, out: 0, rate: 8}}
+ * where rate is messages per second over opts.window
+ * @return {Object}
+ */
+Inspector.prototype.rates = function () {
+  var since = Date.now() - this.window;
+  var seconds = this.window / 1000;
+  var rates = {};
+  _.each(this.counters, function (counter, address) {
+    trim(counter, since);
+    rates[address] = {
+      in: counter.in,
+      out: counter.out,
+      rate: counter.times.length / seconds
+    };
+  });
+  return rates;
+};
+
+/**
+ * Rate of all messages in messages per second over opts.window
+ * @return {Number}
+ */
+Inspector.prototype.rate = function () {
+  return _.reduce(this.rates(), function (total, counter) {
+    return total + counter.rate;
+  }, 0);
+};
+
+/**
+ * Forget all records and counters
+ */
+Inspector.prototype.clear = function () {
+  this.records = [];
+  this.counters = {};
+};
+
+/**
+ * Listen for an inspector event, current events are:
+ *
+ *   message
+ *
+ * @param  {String}   ev event name
+ * @param  {Function} cb callback
+ */
+Inspector.prototype.on = function (ev, cb) {
+  this.eventEmitter.on(ev, cb);
+};
+
+/**
+ * Drop counted times older than a time
+ * @param {Object} counter address counter
+ * @param {Number} since   oldest time kept
+ */
+function trim(counter, since) {
+  var i = 0;
+  while (i < counter.times.length && counter.times[i] <= since) {
+    i++;
+  }
+  if (i) {
+    counter.times.splice(0, i);
+  }
+}
+
+/**
+ * Compile address patterns to a RegExp
+ * @param  {Mixed}  patterns string, RegExp or array of them
+ * @return {RegExp}
+ */
+function pattern(patterns) {
+  if (patterns instanceof RegExp) {
+    return patterns;
+  }
+  var sources = _.map([].concat(patterns), function (pat) {
+    if (pat instanceof RegExp) {
+      return pat.source;
+    }
+    return '^' + pat.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*') + '$';
+  });
+  return new RegExp(sources.join('|'));
+}
+
+/**
+ * Type an outgoing argument the way OscEmitter sends it
+ * @param  {Mixed}  arg argument, ex 1 or {type: 'integer', value: 1}
+ * @return {Object}     ex {type: 'float', value: 1}
+ */
+function typedOut(arg) {
+  if (arg && typeof arg.type != 'undefined') {
+    return {type: arg.type, value: arg.value};
+  }
+  return {type: typeof arg == 'string' ? 'string' : 'float', value: arg};
+}
+
+/**
+ * Guess the type of an incoming argument when the raw packet is not
+ * available, ex with an injected receiver
+ * @param  {Mixed}  arg argument value
+ * @return {Object}     ex {type: 'integer', value: 1}
+ */
+function typedIn(arg) {
+  if (typeof arg == 'string') {
+    return {type: 'string', value: arg};
+  }
+  return {type: arg % 1 === 0 ? 'integer' : 'float', value: arg};
+}
+
+/**
+ * Ids leading the messages of an object
+ * @param  {Object} object Track, Return, Clip or Device
+ * @return {Array}
+ */
+function idsOf(object) {
+  if (object instanceof Clip) {
+    return [object.track.id, object.id];
+  }
+  if (object instanceof Device) {
+    return object.ids();
+  }
+  return [object.id];
+}
+
+/**
+ * Addresses an object sends and receives messages on
+ * @param  {Object} object Track, Return, Clip or Device
+ * @return {RegExp}
+ */
+function scopeOf(object) {
+  if (object instanceof Clip) {
+    return /^\/live\/(clip\/|pitch$|name\/clip$|play\/clipslot$|stop\/clip$)/;
+  }
+  if (object instanceof Device) {
+    if (object.type == 'master') {
+      return /^\/live\/master\/device/;
+    }
+    if (object.type == 'return') {
+      return /^\/live\/return\/device/;
+    }
+    return /^\/live\/(device|track\/device\/view$)/;
+  }
+  if (object instanceof Return) {
+    return /^\/live\/(return\/|name\/return$)/;
+  }
+  if (object instanceof Track) {
+    return new RegExp(
+      '^/live/(track/|name/track$|send$|solo$|arm$|mute$|volume$|pan$|devicelist$|' +
+      'device|clip/|pitch$|name/clip$|play/clipslot$|stop/clip$|stop/track$)'
+    );
+  }
+  throw new Error('Cannot inspect ' + object);
+}
+
+module.exports = Inspector;
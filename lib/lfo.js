@@ -0,0 +1,276 @@
+/**
+ * @module node-liveosc
+ * @author Tom Dinchak <dinchak@gmail.com>
+ */
+
+var _ = require('underscore');
+
+/**
+ * LFO wave shapes, map a phase 0..1 to -1..1.  random is a sample
+ * and hold of the value picked at the start of each cycle.
+ * @type {Object}
+ */
+var shapes = {
+  sine: function (p) {
+    return Math.sin(2 * Math.PI * p);
+  },
+  triangle: function (p) {
+    return p < 0.5 ? 4 * p - 1 : 3 - 4 * p;
+  },
+  square: function (p) {
+    return p < 0.5 ? 1 : -1;
+  },
+  saw: function (p) {
+    return 2 * p - 1;
+  },
+  random: function (p, held) {
+    return held;
+  }
+};
+
+/**
+ * LFO options that can be given by the user, the rest are set by the
+ * caller
+ * @type {Array}
+ */
+var userOptions = ['min', 'max', 'shape', 'rate', 'depth', 'offset', 'phase', 'step', 'maxRate'];
+
+/**
+ * Lfo object, modulates a value with a tempo synced wave by calling a
+ * setter at a capped update rate.  The phase restarts when the song
+ * starts playing.
+ *
+ * Options are as follows:
+ *
+ * opts.target = object the LFO changes, ex a Device
+ * opts.name = name of the changed value on the target, ex 'Dry/Wet',
+ *   a new LFO of the same target and name stops the running one
+ * opts.set = function called with each value, returning a Promise
+ * opts.min, opts.max = range of the value, output is clamped to it
+ * opts.shape = 'sine', 'triangle', 'square', 'saw' or 'random', default 'sine'
+ * opts.rate = length of a cycle, beats as a number, ex 2, a string
+ *   like '2 bars' or '3 beats', or {bars: 2}, default one bar
+ * opts.depth = amplitude in units of the value, default half the range
+ * opts.offset = center in units of the value, default the middle of the range
+ * opts.phase = phase to start at, 0..1, default 0
+ * opts.step = round values to multiples of step, default no rounding
+ * opts.maxRate = maximum updates per second, default 20
+ *
+ * @constructor
+ * @param {Object} liveosc LiveOSC instance
+ * @param {Object} opts    options
+ */
+var Lfo = function (liveosc, opts) {
+  this.liveosc = liveosc;
+  this.song = liveosc.song;
+  this.target = opts.target;
+  this.name = opts.name;
+  this.set = opts.set;
+  this.min = opts.min;
+  this.max = opts.max;
+  this.shape = opts.shape || 'sine';
+  this.rate = typeof opts.rate != 'undefined' ? opts.rate : {bars: 1};
+  this.depth = typeof opts.depth == 'number' ? opts.depth : (this.max - this.min) / 2;
+  this.offset = typeof opts.offset == 'number' ? opts.offset : (this.min + this.max) / 2;
+  this.phase = opts.phase || 0;
+  this.step = opts.step || 0;
+  this.maxRate = opts.maxRate || 20;
+
+  if (!shapes[this.shape]) {
+    throw new Error('Unknown LFO shape ' + this.shape);
+  }
+  this.period();
+
+  /**
+   * Last value passed to the setter
+   * @type {Number}
+   */
+  this.value = undefined;
+
+  /**
+   * True while modulating
+   * @type {Boolean}
+   */
+  this.running = false;
+
+  /**
+   * Held value of the random shape
+   * @type {Number}
+   */
+  this.held = 0;
+
+  /**
+   * Cycle the held value was picked in
+   * @type {Number}
+   */
+  this.cycle = null;
+
+  var self = this;
+
+  /**
+   * Resolves once the LFO is stopped
+   * @type {Promise}
+   */
+  this.promise = new Promise(function (resolve) {
+    self.resolve = resolve;
+  });
+
+  this.playListener = function (param) {
+    if (param.value == 2) {
+      self.restart();
+    }
+  };
+
+  this.destroyListener = function () {
+    self.stop();
+  };
+};
+
+/**
+ * Start modulating, stops any running LFO of the same target and name
+ * @return {Lfo} this LFO
+ */
+Lfo.prototype.start = function () {
+  var self = this;
+  _.each(this.song.lfos.slice(), function (lfo) {
+    if (lfo.target === self.target && lfo.name == self.name) {
+      lfo.stop();
+    }
+  });
+  this.running = true;
+  this.song.lfos.push(this);
+  this.song.eventEmitter.on('play', this.playListener);
+  if (this.target && this.target !== this.song) {
+    this.target.eventEmitter.on('destroy', this.destroyListener);
+  }
+  this.restart();
+  this.timer = setInterval(function () {
+    self.tick();
+  }, 1000 / this.maxRate);
+  this.tick();
+  return this;
+};
+
+/**
+ * Restart the wave at opts.phase
+ */
+Lfo.prototype.restart = function () {
+  this.origin = this.song.clock.elapsed();
+  this.cycle = null;
+};
+
+/**
+ * Length of a cycle
+ * @return {Number} beats
+ */
+Lfo.prototype.period = function () {
+  return this.song.clock.toBeats(this.rate);
+};
+
+/**
+ * Value of the wave at the current time
+ * @return {Number} value rounded to opts.step and clamped to opts.min and opts.max
+ */
+Lfo.prototype.valueAt = function () {
+  var position = (this.song.clock.elapsed() - this.origin) / this.period() + this.phase;
+  var cycle = Math.floor(position);
+  if (cycle !== this.cycle) {
+    this.cycle = cycle;
+    this.held = Math.random() * 2 - 1;
+  }
+  var value = this.offset + this.depth * shapes[this.shape](position - cycle, this.held);
+  if (this.step) {
+    value = Math.round(value / this.step) * this.step;
+  }
+  return Math.min(Math.max(value, this.min), this.max);
+};
+
+/**
+ * Send the current value if it changed
+ */
+Lfo.prototype.tick = function () {
+  var value = this.valueAt();
+  if (value !== this.value) {
+    this.value = value;
+    this.set(value);
+  }
+};
+
+/**
+ * Stop modulating, the value stays where it is
+ */
+Lfo.prototype.stop = function () {
+  if (!this.running) return;
+  this.running = false;
+  clearInterval(this.timer);
+  this.song.eventEmitter.removeListener('play', this.playListener);
+  if (this.target && this.target !== this.song) {
+    this.target.eventEmitter.removeListener('destroy', this.destroyListener);
+  }
+  this.song.lfos = _.without(this.song.lfos, this);
+  this.resolve();
+};
+
+/**
+ * Stop modulating, same as stop() so an LFO can be cancelled like a
+ * Ramp
+ */
+Lfo.prototype.cancel = function () {
+  this.stop();
+};
+
+/**
+ * Wait for the LFO, resolves once it is stopped
+ * @param  {Function} onResolve called once stopped
+ * @param  {Function} onReject  called on failure
+ * @return {Promise}
+ */
+Lfo.prototype.then = function (onResolve, onReject) {
+  return this.promise.then(onResolve, onReject);
+};
+
+/**
+ * Handle a failed LFO
+ * @param  {Function} onReject called with the error
+ * @return {Promise}
+ */
+Lfo.prototype.catch = function (onReject) {
+  return this.promise.catch(onReject);
+};
+
+/**
+ * Create and start an LFO
+ * @param  {Object} liveosc LiveOSC instance
+ * @param  {Object} spec    LFO options set by the caller, ex target and setter
+ * @param  {Object} opts    LFO options given by the user, the target,
+ *                          name and setter can not be changed
+ * @return {Lfo}
+ */
+Lfo.start = function (liveosc, spec, opts) {
+  return new Lfo(liveosc, _.extend({}, spec, _.pick(opts || {}, userOptions))).start();
+};
+
+/**
+ * Create an LFO that never starts, for callers that can not start
+ * one.  The error is reported with liveosc.fail() and the LFO
+ * rejects with it, stop() does nothing.
+ * @param  {Object} liveosc LiveOSC instance
+ * @param  {Error}  err     LiveOSCError
+ * @return {Lfo}
+ */
+Lfo.failed = function (liveosc, err) {
+  var lfo = Object.create(Lfo.prototype);
+  lfo.liveosc = liveosc;
+  lfo.song = liveosc.song;
+  lfo.running = false;
+  lfo.promise = liveosc.fail(err);
+  return lfo;
+};
+
+/**
+ * LFO wave shapes
+ * @type {Object}
+ */
+Lfo.shapes = shapes;
+
+module.exports = Lfo;
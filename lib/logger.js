@@ -0,0 +1,142 @@
+/**
+ * @module node-liveosc
+ * @author Tom Dinchak <dinchak@gmail.com>
+ */
+
+var _ = require('underscore');
+var chalk = require('chalk');
+
+/**
+ * Log levels, lower is more severe
+ * @type {Object}
+ */
+var levels = {
+  error: 0,
+  warn: 1,
+  info: 2,
+  debug: 3,
+  trace: 4
+};
+
+/**
+ * Colors of the levels in text output
+ * @type {Object}
+ */
+var colors = {
+  error: chalk.red,
+  warn: chalk.yellow,
+  info: chalk.cyan,
+  debug: chalk.magenta,
+  trace: chalk.gray
+};
+
+/**
+ * Logger object, writes structured log entries.  Any object with a
+ * log(level, msg, fields) method can be passed to LiveOSC instead.
+ *
+ * Options are as follows:
+ *
+ * opts.level = most verbose level written, one of error, warn, info,
+ *   debug, trace, or silent to write nothing, default info
+ * opts.json = write entries as JSON lines instead of text, default false
+ * opts.sink = function called with each entry object, or a stream
+ *   the formatted lines are written to, default the console
+ *
+ * @constructor
+ * @param {Object} opts options
+ */
+var Logger = function (opts) {
+  opts = opts || {};
+
+  /**
+   * Most verbose level written
+   * @type {String}
+   */
+  this.level = opts.level || 'info';
+
+  /**
+   * True to write JSON lines
+   * @type {Boolean}
+   */
+  this.json = opts.json || false;
+
+  /**
+   * Function or stream entries are written to
+   * @type {Mixed}
+   */
+  this.sink = opts.sink || null;
+};
+
+/**
+ * Check whether entries of a level are written
+ * @param  {String}  level log level
+ * @return {Boolean}
+ */
+Logger.prototype.enabled = function (level) {
+  if (this.level == 'silent') return false;
+  return levels[level] <= levels[this.level];
+};
+
+/**
+ * Write a log entry, entries look like
+ * {time: '2014-10-01T12:00:00.000Z', level: 'info', msg: 'Connected to Live'}
+ * with the fields merged in
+ * @param {String} level  log level
+ * @param {String} msg    message
+ * @param {Object} fields extra fields of the entry
+ */
+Logger.prototype.log = function (level, msg, fields) {
+  if (!this.enabled(level)) return;
+  var entry = _.extend({
+    time: new Date().toISOString(),
+    level: level,
+    msg: msg
+  }, fields);
+  if (typeof this.sink == 'function') {
+    this.sink(entry);
+    return;
+  }
+  var line = this.json ? JSON.stringify(entry) : format(entry);
+  if (this.sink) {
+    this.sink.write(line + '\n');
+  } else if (levels[level] <= levels.warn) {
+    console.error(line);
+  } else {
+    console.log(line);
+  }
+};
+
+_.each(_.keys(levels), function (level) {
+  /**
+   * Write a log entry at this level
+   * @param {String} msg    message
+   * @param {Object} fields extra fields of the entry
+   */
+  Logger.prototype[level] = function (msg, fields) {
+    this.log(level, msg, fields);
+  };
+});
+
+/**
+ * Format an entry as a line of text, fields with simple values are
+ * appended as key=value
+ * @param  {Object} entry log entry
+ * @return {String}
+ */
+function format(entry) {
+  var line = chalk.gray(entry.time) + ' ' + colors[entry.level](entry.level) + ' ' + entry.msg;
+  _.each(_.omit(entry, 'time', 'level', 'msg'), function (value, key) {
+    if (value === null || typeof value != 'object') {
+      line += ' ' + key + '=' + value;
+    }
+  });
+  return line;
+}
+
+/**
+ * Log levels, lower is more severe
+ * @type {Object}
+ */
+Logger.levels = levels;
+
+module.exports = Logger;
@@ -0,0 +1,378 @@
+/**
+ * @module node-liveosc
+ * @author Tom Dinchak <dinchak@gmail.com>
+ */
+
+var _ = require('underscore');
+var emitter = require('./emitter');
+var Device = require('./device');
+var Ramp = require('./ramp');
+var mixer = require('./mixer');
+
+/**
+ * MasterTrack object, represents the master track of the Ableton Live
+ * set.  Has the same shape as Track and Return so the master can be
+ * handled like any other channel.
+ * @constructor
+ * @param {Object} liveosc LiveOSC instance
+ * @param {Song}   song    song the master track belongs to
+ */
+var MasterTrack = function (liveosc, song) {
+
+  /**
+   * Instance of LiveOSC
+   * @type {Object}
+   */
+  this.liveosc = liveosc;
+
+  /**
+   * Song the master track belongs to, set before liveosc.song is
+   * assigned
+   * @type {Song}
+   */
+  this.song = song;
+
+  /**
+   * Name of the master track
+   * @type {String}
+   */
+  this.name = 'Master';
+
+  /**
+   * Master volume
+   * @type {Number}
+   */
+  this.volume = 0;
+
+  /**
+   * Master panning
+   * @type {Number}
+   */
+  this.pan = 0;
+
+  /**
+   * Cue (preview) volume
+   * @type {Number}
+   */
+  this.cueVolume = 0;
+
+  /**
+   * Crossfader position, -1.0 (A) - 1.0 (B)
+   * @type {Number}
+   */
+  this.crossfader = 0;
+
+  /**
+   * Devices on the master track
+   * @type {Array}
+   */
+  this.devices = [];
+
+  /**
+   * EventEmitter for master track events
+   * @type {Emitter}
+   */
+  this.eventEmitter = new emitter.Emitter();
+
+  var self = this;
+
+  /**
+   * Listen for /live/master/volume
+   * @param  {Number} volume new volume (0.0 - 1.0)
+   */
+  function volumeListener(volume) {
+    self.emitEvent('volume', {
+      value: volume,
+      prev: self.volume
+    });
+    self.volume = volume;
+  }
+
+  /**
+   * Listen for /live/master/pan
+   * @param  {Number} pan new panning (-1.0 - 1.0)
+   */
+  function panListener(pan) {
+    self.emitEvent('pan', {
+      value: pan,
+      prev: self.pan
+    });
+    self.pan = pan;
+  }
+
+  /**
+   * Listen for /live/master/cue
+   * @param  {Number} cueVolume new cue volume (0.0 - 1.0)
+   */
+  function cueListener(cueVolume) {
+    self.emitEvent('cueVolume', {
+      value: cueVolume,
+      prev: self.cueVolume
+    });
+    self.cueVolume = cueVolume;
+  }
+
+  /**
+   * Listen for /live/master/crossfader
+   * @param  {Number} crossfader new crossfader position (-1.0 - 1.0)
+   */
+  function crossfaderListener(crossfader) {
+    self.emitEvent('crossfader', {
+      value: crossfader,
+      prev: self.crossfader
+    });
+    self.crossfader = crossfader;
+  }
+
+  /**
+   * Listen for /live/master/devicelist
+   */
+  function devicelistListener() {
+    var args = Array.prototype.slice.call(arguments, 0);
+    self.devices = Device.reconcile(liveosc, self.devices, args, self, 'master');
+  }
+
+  liveosc.router.add('/live/master/volume', [], volumeListener);
+  liveosc.router.add('/live/master/pan', [], panListener);
+  liveosc.router.add('/live/master/cue', [], cueListener);
+  liveosc.router.add('/live/master/crossfader', [], crossfaderListener);
+  liveosc.router.add('/live/master/devicelist', [], devicelistListener);
+
+  /**
+   * Called when the song is destroyed
+   */
+  this.destroy = function () {
+    this.eventEmitter.emit('destroy');
+    this.eventEmitter.removeAllListeners();
+    this.liveosc.router.remove('/live/master/volume', [], volumeListener);
+    this.liveosc.router.remove('/live/master/pan', [], panListener);
+    this.liveosc.router.remove('/live/master/cue', [], cueListener);
+    this.liveosc.router.remove('/live/master/crossfader', [], crossfaderListener);
+    this.liveosc.router.remove('/live/master/devicelist', [], devicelistListener);
+
+    _.each(this.devices, function (device) {
+      device.destroy();
+    });
+    this.devices = [];
+  };
+};
+
+/**
+ * Request the master track state and devices
+ */
+MasterTrack.prototype.refresh = function () {
+  this.song.request('/live/master/volume');
+  this.song.request('/live/master/pan');
+  // not every LiveOSC build answers these, so refresh does not wait for them
+  this.liveosc.transmit(['/live/master/cue']);
+  this.liveosc.transmit(['/live/master/crossfader']);
+  this.song.request('/live/master/devicelist');
+};
+
+/**
+ * Set the master volume
+ * @param {Number} volume 0.0 - 1.0
+ */
+MasterTrack.prototype.setVolume = function (volume) {
+  return this.liveosc.send('/live/master/volume',
+    {
+      type: 'float',
+      value: volume
+    }
+  );
+};
+
+/**
+ * Set the master panning
+ * @param {Number} pan -1.0 - 1.0
+ */
+MasterTrack.prototype.setPan = function (pan) {
+  return this.liveosc.send('/live/master/pan',
+    {
+      type: 'float',
+      value: pan
+    }
+  );
+};
+
+/**
+ * Set the cue volume
+ * @param {Number} cueVolume 0.0 - 1.0
+ */
+MasterTrack.prototype.setCueVolume = function (cueVolume) {
+  return this.liveosc.send('/live/master/cue',
+    {
+      type: 'float',
+      value: cueVolume
+    }
+  );
+};
+
+/**
+ * Set the crossfader position
+ * @param {Number} crossfader -1.0 (A) - 1.0 (B)
+ */
+MasterTrack.prototype.setCrossfader = function (crossfader) {
+  return this.liveosc.send('/live/master/crossfader',
+    {
+      type: 'float',
+      value: crossfader
+    }
+  );
+};
+
+/**
+ * Ramp the crossfader, see Ramp for the options
+ * @param  {Number} crossfader target position, -1.0 (A) - 1.0 (B)
+ * @param  {Object} opts       ramp options, ex {bars: 8, curve: 's'}
+ * @return {Ramp}              resolves with true once the position is reached
+ */
+MasterTrack.prototype.rampCrossfader = function (crossfader, opts) {
+  var self = this;
+  return Ramp.start(this.liveosc, {
+    target: this,
+    name: 'crossfader',
+    from: this.crossfader,
+    to: crossfader,
+    set: function (value) {
+      return self.setCrossfader(value);
+    }
+  }, opts);
+};
+
+/**
+ * Focus the master track
+ */
+MasterTrack.prototype.view = function () {
+  return this.liveosc.send('/live/master/view');
+};
+
+/**
+ * Query the master volume
+ * @return {Promise} resolves with the volume
+ */
+MasterTrack.prototype.fetchVolume = function () {
+  return this.liveosc.query('/live/master/volume').then(function (args) {
+    return args[0];
+  });
+};
+
+/**
+ * Query the master panning
+ * @return {Promise} resolves with the panning
+ */
+MasterTrack.prototype.fetchPan = function () {
+  return this.liveosc.query('/live/master/pan').then(function (args) {
+    return args[0];
+  });
+};
+
+/**
+ * Query the cue volume
+ * @return {Promise} resolves with the cue volume
+ */
+MasterTrack.prototype.fetchCueVolume = function () {
+  return this.liveosc.query('/live/master/cue').then(function (args) {
+    return args[0];
+  });
+};
+
+/**
+ * Query the crossfader position
+ * @return {Promise} resolves with the crossfader position
+ */
+MasterTrack.prototype.fetchCrossfader = function () {
+  return this.liveosc.query('/live/master/crossfader').then(function (args) {
+    return args[0];
+  });
+};
+
+/**
+ * Query the master track devices
+ * @return {Promise} resolves with a list of devices, ex [{id: 0, name: 'Limiter'}]
+ */
+MasterTrack.prototype.fetchDevices = function () {
+  return this.liveosc.query('/live/master/devicelist').then(function (args) {
+    var devices = [];
+    for (var i = 0; i < args.length; i += 2) {
+      devices.push({id: args[i], name: args[i + 1]});
+    }
+    return devices;
+  });
+};
+
+/**
+ * Listen for a master track event, current events are:
+ *
+ *   volume
+ *   pan
+ *   cueVolume
+ *   crossfader
+ *   destroy
+ *
+ * @param  {String}   ev     event name or pattern
+ * @param  {Object}   filter parameters to match, optional
+ * @param  {Function} cb     callback
+ * @return {Function}        unsubscribe handle, also has cancel()
+ */
+MasterTrack.prototype.on = function (ev, filter, cb) {
+  return emitter.subscribe(this, ev, filter, cb);
+};
+
+/**
+ * Emit a master track event, mixer changes are also emitted on the
+ * song without a prefix, ex song.on('crossfader')
+ * @param  {String} ev     event name
+ * @param  {Object} params event parameters
+ */
+MasterTrack.prototype.emitEvent = function (ev, params) {
+  var song = this.song;
+  this.eventEmitter.emit(ev, params);
+  song.eventEmitter.emit('master:' + ev, _.extend({}, params));
+  if (_.contains(['volume', 'pan', 'cueVolume', 'crossfader'], ev)) {
+    song.eventEmitter.emit(ev, params);
+  }
+};
+
+/**
+ * Plain data of the master track, Song.prototype.toJSON keeps it at
+ * the top level of the song data
+ * @return {Object}
+ */
+MasterTrack.prototype.toJSON = function () {
+  return {
+    volume: this.volume,
+    pan: this.pan,
+    cueVolume: this.cueVolume,
+    crossfader: this.crossfader,
+    devices: _.invoke(this.devices, 'toJSON')
+  };
+};
+
+/**
+ * Create a master track from data returned by toJSON, the master is
+ * not connected to Live
+ * @param  {Object}      data master track data
+ * @param  {Song}        song song the master track belongs to
+ * @return {MasterTrack}
+ */
+MasterTrack.fromJSON = function (data, song) {
+  var master = Object.create(MasterTrack.prototype);
+  master.liveosc = null;
+  master.song = song;
+  master.name = 'Master';
+  _.extend(master, {cueVolume: 0, crossfader: 0}, _.pick(data, 'volume', 'pan', 'cueVolume', 'crossfader'));
+  master.devices = _.map(data.devices || [], function (device) {
+    return Device.fromJSON(device, master);
+  });
+  master.eventEmitter = new emitter.Emitter();
+  master.destroy = function () {
+    master.eventEmitter.removeAllListeners();
+  };
+  return master;
+};
+
+emitter.mixin(MasterTrack);
+mixer.mixin(MasterTrack, 'the master track');
+
+module.exports = MasterTrack;
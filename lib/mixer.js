@@ -0,0 +1,135 @@
+/**
+ * @module node-liveosc
+ * @author Tom Dinchak <dinchak@gmail.com>
+ */
+
+var _ = require('underscore');
+var Ramp = require('./ramp');
+var Lfo = require('./lfo');
+
+/**
+ * Ramp and LFO methods shared by tracks, return tracks and the master
+ * track.  They read the volume, pan and sends properties and call the
+ * setVolume, setPan and setSend setters of the class.
+ * @type {Object}
+ */
+var methods = {
+
+  /**
+   * Ramp the volume, see Ramp for the options
+   * @param  {Number} volume target volume
+   * @param  {Object} opts   ramp options, ex {beats: 8, curve: 'exp'}
+   * @return {Ramp}          resolves with true once the volume is reached
+   */
+  rampVolume: function (volume, opts) {
+    var self = this;
+    return Ramp.start(this.liveosc, {
+      target: this,
+      name: 'volume',
+      from: this.volume,
+      to: volume,
+      set: function (value) {
+        return self.setVolume(value);
+      }
+    }, opts);
+  },
+
+  /**
+   * Ramp the panning, see Ramp for the options
+   * @param  {Number} pan  target panning
+   * @param  {Object} opts ramp options, ex {beats: 8}
+   * @return {Ramp}        resolves with true once the panning is reached
+   */
+  rampPan: function (pan, opts) {
+    var self = this;
+    return Ramp.start(this.liveosc, {
+      target: this,
+      name: 'pan',
+      from: this.pan,
+      to: pan,
+      set: function (value) {
+        return self.setPan(value);
+      }
+    }, opts);
+  },
+
+  /**
+   * Ramp a send level, see Ramp for the options
+   * @param  {Number} send send id
+   * @param  {Number} val  target send level
+   * @param  {Object} opts ramp options, ex {bars: 2}
+   * @return {Ramp}        resolves with true once the level is reached
+   */
+  rampSend: function (send, val, opts) {
+    var self = this;
+    return Ramp.start(this.liveosc, {
+      target: this,
+      name: 'send ' + send,
+      from: this.sends[send] || 0,
+      to: val,
+      set: function (value) {
+        return self.setSend(send, value);
+      }
+    }, opts);
+  }
+};
+
+/**
+ * Modulate the volume, panning or a send of a channel with an LFO
+ * @param  {Object} channel track, return track or master track
+ * @param  {String} noun    name of the channel in errors, ex 'a track'
+ * @param  {String} name    'volume', 'pan' or 'send <id>', ex 'send 0'
+ * @param  {Object} opts    LFO options
+ * @return {Lfo}
+ */
+function modulate(channel, noun, name, opts) {
+  var spec = {target: channel, name: name, min: 0, max: 1};
+  var send = /^send (\d+)$/.exec(name);
+  if (name == 'volume') {
+    spec.set = function (value) {
+      return channel.setVolume(value);
+    };
+  } else if (name == 'pan') {
+    spec.min = -1;
+    spec.set = function (value) {
+      return channel.setPan(value);
+    };
+  } else if (send && channel.setSend) {
+    spec.set = function (value) {
+      return channel.setSend(parseInt(send[1], 10), value);
+    };
+  } else {
+    throw new Error('Cannot modulate ' + name + ' of ' + noun);
+  }
+  return Lfo.start(channel.liveosc, spec, opts);
+}
+
+/**
+ * Add the ramp and modulate methods to a channel class, methods the
+ * class defines itself are kept.  rampSend and modulating sends are
+ * only added when the class has a setSend method, so mixin() is
+ * called after the prototype is complete.
+ * @param {Function} Class constructor
+ * @param {String}   noun  name of the channel in errors, ex 'a track'
+ */
+function mixin(Class, noun) {
+  var added = _.pick(methods, 'rampVolume', 'rampPan');
+  if (Class.prototype.setSend) {
+    added.rampSend = methods.rampSend;
+  }
+
+  /**
+   * Modulate the volume, panning or a send with an LFO, see Lfo for
+   * the options
+   * @param  {String} name 'volume', 'pan' or 'send <id>', ex 'send 0'
+   * @param  {Object} opts LFO options, ex {shape: 'triangle', rate: '2 bars'}
+   * @return {Lfo}
+   */
+  added.modulate = function (name, opts) {
+    return modulate(this, noun, name, opts);
+  };
+
+  _.defaults(Class.prototype, added);
+}
+
+exports.mixin = mixin;
@@ -0,0 +1,710 @@
+/**
+ * @module node-liveosc
+ * @author Tom Dinchak <dinchak@gmail.com>
+ */
+
+var _ = require('underscore');
+var OscReceiver = require('osc-receiver');
+var OscEmitter = require('osc-emitter');
+
+/**
+ * Set used when MockLive is created without one
+ * @type {Object}
+ */
+var defaultSet = {
+  tempo: 120,
+  volume: 0.85,
+  pan: 0,
+  cueVolume: 0.85,
+  crossfader: 0,
+  scenes: ['1', '2', '3', '4'],
+  tracks: [
+    {
+      name: '1-MIDI',
+      audio: 0,
+      clips: [
+        {name: 'Bass', length: 16, loopstart: 0, loopend: 16}
+      ],
+      devices: [
+        {
+          name: 'Operator',
+          params: [
+            {name: 'Device On', value: 1, min: 0, max: 1},
+            {name: 'Filter Freq', value: 0.75, min: 0, max: 1}
+          ]
+        }
+      ]
+    },
+    {
+      name: '2-Audio',
+      audio: 1,
+      clips: [
+        null,
+        {name: 'Drums', length: 8, loopstart: 0, loopend: 8, warping: 0}
+      ]
+    }
+  ],
+  returns: [
+    {
+      name: 'A-Reverb',
+      devices: [
+        {
+          name: 'Reverb',
+          params: [
+            {name: 'Device On', value: 1, min: 0, max: 1},
+            {name: 'Dry/Wet', value: 1, min: 0, max: 1}
+          ]
+        }
+      ]
+    }
+  ],
+  devices: [
+    {
+      name: 'Limiter',
+      params: [
+        {name: 'Device On', value: 1, min: 0, max: 1},
+        {name: 'Gain', value: 0, min: -24, max: 24}
+      ]
+    }
+  ]
+};
+
+/**
+ * Fill in default values for a device definition
+ * @param  {Object} device device definition
+ * @return {Object}        device state
+ */
+function normalizeDevice(device) {
+  return {
+    name: device.name || 'Device',
+    params: _.map(device.params || [], function (param) {
+      return _.defaults({}, param, {name: 'Param', value: 0, min: 0, max: 1});
+    })
+  };
+}
+
+/**
+ * Fill in default values for a clip definition
+ * @param  {Object} clip clip definition, null for an empty slot
+ * @return {Object}      clip state
+ */
+function normalizeClip(clip) {
+  if (!clip) {
+    return {state: 0, name: '', length: 0};
+  }
+  var length = clip.length || 4;
+  return _.defaults({}, clip, {
+    state: 1,
+    name: '',
+    length: length,
+    loopstart: 0,
+    loopend: length,
+    loopstate: 1,
+    warping: 0,
+    coarse: 0,
+    fine: 0
+  });
+}
+
+/**
+ * Fill in default values for a set definition
+ * @param  {Object} set set definition
+ * @return {Object}     set state
+ */
+function normalizeSet(set) {
+  set = set || {};
+  var scenes = set.scenes || 1;
+  if (typeof scenes == 'number') {
+    scenes = _.map(_.range(scenes), function (i) {
+      return String(i + 1);
+    });
+  }
+  var returns = _.map(set.returns || [], function (ret, i) {
+    return {
+      name: ret.name || String.fromCharCode(65 + i) + '-Return',
+      solo: ret.solo || 0,
+      mute: ret.mute || 0,
+      volume: _.has(ret, 'volume') ? ret.volume : 0.85,
+      pan: ret.pan || 0,
+      sends: [],
+      devices: _.map(ret.devices || [], normalizeDevice)
+    };
+  });
+  var tracks = _.map(set.tracks || [], function (track, i) {
+    var clips = _.map(_.range(scenes.length), function (j) {
+      return normalizeClip((track.clips || [])[j]);
+    });
+    return {
+      name: track.name || (i + 1) + '-' + (track.audio ? 'Audio' : 'MIDI'),
+      audio: track.audio || 0,
+      arm: track.arm || 0,
+      solo: track.solo || 0,
+      mute: track.mute || 0,
+      volume: _.has(track, 'volume') ? track.volume : 0.85,
+      pan: track.pan || 0,
+      crossfader: _.has(track, 'crossfader') ? track.crossfader : 1,
+      sends: _.map(returns, function (ret, j) {
+        return (track.sends || [])[j] || 0;
+      }),
+      clips: clips,
+      devices: _.map(track.devices || [], normalizeDevice)
+    };
+  });
+  return {
+    tempo: set.tempo || 120,
+    signature: set.signature || [4, 4],
+    volume: _.has(set, 'volume') ? set.volume : 0.85,
+    pan: set.pan || 0,
+    cueVolume: _.has(set, 'cueVolume') ? set.cueVolume : 0.85,
+    crossfader: set.crossfader || 0,
+    scene: 0,
+    scenes: _.map(scenes, function (name) {
+      return {name: name};
+    }),
+    tracks: tracks,
+    returns: returns,
+    devices: _.map(set.devices || [], normalizeDevice)
+  };
+}
+
+/**
+ * Convert a value to a typed OSC argument
+ * @param  {Mixed}  value argument value
+ * @return {Object}       typed argument
+ */
+function typed(value) {
+  if (typeof value == 'string') {
+    return {type: 'string', value: value};
+  }
+  if (value % 1 === 0) {
+    return {type: 'integer', value: value};
+  }
+  return {type: 'float', value: value};
+}
+
+/**
+ * Arguments for a device list reply
+ * @param  {Array} devices device states
+ * @return {Array}         ex [0, 'Reverb', 1, 'EQ Eight']
+ */
+function deviceList(devices) {
+  var args = [];
+  _.each(devices, function (device, i) {
+    args.push(i, device.name);
+  });
+  return args;
+}
+
+/**
+ * Arguments for a send level reply
+ * @param  {Array} sends send levels
+ * @return {Array}       ex [0, 0.5, 1, 0.0]
+ */
+function sendList(sends) {
+  var args = [];
+  _.each(sends, function (value, i) {
+    args.push(i, value);
+  });
+  return args;
+}
+
+/**
+ * Arguments for a parameter value reply
+ * @param  {Object} device device state
+ * @return {Array}         ex [0, 1, 'Device On', 1, 0.5, 'Dry/Wet']
+ */
+function paramList(device) {
+  var args = [];
+  _.each(device.params, function (param, i) {
+    args.push(i, param.value, param.name);
+  });
+  return args;
+}
+
+/**
+ * Arguments for a parameter range reply
+ * @param  {Object} device device state
+ * @return {Array}         ex [0, 0, 1, 1, 0, 1]
+ */
+function rangeList(device) {
+  var args = [];
+  _.each(device.params, function (param, i) {
+    args.push(i, param.min, param.max);
+  });
+  return args;
+}
+
+/**
+ * MockLive stands in for Ableton Live running the LiveOSC remote
+ * script.  It holds a fake set and answers every request the library
+ * sends, so LiveOSC can be used without a studio machine.
+ *
+ * Options are as follows:
+ *
+ * opts.set = fake set, see MockLive.defaultSet for the format
+ * opts.port = port to listen on, default 9005
+ * opts.replyHost = host LiveOSC is listening on, default 127.0.0.1
+ * opts.replyPort = port LiveOSC is listening on, default 9006
+ *
+ * It can be used as a UDP server:
+ *
+ *   var mock = new MockLive();
+ *   mock.listen().then(function () {
+ *     var liveosc = new LiveOSC({livePort: mock.port});
+ *   });
+ *
+ * or in-process by calling handle() and overriding send().
+ * @constructor
+ * @param {Object} opts options
+ */
+var MockLive = function (opts) {
+  opts = opts || {};
+
+  /**
+   * Port MockLive listens on
+   * @type {Number}
+   */
+  this.port = _.has(opts, 'port') ? opts.port : 9005;
+
+  /**
+   * Host replies are sent to
+   * @type {String}
+   */
+  this.replyHost = opts.replyHost || '127.0.0.1';
+
+  /**
+   * Port replies are sent to
+   * @type {Number}
+   */
+  this.replyPort = opts.replyPort || 9006;
+
+  /**
+   * State of the fake set
+   * @type {Object}
+   */
+  this.set = normalizeSet(opts.set || defaultSet);
+
+  /**
+   * Current beat while playing
+   * @type {Number}
+   */
+  this.beat = 0;
+
+  /**
+   * Transport play state, 1 = stopped, 2 = playing
+   * @type {Number}
+   */
+  this.playing = 1;
+
+  /**
+   * Timer driving /live/beat while playing
+   * @type {Object}
+   */
+  this.beatTimer = null;
+};
+
+/**
+ * Set used when no set is given
+ * @type {Object}
+ */
+MockLive.defaultSet = defaultSet;
+
+/**
+ * Start listening for OSC messages over UDP
+ * @param  {Number}  port port to listen on, defaults to mock.port
+ * @return {Promise}      resolves once the socket is bound
+ */
+MockLive.prototype.listen = function (port) {
+  var self = this;
+  if (typeof port != 'undefined') {
+    this.port = port;
+  }
+  this.emitter = new OscEmitter();
+  this.emitter.add(this.replyHost, this.replyPort);
+  this.receiver = new OscReceiver();
+  this.receiver.on('message', function (address) {
+    self.handle(address, Array.prototype.slice.call(arguments, 1));
+  });
+  return new Promise(function (resolve, reject) {
+    self.receiver._socket.once('error', reject);
+    self.receiver.bind(self.port, function () {
+      self.receiver._socket.removeListener('error', reject);
+      self.port = self.receiver._socket.address().port;
+      resolve(self);
+    });
+  });
+};
+
+/**
+ * Stop the beat clock and close the sockets
+ */
+MockLive.prototype.close = function () {
+  this.stopClock();
+  if (this.receiver) {
+    this.receiver._socket.close();
+    this.receiver = null;
+  }
+  if (this.emitter) {
+    this.emitter._socket.close();
+    this.emitter = null;
+  }
+};
+
+/**
+ * Send a message to LiveOSC, override to use MockLive in-process
+ * @param  {String} address OSC address
+ * @param  {Array}  args    message arguments
+ */
+MockLive.prototype.send = function (address, args) {
+  if (!this.emitter) return;
+  this.emitter.emit.apply(this.emitter, [address].concat(_.map(args || [], typed)));
+};
+
+/**
+ * Handle a message sent by LiveOSC
+ * @param  {String} address OSC address
+ * @param  {Array}  args    message arguments
+ */
+MockLive.prototype.handle = function (address, args) {
+  var handler = handlers[address];
+  if (handler) {
+    handler.call(this, args || []);
+  }
+};
+
+/**
+ * Get a track or return state by id
+ * @param  {String} type 'track' or 'return'
+ * @param  {Number} id   id of the track
+ * @return {Object}      track state
+ */
+MockLive.prototype.track = function (type, id) {
+  return type == 'return' ? this.set.returns[id] : this.set.tracks[id];
+};
+
+/**
+ * Start the transport and the /live/beat clock
+ */
+MockLive.prototype.startClock = function () {
+  var self = this;
+  this.stopClock();
+  this.playing = 2;
+  this.send('/live/play', [2]);
+  function tick() {
+    self.send('/live/beat', [self.beat]);
+    self.beat++;
+    self.beatTimer = setTimeout(tick, 60000 / self.set.tempo);
+  }
+  tick();
+};
+
+/**
+ * Stop the /live/beat clock
+ */
+MockLive.prototype.stopClock = function () {
+  clearTimeout(this.beatTimer);
+  this.beatTimer = null;
+};
+
+/**
+ * Set the playing state of a clip slot and report it
+ * @param  {Number} trackId id of the track
+ * @param  {Number} clipId  id of the clip
+ * @param  {Number} state   new playing state
+ */
+MockLive.prototype.setClipState = function (trackId, clipId, state) {
+  var clip = this.set.tracks[trackId].clips[clipId];
+  if (!clip || clip.state == 0 || clip.state == state) return;
+  clip.state = state;
+  this.send('/live/clip/info', [trackId, clipId, state, clip.length]);
+};
+
+/**
+ * Start a clip, stopping any other clip playing in the track
+ * @param  {Number} trackId id of the track
+ * @param  {Number} clipId  id of the clip
+ */
+MockLive.prototype.playClip = function (trackId, clipId) {
+  var self = this;
+  var track = this.set.tracks[trackId];
+  if (!track || !track.clips[clipId] || track.clips[clipId].state == 0) return;
+  _.each(track.clips, function (clip, i) {
+    if (i != clipId) {
+      self.setClipState(trackId, i, 1);
+    }
+  });
+  this.setClipState(trackId, clipId, 2);
+};
+
+/**
+ * Handlers for messages sent by LiveOSC, keyed by address
+ * @type {Object}
+ */
+var handlers = {};
+
+handlers['/live/tempo'] = function (args) {
+  if (args.length) {
+    this.set.tempo = args[0];
+  }
+  this.send('/live/tempo', [this.set.tempo]);
+};
+
+handlers['/live/signature'] = function (args) {
+  if (args.length >= 2) {
+    this.set.signature = [args[0], args[1]];
+  }
+  this.send('/live/signature', this.set.signature);
+};
+
+handlers['/live/time'] = function () {
+  this.send('/live/time', [this.beat]);
+};
+
+handlers['/live/play'] = function () {
+  this.startClock();
+};
+
+handlers['/live/play/continue'] = function () {
+  this.startClock();
+};
+
+handlers['/live/stop'] = function () {
+  this.stopClock();
+  this.playing = 1;
+  this.send('/live/play', [1]);
+};
+
+handlers['/live/tracks'] = function () {
+  this.send('/live/tracks', [this.set.tracks.length]);
+};
+
+handlers['/live/returns'] = function () {
+  this.send('/live/returns', [this.set.returns.length]);
+};
+
+handlers['/live/scenes'] = function () {
+  this.send('/live/scenes', [this.set.scenes.length]);
+};
+
+handlers['/live/scene'] = function (args) {
+  var self = this;
+  if (args.length) {
+    this.set.scene = args[0];
+    _.each(this.set.tracks, function (track, trackId) {
+      self.playClip(trackId, args[0]);
+    });
+  }
+  this.send('/live/scene', [this.set.scene]);
+};
+
+handlers['/live/name/scene'] = function (args) {
+  if (!args.length) {
+    this.send('/live/name/scene', _.pluck(this.set.scenes, 'name'));
+    return;
+  }
+  var scene = this.set.scenes[args[0]];
+  if (!scene) return;
+  if (args.length > 1) {
+    scene.name = args[1];
+  }
+  this.send('/live/name/scene', [args[0], scene.name]);
+};
+
+handlers['/live/master/volume'] = function (args) {
+  if (args.length) {
+    this.set.volume = args[0];
+  }
+  this.send('/live/master/volume', [this.set.volume]);
+};
+
+handlers['/live/master/pan'] = function (args) {
+  if (args.length) {
+    this.set.pan = args[0];
+  }
+  this.send('/live/master/pan', [this.set.pan]);
+};
+
+handlers['/live/master/cue'] = function (args) {
+  if (args.length) {
+    this.set.cueVolume = args[0];
+  }
+  this.send('/live/master/cue', [this.set.cueVolume]);
+};
+
+handlers['/live/master/crossfader'] = function (args) {
+  if (args.length) {
+    this.set.crossfader = args[0];
+  }
+  this.send('/live/master/crossfader', [this.set.crossfader]);
+};
+
+handlers['/live/master/devicelist'] = function () {
+  this.send('/live/master/devicelist', deviceList(this.set.devices));
+};
+
+handlers['/live/master/device'] = function (args) {
+  var device = this.set.devices[args[0]];
+  if (!device) return;
+  if (args.length > 2) {
+    var param = device.params[args[1]];
+    if (!param) return;
+    param.value = args[2];
+    this.send('/live/master/device/param', [args[0], args[1], param.value, param.name]);
+    return;
+  }
+  this.send('/live/master/device', [args[0]].concat(paramList(device)));
+};
+
+handlers['/live/master/device/range'] = function (args) {
+  var device = this.set.devices[args[0]];
+  if (!device) return;
+  this.send('/live/master/device/range', [args[0]].concat(rangeList(device)));
+};
+
+/**
+ * Handlers shared by tracks and returns
+ * @param  {String} type   'track' or 'return'
+ * @param  {String} prefix address prefix, ex '/live' or '/live/return'
+ */
+function trackHandlers(type, prefix) {
+  var nameAddr = type == 'return' ? '/live/name/return' : '/live/name/track';
+  var devicelistAddr = prefix + '/devicelist';
+  var deviceAddr = prefix + '/device';
+  var allParamAddr = prefix + '/device/allparam';
+
+  handlers[nameAddr] = function (args) {
+    var track = this.track(type, args[0]);
+    if (!track) return;
+    if (args.length > 1) {
+      track.name = args[1];
+    }
+    this.send(nameAddr, [args[0], track.name]);
+  };
+
+  handlers[prefix + '/send'] = function (args) {
+    var track = this.track(type, args[0]);
+    if (!track) return;
+    if (args.length > 2) {
+      track.sends[args[1]] = args[2];
+      this.send(prefix + '/send', [args[0], args[1], args[2]]);
+      return;
+    }
+    this.send(prefix + '/send', [args[0]].concat(sendList(track.sends)));
+  };
+
+  _.each(['solo', 'mute', 'volume', 'pan', 'arm'], function (field) {
+    if (type == 'return' && field == 'arm') return;
+    handlers[prefix + '/' + field] = function (args) {
+      var track = this.track(type, args[0]);
+      if (!track) return;
+      if (args.length > 1) {
+        track[field] = args[1];
+      }
+      this.send(prefix + '/' + field, [args[0], track[field]]);
+    };
+  });
+
+  handlers[devicelistAddr] = function (args) {
+    var track = this.track(type, args[0]);
+    if (!track) return;
+    this.send(devicelistAddr, [args[0]].concat(deviceList(track.devices)));
+  };
+
+  handlers[deviceAddr] = function (args) {
+    var track = this.track(type, args[0]);
+    var device = track && track.devices[args[1]];
+    if (!device) return;
+    if (args.length > 3) {
+      var param = device.params[args[2]];
+      if (!param) return;
+      param.value = args[3];
+      this.send(deviceAddr + '/param', [args[0], args[1], args[2], param.value, param.name]);
+      return;
+    }
+    this.send(allParamAddr, [args[0], args[1]].concat(paramList(device)));
+  };
+
+  handlers[deviceAddr + '/range'] = function (args) {
+    var track = this.track(type, args[0]);
+    var device = track && track.devices[args[1]];
+    if (!device) return;
+    this.send(deviceAddr + '/range', [args[0], args[1]].concat(rangeList(device)));
+  };
+}
+
+trackHandlers('track', '/live');
+trackHandlers('return', '/live/return');
+
+handlers['/live/track/crossfader'] = function (args) {
+  var track = this.set.tracks[args[0]];
+  if (!track) return;
+  if (args.length > 1) {
+    track.crossfader = args[1];
+  }
+  this.send('/live/track/crossfader', [args[0], track.crossfader]);
+};
+
+handlers['/live/track/info'] = function (args) {
+  var track = this.set.tracks[args[0]];
+  if (!track) return;
+  this.send('/live/track/info', [
+    args[0], track.arm, track.solo, track.mute, track.audio, track.volume, track.pan
+  ]);
+};
+
+handlers['/live/return/info'] = function (args) {
+  var ret = this.set.returns[args[0]];
+  if (!ret) return;
+  this.send('/live/return/info', [args[0], ret.solo, ret.mute, ret.volume, ret.pan]);
+};
+
+handlers['/live/clip/info'] = function (args) {
+  var track = this.set.tracks[args[0]];
+  var clip = track && track.clips[args[1]];
+  if (!clip) return;
+  this.send('/live/clip/info', [args[0], args[1], clip.state, clip.length]);
+};
+
+handlers['/live/play/clipslot'] = function (args) {
+  this.playClip(args[0], args[1]);
+};
+
+handlers['/live/stop/clip'] = function (args) {
+  this.setClipState(args[0], args[1], 1);
+};
+
+handlers['/live/name/clip'] = function (args) {
+  var track = this.set.tracks[args[0]];
+  var clip = track && track.clips[args[1]];
+  if (!clip || clip.state == 0) return;
+  if (args.length > 2) {
+    clip.name = args[2];
+  }
+  this.send('/live/name/clip', [args[0], args[1], clip.name]);
+};
+
+handlers['/live/pitch'] = function (args) {
+  var track = this.set.tracks[args[0]];
+  var clip = track && track.clips[args[1]];
+  if (!clip || clip.state == 0 || !track.audio) return;
+  if (args.length > 2) {
+    clip.coarse = args[2];
+    clip.fine = args[3] || 0;
+  }
+  this.send('/live/pitch', [args[0], args[1], clip.coarse, clip.fine]);
+};
+
+_.each(['loopstart', 'loopend', 'loopstate', 'warping'], function (field) {
+  var address = '/live/clip/' + field;
+  handlers[address] = function (args) {
+    var track = this.set.tracks[args[0]];
+    var clip = track && track.clips[args[1]];
+    if (!clip || clip.state == 0) return;
+    if (args.length > 2) {
+      clip[field] = args[2];
+    }
+    this.send(address, [args[0], args[1], clip[field]]);
+  };
+});
+
+module.exports = MockLive;
@@ -0,0 +1,224 @@
+/**
+ * @module node-liveosc
+ * @author Tom Dinchak <dinchak@gmail.com>
+ */
+
+var _ = require('underscore');
+var UnknownPathError = require('./errors').UnknownPathError;
+var subscribe = require('./emitter').subscribe;
+
+/**
+ * Collections that can follow an object in a path, keyed by the type
+ * of the object, values are the child type
+ * @type {Object}
+ */
+var children = {
+  song: {tracks: 'track', returns: 'return', scenes: 'scene', devices: 'device'},
+  track: {clips: 'clip', devices: 'device'},
+  'return': {devices: 'device'},
+  master: {devices: 'device'},
+  device: {params: 'param'}
+};
+
+/**
+ * Split a path into segments, segments are URI decoded so names
+ * containing a slash can be written as %2F
+ * @param  {String} path path, ex 'tracks/Drums/volume'
+ * @return {Array}       ex ['tracks', 'Drums', 'volume']
+ */
+function split(path) {
+  return _.map(_.compact(path.split('/')), decodeURIComponent);
+}
+
+/**
+ * Find an item of a collection by name or index.  Names match exactly,
+ * then with slashes read as spaces ('Dry Wet' finds 'Dry/Wet'), then
+ * a number is used as the index.
+ * @param  {Array}  items collection
+ * @param  {String} key   name or index
+ * @return {Object}       undefined if not found
+ */
+function lookup(items, key) {
+  items = _.compact(items);
+  var found = _.find(items, function (item) {
+    return item.name === key;
+  });
+  if (found) return found;
+  found = _.find(items, function (item) {
+    return typeof item.name == 'string' && item.name.replace(/\//g, ' ') === key;
+  });
+  if (found) return found;
+  if (/^\d+$/.test(key)) {
+    return _.findWhere(items, {id: parseInt(key, 10)});
+  }
+}
+
+/**
+ * Resolve a path to an object or a value of an object.  Paths are
+ * collection names followed by a name or index, ending in an object
+ * or a value:
+ *
+ *   tracks/Drums
+ *   tracks/0/volume
+ *   tracks/Drums/clips/2/loopend
+ *   tracks/Drums/devices/Reverb/params/Dry Wet
+ *   returns/A-Reverb/sends/1
+ *   master/crossfader
+ *   master/devices/Limiter/params/Gain
+ *   scenes/Chorus/name
+ *   tempo
+ *
+ * master is the master track of the song.
+ *
+ * The result is {type: 'track', object: {Track}} for objects, or
+ * {type: 'value', object: {Track}, key: 'volume'} for values.  Sends
+ * resolve to {type: 'send', object: {Track}, key: 1} and parameters
+ * to {type: 'param', object: {Device}, key: 'Dry/Wet'}.
+ * @param  {Object} song Song instance
+ * @param  {String} path path
+ * @return {Object}      throws an UnknownPathError if not found
+ */
+function resolve(song, path) {
+  var segments = split(path);
+  var object = song;
+  var type = 'song';
+  var i = 0;
+
+  function fail(reason) {
+    throw new UnknownPathError(path, reason);
+  }
+
+  if (segments[0] == 'master') {
+    object = song.master;
+    type = 'master';
+    i++;
+  }
+  while (i < segments.length) {
+    var segment = segments[i];
+    var key = segments[i + 1];
+    if (segment == 'sends' && (type == 'track' || type == 'return')) {
+      if (typeof key == 'undefined' || !/^\d+$/.test(key) || i + 2 != segments.length) {
+        fail('sends must be followed by a send index');
+      }
+      return {type: 'send', object: object, key: parseInt(key, 10)};
+    }
+    var childType = (children[type] || {})[segment];
+    if (!childType) {
+      if (i + 1 != segments.length) {
+        fail('no ' + segment + ' on ' + type);
+      }
+      if (type == 'param') {
+        fail('parameters have no ' + segment);
+      }
+      // in, not _.has, so values defined as getters on a prototype resolve
+      if (!(segment in object) || typeof object[segment] == 'function') {
+        fail('no value ' + segment + ' on ' + type);
+      }
+      return {type: 'value', object: object, key: segment};
+    }
+    if (typeof key == 'undefined') {
+      fail(segment + ' must be followed by a name or index');
+    }
+    var items = segment == 'params' ? object.params : object[segment];
+    var child = lookup(items, key);
+    if (!child) {
+      fail('no ' + childType + ' ' + key);
+    }
+    if (childType == 'param' && i + 2 == segments.length) {
+      return {type: 'param', object: object, key: child.name};
+    }
+    object = child;
+    type = childType;
+    i += 2;
+  }
+  return {type: type, object: object};
+}
+
+/**
+ * Read the object or value at a path
+ * @param  {Object} song Song instance
+ * @param  {String} path path, ex 'returns/A-Reverb/volume'
+ * @return {Mixed}       object or value, undefined if not found
+ */
+function get(song, path) {
+  var target;
+  try {
+    target = resolve(song, path);
+  } catch (err) {
+    if (err instanceof UnknownPathError) return;
+    throw err;
+  }
+  if (target.type == 'send') {
+    return target.object.sends[target.key];
+  }
+  if (target.type == 'param') {
+    return target.object.findParam(target.key).value;
+  }
+  if (target.type == 'value') {
+    return target.object[target.key];
+  }
+  return target.object;
+}
+
+/**
+ * Name of the setter of a value, ex setVolume for volume
+ * @param  {String} key value name
+ * @return {String}
+ */
+function setterName(key) {
+  return 'set' + key.charAt(0).toUpperCase() + key.slice(1);
+}
+
+/**
+ * Change the value at a path with the setter of its object
+ * @param  {Object}  song  Song instance
+ * @param  {String}  path  path, ex 'tracks/Drums/sends/1'
+ * @param  {Mixed}   value new value
+ * @return {Promise}       resolves once sent, rejects with an
+ *                         UnknownPathError for paths that can not be set
+ */
+function set(song, path, value) {
+  var target;
+  try {
+    target = resolve(song, path);
+  } catch (err) {
+    return song.liveosc.fail(err);
+  }
+  if (target.type == 'send') {
+    return target.object.setSend(target.key, value);
+  }
+  if (target.type == 'param') {
+    return target.object.set(target.key, value);
+  }
+  if (target.type == 'value' && typeof target.object[setterName(target.key)] == 'function') {
+    return target.object[setterName(target.key)](value);
+  }
+  return song.liveosc.fail(new UnknownPathError(path, 'can not be set'));
+}
+
+/**
+ * Listen for changes of the value at a path, the callback gets the
+ * event parameters, ex {value: 0.5, prev: 0.2}
+ * @param  {Object}   song Song instance
+ * @param  {String}   path path, ex 'master/devices/Limiter/params/Gain'
+ * @param  {Function} cb   callback
+ * @param  {Object}   opts {once: true} and/or {prepend: true}, optional
+ * @return {Function}      unsubscribe handle, throws an UnknownPathError
+ *                         for paths to objects
+ */
+function on(song, path, cb, opts) {
+  var target = resolve(song, path);
+  if (target.type == 'send') {
+    return subscribe(target.object, 'send', {num: target.key}, cb, opts);
+  }
+  if (target.type == 'param' || target.type == 'value') {
+    return subscribe(target.object, target.key, null, cb, opts);
+  }
+  throw new UnknownPathError(path, 'is not a value');
+}
+
+exports.split = split;
+exports.resolve = resolve;
+exports.get = get;
+exports.set = set;
+exports.on = on;
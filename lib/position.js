@@ -0,0 +1,54 @@
+/**
+ * @module node-liveosc
+ * @author Tom Dinchak <dinchak@gmail.com>
+ */
+
+/**
+ * Number of beats (quarter notes) in a bar of a time signature
+ * @param  {Number} numerator   signature numerator
+ * @param  {Number} denominator signature denominator
+ * @return {Number}             beats, ex 3 for 6/8
+ */
+function beatsPerBar(numerator, denominator) {
+  return numerator * 4 / denominator;
+}
+
+/**
+ * Split a song position into bars, beats and sixteenths the way
+ * Live's transport shows it.  Bars, beats, sixteenths and phrases
+ * count from 1, beats are in units of the signature denominator.
+ * @param  {Number} beat         song position in beats (quarter notes)
+ * @param  {Number} numerator    signature numerator, default 4
+ * @param  {Number} denominator  signature denominator, default 4
+ * @param  {Number} phraseLength bars in a phrase, default 4
+ * @return {Object}              ex {bar: 17, beatInBar: 3, sixteenth: 1, phrase: 5}
+ */
+function position(beat, numerator, denominator, phraseLength) {
+  numerator = numerator || 4;
+  denominator = denominator || 4;
+  phraseLength = phraseLength || 4;
+  var perBar = beatsPerBar(numerator, denominator);
+  var bar = Math.floor(beat / perBar);
+  // position inside the bar in units of the denominator
+  var units = (beat - bar * perBar) * denominator / 4;
+  var unit = Math.floor(units);
+  return {
+    bar: bar + 1,
+    beatInBar: unit + 1,
+    sixteenth: Math.floor((units - unit) * 16 / denominator) + 1,
+    phrase: Math.floor(bar / phraseLength) + 1
+  };
+}
+
+/**
+ * Format a position like Live's transport
+ * @param  {Object} pos position returned by position()
+ * @return {String}     ex '17.3.1'
+ */
+function format(pos) {
+  return pos.bar + '.' + pos.beatInBar + '.' + pos.sixteenth;
+}
+
+exports.beatsPerBar = beatsPerBar;
+exports.position = position;
+exports.format = format;
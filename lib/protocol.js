@@ -0,0 +1,140 @@
+/**
+ * @module node-liveosc
+ * @author Tom Dinchak <dinchak@gmail.com>
+ */
+
+var ProtocolError = require('./errors').ProtocolError;
+
+/**
+ * Expected argument shapes of the messages Live sends, keyed by
+ * address.  head lists the leading arguments, extra arguments are
+ * allowed unless repeat is given, in which case the remaining
+ * arguments must be groups of repeat.  Types are:
+ *
+ *   int    = integer
+ *   number = integer or float
+ *   string = string
+ *
+ * @type {Object}
+ */
+var shapes = {
+  '/live/play': {head: ['number']},
+  '/live/beat': {head: ['number']},
+  '/live/tempo': {head: ['number']},
+  '/live/signature': {head: ['int', 'int']},
+  '/live/scene': {head: ['number']},
+  '/live/time': {head: ['number']},
+  '/live/tracks': {head: ['int']},
+  '/live/returns': {head: ['int']},
+  '/live/scenes': {head: ['int']},
+  '/live/master/volume': {head: ['number']},
+  '/live/master/pan': {head: ['number']},
+  '/live/master/cue': {head: ['number']},
+  '/live/master/crossfader': {head: ['number']},
+  '/live/master/devicelist': {head: [], repeat: ['int', 'string']},
+  '/live/master/device': {head: ['int'], repeat: ['int', 'number', 'string']},
+  '/live/master/device/range': {head: ['int'], repeat: ['int', 'number', 'number']},
+  '/live/master/device/param': {head: ['int', 'int', 'number', 'string']},
+
+  '/live/name/track': {head: ['int', 'string']},
+  '/live/track/info': {head: ['int', 'number', 'number', 'number', 'number', 'number', 'number']},
+  '/live/track/crossfader': {head: ['int', 'int']},
+  '/live/send': {head: ['int'], repeat: ['int', 'number']},
+  '/live/solo': {head: ['int', 'number']},
+  '/live/arm': {head: ['int', 'number']},
+  '/live/mute': {head: ['int', 'number']},
+  '/live/volume': {head: ['int', 'number']},
+  '/live/pan': {head: ['int', 'number']},
+  '/live/devicelist': {head: ['int'], repeat: ['int', 'string']},
+  '/live/device/allparam': {head: ['int', 'int'], repeat: ['int', 'number', 'string']},
+  '/live/device/range': {head: ['int', 'int'], repeat: ['int', 'number', 'number']},
+  '/live/device/param': {head: ['int', 'int', 'int', 'number', 'string']},
+
+  '/live/name/return': {head: ['int', 'string']},
+  '/live/return/info': {head: ['int', 'number', 'number', 'number', 'number']},
+  '/live/return/send': {head: ['int'], repeat: ['int', 'number']},
+  '/live/return/solo': {head: ['int', 'number']},
+  '/live/return/mute': {head: ['int', 'number']},
+  '/live/return/volume': {head: ['int', 'number']},
+  '/live/return/pan': {head: ['int', 'number']},
+  '/live/return/devicelist': {head: ['int'], repeat: ['int', 'string']},
+  '/live/return/device/allparam': {head: ['int', 'int'], repeat: ['int', 'number', 'string']},
+  '/live/return/device/range': {head: ['int', 'int'], repeat: ['int', 'number', 'number']},
+  '/live/return/device/param': {head: ['int', 'int', 'int', 'number', 'string']},
+
+  '/live/name/clip': {head: ['int', 'int', 'string']},
+  '/live/clip/info': {head: ['int', 'int', 'number', 'number']},
+  '/live/clip/loopstart': {head: ['int', 'int', 'number']},
+  '/live/clip/loopend': {head: ['int', 'int', 'number']},
+  '/live/clip/loopstate': {head: ['int', 'int', 'number']},
+  '/live/clip/warping': {head: ['int', 'int', 'number']},
+  '/live/pitch': {head: ['int', 'int']}
+};
+
+/**
+ * Check a value against a type
+ * @param  {Mixed}   value argument value
+ * @param  {String}  type  'int', 'number' or 'string'
+ * @return {Boolean}
+ */
+function matches(value, type) {
+  if (type == 'string') {
+    return typeof value == 'string';
+  }
+  if (typeof value != 'number' || isNaN(value)) {
+    return false;
+  }
+  return type != 'int' || value % 1 === 0;
+}
+
+/**
+ * Validate the arguments of a message from Live
+ * @param  {String} address OSC address
+ * @param  {Array}  args    message arguments
+ * @return {Object}         ProtocolError, or null if the message is valid
+ */
+function validate(address, args) {
+  var shape = shapes[address];
+  if (!shape) {
+    return null;
+  }
+  if (args.length < shape.head.length) {
+    return new ProtocolError(
+      address, args,
+      'expected at least ' + shape.head.length + ' arguments, got ' + args.length
+    );
+  }
+  var i;
+  for (i = 0; i < shape.head.length; i++) {
+    if (!matches(args[i], shape.head[i])) {
+      return new ProtocolError(
+        address, args,
+        'argument ' + i + ' should be ' + shape.head[i] + ', got ' + JSON.stringify(args[i])
+      );
+    }
+  }
+  if (!shape.repeat) {
+    return null;
+  }
+  var rest = args.length - shape.head.length;
+  if (rest % shape.repeat.length) {
+    return new ProtocolError(
+      address, args,
+      'expected groups of ' + shape.repeat.length + ' arguments after ' +
+      shape.head.length + ', got ' + rest
+    );
+  }
+  for (i = shape.head.length; i < args.length; i++) {
+    var type = shape.repeat[(i - shape.head.length) % shape.repeat.length];
+    if (!matches(args[i], type)) {
+      return new ProtocolError(
+        address, args,
+        'argument ' + i + ' should be ' + type + ', got ' + JSON.stringify(args[i])
+      );
+    }
+  }
+  return null;
+}
+
+exports.shapes = shapes;
+exports.validate = validate;
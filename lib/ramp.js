@@ -0,0 +1,248 @@
+/**
+ * @module node-liveosc
+ * @author Tom Dinchak <dinchak@gmail.com>
+ */
+
+var _ = require('underscore');
+
+/**
+ * Ramp curves, map progress 0..1 to a position between the start
+ * and end value
+ * @type {Object}
+ */
+var curves = {
+  linear: function (t) {
+    return t;
+  },
+  // starts slow and speeds up
+  exp: function (t) {
+    return (Math.exp(4 * t) - 1) / (Math.exp(4) - 1);
+  },
+  // eases in and out
+  s: function (t) {
+    return (1 - Math.cos(Math.PI * t)) / 2;
+  }
+};
+
+/**
+ * Ramp options that can be given by the user, the rest are set by
+ * the caller
+ * @type {Array}
+ */
+var userOptions = ['beats', 'bars', 'ms', 'curve', 'rate', 'sync'];
+
+/**
+ * Ramp object, moves a value from one number to another over a
+ * musical duration by calling a setter at a fixed update rate.
+ * Progress is measured in beats at the song tempo, so ramps follow
+ * tempo changes.
+ *
+ * Options are as follows:
+ *
+ * opts.target = object the ramp changes, ex a Track
+ * opts.name = name of the changed value on the target, ex 'volume',
+ *   a new ramp of the same target and name cancels the running one
+ * opts.from = start value
+ * opts.to = end value
+ * opts.set = function called with each value, returning a Promise
+ * opts.beats, opts.bars or opts.ms = duration, default one bar
+ * opts.curve = 'linear', 'exp', 's' or a function, default 'linear'
+ * opts.rate = maximum updates per second, default 30
+ * opts.sync = wait for the next /live/beat to start while the song
+ *   is playing, default false
+ *
+ * @constructor
+ * @param {Object} liveosc LiveOSC instance
+ * @param {Object} opts    options
+ */
+var Ramp = function (liveosc, opts) {
+  this.liveosc = liveosc;
+  this.song = liveosc.song;
+  this.target = opts.target;
+  this.name = opts.name;
+  this.from = opts.from;
+  this.to = opts.to;
+  this.set = opts.set;
+  this.beats = this.song.clock.toBeats(opts);
+  this.curve = typeof opts.curve == 'function' ? opts.curve : curves[opts.curve || 'linear'];
+  this.rate = opts.rate || 30;
+  this.sync = opts.sync || false;
+
+  if (!this.curve) {
+    throw new Error('Unknown ramp curve ' + opts.curve);
+  }
+
+  /**
+   * Last value passed to the setter
+   * @type {Number}
+   */
+  this.value = this.from;
+
+  /**
+   * Progress between 0 and 1
+   * @type {Number}
+   */
+  this.progress = 0;
+
+  /**
+   * True until the ramp completes or is cancelled
+   * @type {Boolean}
+   */
+  this.running = false;
+
+  var self = this;
+
+  /**
+   * Resolves with true once the ramp completes, or false when it is
+   * cancelled
+   * @type {Promise}
+   */
+  this.promise = new Promise(function (resolve) {
+    self.resolve = resolve;
+  });
+
+  this.beatListener = function () {
+    self.song.eventEmitter.removeListener('beat', self.beatListener);
+    self.begin();
+  };
+
+  this.destroyListener = function () {
+    self.cancel();
+  };
+};
+
+/**
+ * Start the ramp, cancelling any running ramp of the same target
+ * and name
+ * @return {Ramp} this ramp
+ */
+Ramp.prototype.start = function () {
+  var self = this;
+  _.each(this.song.ramps.slice(), function (ramp) {
+    if (ramp.target === self.target && ramp.name == self.name) {
+      ramp.cancel();
+    }
+  });
+  this.running = true;
+  this.song.ramps.push(this);
+  if (this.target && this.target !== this.song) {
+    this.target.eventEmitter.on('destroy', this.destroyListener);
+  }
+  if (this.sync && this.song.playing == 2) {
+    this.song.eventEmitter.on('beat', this.beatListener);
+  } else {
+    this.begin();
+  }
+  return this;
+};
+
+/**
+ * Start moving the value
+ */
+Ramp.prototype.begin = function () {
+  var self = this;
+  this.startBeat = this.song.clock.elapsed();
+  this.timer = setInterval(function () {
+    self.tick();
+  }, 1000 / this.rate);
+  this.tick();
+};
+
+/**
+ * Set the value for the current progress, completes the ramp once
+ * its duration has passed
+ */
+Ramp.prototype.tick = function () {
+  var elapsed = this.song.clock.elapsed() - this.startBeat;
+  var progress = this.beats > 0 ? Math.min(1, elapsed / this.beats) : 1;
+  this.progress = Math.max(this.progress, progress);
+  var value = progress >= 1 ? this.to : this.from + (this.to - this.from) * this.curve(this.progress);
+  if (value !== this.value) {
+    this.value = value;
+    this.set(value);
+  }
+  if (progress >= 1) {
+    this.finish(true);
+  }
+};
+
+/**
+ * Stop the ramp where it is, the promise resolves with false
+ */
+Ramp.prototype.cancel = function () {
+  this.finish(false);
+};
+
+/**
+ * Stop the ramp and resolve its promise
+ * @param {Boolean} completed true if the end value was reached
+ */
+Ramp.prototype.finish = function (completed) {
+  if (!this.running) return;
+  this.running = false;
+  clearInterval(this.timer);
+  this.song.eventEmitter.removeListener('beat', this.beatListener);
+  if (this.target && this.target !== this.song) {
+    this.target.eventEmitter.removeListener('destroy', this.destroyListener);
+  }
+  this.song.ramps = _.without(this.song.ramps, this);
+  this.resolve(completed);
+};
+
+/**
+ * Wait for the ramp, resolves with true once it completes or false
+ * when it is cancelled
+ * @param  {Function} onResolve called with the result
+ * @param  {Function} onReject  called on failure
+ * @return {Promise}
+ */
+Ramp.prototype.then = function (onResolve, onReject) {
+  return this.promise.then(onResolve, onReject);
+};
+
+/**
+ * Handle a failed ramp
+ * @param  {Function} onReject called with the error
+ * @return {Promise}
+ */
+Ramp.prototype.catch = function (onReject) {
+  return this.promise.catch(onReject);
+};
+
+/**
+ * Create and start a ramp
+ * @param  {Object} liveosc LiveOSC instance
+ * @param  {Object} spec    ramp options set by the caller, ex target and setter
+ * @param  {Object} opts    ramp options given by the user, only the
+ *                          duration, curve, rate and sync are used
+ * @return {Ramp}
+ */
+Ramp.start = function (liveosc, spec, opts) {
+  return new Ramp(liveosc, _.extend({}, spec, _.pick(opts || {}, userOptions))).start();
+};
+
+/**
+ * Create a ramp that never starts, for callers that can not start
+ * one.  The error is reported with liveosc.fail() and the ramp
+ * rejects with it, cancel() does nothing.
+ * @param  {Object} liveosc LiveOSC instance
+ * @param  {Error}  err     LiveOSCError
+ * @return {Ramp}
+ */
+Ramp.failed = function (liveosc, err) {
+  var ramp = Object.create(Ramp.prototype);
+  ramp.liveosc = liveosc;
+  ramp.song = liveosc.song;
+  ramp.running = false;
+  ramp.progress = 0;
+  ramp.promise = liveosc.fail(err);
+  return ramp;
+};
+
+/**
+ * Ramp curves
+ * @type {Object}
+ */
+Ramp.curves = curves;
+
+module.exports = Ramp;
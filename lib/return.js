@@ -4,8 +4,9 @@
  */
 
 var _ = require('underscore');
-var EventEmitter = require('events').EventEmitter;
+var emitter = require('./emitter');
 var Device = require('./device');
+var mixer = require('./mixer');
 
 /**
  * Return object, represents a return track in the Ableton Live set.
@@ -72,9 +73,9 @@ var Return = function (liveosc, id) {
 
   /**
    * EventEmitter for return events
-   * @type {EventEmitter}
+   * @type {Emitter}
    */
-  this.eventEmitter = new EventEmitter();
+  this.eventEmitter = new emitter.Emitter();
 
   var self = this;
 
@@ -82,10 +83,6 @@ var Return = function (liveosc, id) {
    * Listen for /live/return/send
    */
   function sendListener() {
-    var trackId = arguments[0];
-    if (trackId != id) {
-      return;
-    }
     for (var i = 1; i < Object.keys(arguments).length; i += 2) {
       var sendNum = arguments[i];
       var sendVal = arguments[i+1];
@@ -104,7 +101,6 @@ var Return = function (liveosc, id) {
    * @param  {Number} solo    0 or 1
    */
   function soloListener(trackId, solo) {
-    if (trackId != self.id) return;
     self.emitEvent('solo', {
       value: solo,
       prev: self.solo
@@ -118,7 +114,6 @@ var Return = function (liveosc, id) {
    * @param  {Number} mute    0 or 1
    */
   function muteListener(trackId, mute) {
-    if (trackId != self.id) return;
     self.emitEvent('mute', {
       value: mute,
       prev: self.mute
@@ -132,12 +127,11 @@ var Return = function (liveosc, id) {
    * @param  {Number} volume  new return volume
    */
   function volumeListener(trackId, volume) {
-    if (trackId != self.id) return;
-    self.volume = volume;
     self.emitEvent('volume', {
       value: volume,
       prev: self.volume
     });
+    self.volume = volume;
   }
 
   /**
@@ -146,12 +140,11 @@ var Return = function (liveosc, id) {
    * @param  {Number} pan     new return panning
    */
   function panListener(trackId, pan) {
-    if (trackId != self.id) return;
-    self.pan = pan;
     self.emitEvent('pan', {
       value: pan,
       prev: self.pan
     });
+    self.pan = pan;
   }
 
   /**
@@ -163,11 +156,6 @@ var Return = function (liveosc, id) {
    * @param  {Number} pan     current return panning
    */
   function infoListener(trackId, solo, mute, volume, pan) {
-    if (trackId != self.id) return;
-    self.solo = solo;
-    self.mute = mute;
-    this.volume = volume;
-    this.pan = pan;
     self.emitEvent('solo', {
       value: solo,
       prev: self.solo
@@ -184,20 +172,18 @@ var Return = function (liveosc, id) {
       value: pan,
       prev: self.pan
     });
+    self.solo = solo;
+    self.mute = mute;
+    self.volume = volume;
+    self.pan = pan;
   }
 
   /**
    * Listen for /live/return/devicelist
    */
   function devicelistListener() {
-    var args = Array.prototype.slice.call(arguments, 0);
-    var trackId = args.shift();
-    if (trackId != self.id) return;
-    for (var i = 0; i < args.length; i += 2) {
-      var deviceId = args[i];
-      var deviceName = args[i + 1];
-      self.devices.push(new Device(liveosc, deviceId, self, 'return', deviceName));
-    }
+    var args = Array.prototype.slice.call(arguments, 1);
+    self.devices = Device.reconcile(liveosc, self.devices, args, self, 'return');
   }
 
   /**
@@ -207,30 +193,24 @@ var Return = function (liveosc, id) {
    * @param  {String} name    the name of the return
    */
   function nameListener(trackId, name) {
-    if (trackId != self.id) return;
     self.emitEvent('name', {
       value: name,
       prev: self.name
     });
     self.name = name;
-    liveosc.emitter.emit('/live/scenes');
-    _.each(self.devices, function (device) {
-      device.destroy();
-    });
-    self.devices = [];
-    liveosc.emitter.emit('/live/return/info', {type: 'integer', value: id});
-    liveosc.emitter.emit('/live/return/devicelist', {type: 'integer', value: id});
-
+    liveosc.song.request('/live/scenes');
+    liveosc.song.request('/live/return/info', [id]);
+    liveosc.song.request('/live/return/devicelist', [id]);
   }
 
-  liveosc.receiver.on('/live/return/send', sendListener);
-  liveosc.receiver.on('/live/return/solo', soloListener);
-  liveosc.receiver.on('/live/return/mute', muteListener);
-  liveosc.receiver.on('/live/return/volume', volumeListener);
-  liveosc.receiver.on('/live/return/pan', panListener);
-  liveosc.receiver.on('/live/return/info', infoListener);
-  liveosc.receiver.on('/live/return/devicelist', devicelistListener);
-  liveosc.receiver.on('/live/name/return', nameListener);
+  liveosc.router.add('/live/return/send', [id], sendListener);
+  liveosc.router.add('/live/return/solo', [id], soloListener);
+  liveosc.router.add('/live/return/mute', [id], muteListener);
+  liveosc.router.add('/live/return/volume', [id], volumeListener);
+  liveosc.router.add('/live/return/pan', [id], panListener);
+  liveosc.router.add('/live/return/info', [id], infoListener);
+  liveosc.router.add('/live/return/devicelist', [id], devicelistListener);
+  liveosc.router.add('/live/name/return', [id], nameListener);
 
   /**
    * Called when a return is refreshed or destroyed
@@ -238,14 +218,14 @@ var Return = function (liveosc, id) {
   this.destroy = function () {
     this.eventEmitter.emit('destroy');
     this.eventEmitter.removeAllListeners();
-    this.liveosc.receiver.removeListener('/live/return/send', sendListener);
-    this.liveosc.receiver.removeListener('/live/return/solo', soloListener);
-    this.liveosc.receiver.removeListener('/live/return/mute', muteListener);
-    this.liveosc.receiver.removeListener('/live/return/volume', volumeListener);
-    this.liveosc.receiver.removeListener('/live/return/pan', panListener);
-    this.liveosc.receiver.removeListener('/live/return/info', infoListener);
-    this.liveosc.receiver.removeListener('/live/return/devlicelist', devicelistListener);
-    this.liveosc.receiver.removeListener('/live/name/return', nameListener);
+    this.liveosc.router.remove('/live/return/send', [this.id], sendListener);
+    this.liveosc.router.remove('/live/return/solo', [this.id], soloListener);
+    this.liveosc.router.remove('/live/return/mute', [this.id], muteListener);
+    this.liveosc.router.remove('/live/return/volume', [this.id], volumeListener);
+    this.liveosc.router.remove('/live/return/pan', [this.id], panListener);
+    this.liveosc.router.remove('/live/return/info', [this.id], infoListener);
+    this.liveosc.router.remove('/live/return/devicelist', [this.id], devicelistListener);
+    this.liveosc.router.remove('/live/name/return', [this.id], nameListener);
 
     _.each(this.devices, function (device) {
       device.destroy();
@@ -253,8 +233,16 @@ var Return = function (liveosc, id) {
     this.devices = [];
   };
 
-  liveosc.emitter.emit('/live/return/send', {type: 'integer', value: id});
-  liveosc.emitter.emit('/live/name/return', {type: 'integer', value: id});
+  this.refresh();
+};
+
+/**
+ * Request the send levels and name of the return, the name reply
+ * in turn requests the return info and devices
+ */
+Return.prototype.refresh = function () {
+  this.liveosc.song.request('/live/return/send', [this.id]);
+  this.liveosc.song.request('/live/name/return', [this.id]);
 };
 
 /**
@@ -262,7 +250,7 @@ var Return = function (liveosc, id) {
  * @param {String} name the new track name
  */
 Return.prototype.setName = function (name) {
-  this.liveosc.emitter.emit(
+  return this.liveosc.send(
     '/live/name/return',
     {
       type: 'integer',
@@ -281,7 +269,7 @@ Return.prototype.setName = function (name) {
  * @param {Number} solo 0 or 1
  */
 Return.prototype.setSolo = function (solo) {
-  this.liveosc.emitter.emit(
+  return this.liveosc.send(
     '/live/return/solo',
     {
       type: 'integer',
@@ -299,7 +287,7 @@ Return.prototype.setSolo = function (solo) {
  * @param {Number} mute 0 or 1
  */
 Return.prototype.setMute = function (mute) {
-  this.liveosc.emitter.emit(
+  return this.liveosc.send(
     '/live/return/mute',
     {
       type: 'integer',
@@ -317,7 +305,7 @@ Return.prototype.setMute = function (mute) {
  * @param {Number} volume 0.0 - 1.0
  */
 Return.prototype.setVolume = function (volume) {
-  this.liveosc.emitter.emit(
+  return this.liveosc.send(
     '/live/return/volume',
     {
       type: 'integer',
@@ -335,7 +323,7 @@ Return.prototype.setVolume = function (volume) {
  * @param {Number} pan -1.0 - 1.0
  */
 Return.prototype.setPan = function (pan) {
-  this.liveosc.emitter.emit(
+  return this.liveosc.send(
     '/live/return/pan',
     {
       type: 'integer',
@@ -354,7 +342,7 @@ Return.prototype.setPan = function (pan) {
  * @param {Number} val  new send level (0.0 - 1.0)
  */
 Return.prototype.setSend = function (send, val) {
-  this.liveosc.emitter.emit(
+  return this.liveosc.send(
     '/live/return/send',
     {
       type: 'integer',
@@ -375,7 +363,7 @@ Return.prototype.setSend = function (send, val) {
  * Focus the return
  */
 Return.prototype.view = function () {
-  this.liveosc.emitter.emit(
+  return this.liveosc.send(
     '/live/return/view',
     {
       type: 'integer',
@@ -384,6 +372,75 @@ Return.prototype.view = function () {
   );
 };
 
+/**
+ * Query the return state
+ * @return {Promise} resolves with {solo, mute, volume, pan}
+ */
+Return.prototype.fetchInfo = function () {
+  return this.liveosc.query(
+    '/live/return/info',
+    [this.id],
+    {match: [this.id]}
+  ).then(function (args) {
+    return {
+      solo: args[0],
+      mute: args[1],
+      volume: args[2],
+      pan: args[3]
+    };
+  });
+};
+
+/**
+ * Query the return name
+ * @return {Promise} resolves with the name
+ */
+Return.prototype.fetchName = function () {
+  return this.liveosc.query(
+    '/live/name/return',
+    [this.id],
+    {match: [this.id]}
+  ).then(function (args) {
+    return args[0];
+  });
+};
+
+/**
+ * Query the return send levels
+ * @return {Promise} resolves with the send levels indexed by send id
+ */
+Return.prototype.fetchSends = function () {
+  return this.liveosc.query(
+    '/live/return/send',
+    [this.id],
+    {match: [this.id]}
+  ).then(function (args) {
+    var sends = [];
+    for (var i = 0; i < args.length; i += 2) {
+      sends[args[i]] = args[i + 1];
+    }
+    return sends;
+  });
+};
+
+/**
+ * Query the devices in the return
+ * @return {Promise} resolves with a list of devices, ex [{id: 0, name: 'Reverb'}]
+ */
+Return.prototype.fetchDevices = function () {
+  return this.liveosc.query(
+    '/live/return/devicelist',
+    [this.id],
+    {match: [this.id]}
+  ).then(function (args) {
+    var devices = [];
+    for (var i = 0; i < args.length; i += 2) {
+      devices.push({id: args[i], name: args[i + 1]});
+    }
+    return devices;
+  });
+};
+
 /**
  * Listen for a return event, current events are:
  *
@@ -393,13 +450,17 @@ Return.prototype.view = function () {
  *   volume
  *   pan
  *   name
+ *   added
+ *   removed
  *   destroy
  * 
- * @param  {String}   ev event name
- * @param  {Function} cb callback
+ * @param  {String}   ev     event name or pattern
+ * @param  {Object}   filter parameters to match, optional
+ * @param  {Function} cb     callback
+ * @return {Function}        unsubscribe handle, also has cancel()
  */
-Return.prototype.on = function (ev, cb) {
-  this.eventEmitter.on(ev, cb);
+Return.prototype.on = function (ev, filter, cb) {
+  return emitter.subscribe(this, ev, filter, cb);
 };
 
 /**
@@ -415,4 +476,45 @@ Return.prototype.emitEvent = function (ev, params) {
   );
 };
 
+/**
+ * Plain data of the return, see Song.prototype.toJSON
+ * @return {Object}
+ */
+Return.prototype.toJSON = function () {
+  return {
+    id: this.id,
+    name: this.name,
+    solo: this.solo,
+    mute: this.mute,
+    volume: this.volume,
+    pan: this.pan,
+    sends: this.sends.slice(),
+    devices: _.invoke(this.devices, 'toJSON')
+  };
+};
+
+/**
+ * Create a return from data returned by toJSON, the return is not
+ * connected to Live
+ * @param  {Object} data return data
+ * @return {Return}
+ */
+Return.fromJSON = function (data) {
+  var ret = Object.create(Return.prototype);
+  ret.liveosc = null;
+  _.extend(ret, _.omit(data, 'devices'));
+  ret.sends = (data.sends || []).slice();
+  ret.devices = _.map(data.devices || [], function (device) {
+    return Device.fromJSON(device, ret);
+  });
+  ret.eventEmitter = new emitter.Emitter();
+  ret.destroy = function () {
+    ret.eventEmitter.removeAllListeners();
+  };
+  return ret;
+};
+
+emitter.mixin(Return);
+mixer.mixin(Return, 'a return track');
+
 module.exports = Return;
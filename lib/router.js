@@ -0,0 +1,139 @@
+/**
+ * @module node-liveosc
+ * @author Tom Dinchak <dinchak@gmail.com>
+ */
+
+var _ = require('underscore');
+
+/**
+ * Router object, dispatches incoming messages to the objects they
+ * belong to.  One receiver listener is registered per address, and
+ * handlers are indexed by the ids leading the message arguments
+ * (ex track id and clip id) so each message goes straight to its
+ * handlers.
+ *
+ * Options are as follows:
+ *
+ * opts.validate = function (address, args) returning an error for
+ *   malformed messages, which are then dropped instead of dispatched
+ * opts.error = called with the errors returned by opts.validate
+ *
+ * @constructor
+ * @param {Object} receiver OscReceiver to route messages from
+ * @param {Object} opts     options
+ */
+var Router = function (receiver, opts) {
+  opts = opts || {};
+
+  /**
+   * Receiver messages are routed from
+   * @type {Object}
+   */
+  this.receiver = receiver;
+
+  /**
+   * Routes keyed by address, then number of ids, then ids
+   * ex {'/live/clip/info': {2: {'0 1': [handler]}}}
+   * @type {Object}
+   */
+  this.routes = {};
+
+  /**
+   * Receiver listeners keyed by address
+   * @type {Object}
+   */
+  this.listeners = {};
+
+  /**
+   * Message validator
+   * @type {Function}
+   */
+  this.validate = opts.validate || null;
+
+  /**
+   * Called with validation errors
+   * @type {Function}
+   */
+  this.error = opts.error || function () {};
+};
+
+/**
+ * Route messages for an address to a handler
+ * @param {String}   address OSC address
+ * @param {Array}    ids     leading message arguments to match, ex [trackId, clipId]
+ * @param {Function} handler called with all message arguments
+ */
+Router.prototype.add = function (address, ids, handler) {
+  var self = this;
+  ids = ids || [];
+  if (!this.routes[address]) {
+    this.routes[address] = {};
+    this.listeners[address] = function () {
+      self.dispatch(address, Array.prototype.slice.call(arguments, 0));
+    };
+    this.receiver.on(address, this.listeners[address]);
+  }
+  var byArity = this.routes[address];
+  if (!byArity[ids.length]) {
+    byArity[ids.length] = {};
+  }
+  var key = ids.join(' ');
+  if (!byArity[ids.length][key]) {
+    byArity[ids.length][key] = [];
+  }
+  byArity[ids.length][key].push(handler);
+};
+
+/**
+ * Stop routing messages for an address to a handler
+ * @param {String}   address OSC address
+ * @param {Array}    ids     ids the handler was added with
+ * @param {Function} handler handler to remove
+ */
+Router.prototype.remove = function (address, ids, handler) {
+  ids = ids || [];
+  var byArity = this.routes[address];
+  if (!byArity || !byArity[ids.length]) return;
+  var key = ids.join(' ');
+  var handlers = _.without(byArity[ids.length][key] || [], handler);
+  if (handlers.length) {
+    byArity[ids.length][key] = handlers;
+    return;
+  }
+  delete byArity[ids.length][key];
+  if (_.isEmpty(byArity[ids.length])) {
+    delete byArity[ids.length];
+  }
+  if (_.isEmpty(byArity)) {
+    this.receiver.removeListener(address, this.listeners[address]);
+    delete this.routes[address];
+    delete this.listeners[address];
+  }
+};
+
+/**
+ * Deliver a message to the handlers matching its ids, malformed
+ * messages are reported to opts.error and dropped
+ * @param  {String} address OSC address
+ * @param  {Array}  args    message arguments
+ */
+Router.prototype.dispatch = function (address, args) {
+  var byArity = this.routes[address];
+  if (!byArity) return;
+  var err = this.validate && this.validate(address, args);
+  if (err) {
+    this.error(err);
+    return;
+  }
+  _.each(_.keys(byArity), function (arity) {
+    var routes = byArity[arity];
+    if (!routes) return;
+    var handlers = routes[args.slice(0, arity).join(' ')];
+    if (!handlers) return;
+    _.each(handlers.slice(), function (handler) {
+      handler.apply(null, args);
+    });
+  });
+};
+
+module.exports = Router;
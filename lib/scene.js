@@ -0,0 +1,247 @@
+/**
+ * @module node-liveosc
+ * @author Tom Dinchak <dinchak@gmail.com>
+ */
+
+var _ = require('underscore');
+var emitter = require('./emitter');
+
+/**
+ * Scene object, represents a row of clip slots across the tracks of
+ * the Ableton Live set.
+ * @constructor
+ * @param {Object} liveosc LiveOSC instance
+ * @param {Number} id      id (index) of the scene
+ */
+var Scene = function (liveosc, id) {
+
+  /**
+   * Instance of LiveOSC
+   * @type {Object}
+   */
+  this.liveosc = liveosc;
+
+  /**
+   * The id (index) of this scene
+   * @type {Number}
+   */
+  this.id = id;
+
+  /**
+   * The name of this scene
+   * @type {String}
+   */
+  this.name = '';
+
+  /**
+   * True while every clip of the scene is playing
+   * @type {Boolean}
+   */
+  this.playing = false;
+
+  /**
+   * True while a clip of the scene is triggered
+   * @type {Boolean}
+   */
+  this.triggered = false;
+
+  /**
+   * EventEmitter for scene events
+   * @type {Emitter}
+   */
+  this.eventEmitter = new emitter.Emitter();
+
+  var self = this;
+
+  /**
+   * Respond to /live/name/scene
+   * Called when the scene name is reported
+   * @param  {Number} sceneId scene id
+   * @param  {String} name    scene name
+   */
+  function nameListener(sceneId, name) {
+    self.applyName(name);
+  }
+
+  liveosc.router.add('/live/name/scene', [id], nameListener);
+
+  /**
+   * Called when the scene is removed or the song is destroyed
+   */
+  this.destroy = function () {
+    self.emitEvent('destroy');
+    self.eventEmitter.removeAllListeners();
+    self.liveosc.router.remove('/live/name/scene', [self.id], nameListener);
+  };
+};
+
+/**
+ * Apply a name reported by Live
+ * @param {String} name scene name
+ */
+Scene.prototype.applyName = function (name) {
+  if (name == this.name) return;
+  this.emitEvent('name', {
+    value: name,
+    prev: this.name
+  });
+  this.name = name;
+};
+
+/**
+ * Recompute playing and triggered from the clips of the scene, called
+ * by a clip of the scene before its new state is applied
+ * @param {Number} trackId track of a clip whose state is changing
+ * @param {Number} state   new state of that clip
+ */
+Scene.prototype.updateState = function (trackId, state) {
+  var states = _.map(this.clips(), function (clip) {
+    return clip.track.id === trackId ? state : clip.state;
+  });
+  var filled = _.filter(states, function (value) {
+    return value > 0;
+  });
+  var playing = filled.length > 0 && _.every(filled, function (value) {
+    return value == 2;
+  });
+  var triggered = _.contains(states, 3);
+  if (playing != this.playing) {
+    this.emitEvent('playing', {
+      value: playing,
+      prev: this.playing
+    });
+    this.playing = playing;
+  }
+  if (triggered != this.triggered) {
+    this.emitEvent('triggered', {
+      value: triggered,
+      prev: this.triggered
+    });
+    this.triggered = triggered;
+  }
+};
+
+/**
+ * Clips of the scene, one per track
+ * @return {Array}
+ */
+Scene.prototype.clips = function () {
+  var id = this.id;
+  return _.compact(_.map(this.liveosc.song.tracks, function (track) {
+    return track.clips[id];
+  }));
+};
+
+/**
+ * Request the name of the scene
+ */
+Scene.prototype.refresh = function () {
+  this.liveosc.song.request('/live/name/scene', [this.id]);
+};
+
+/**
+ * Launch the scene
+ */
+Scene.prototype.play = function () {
+  return this.liveosc.song.playScene(this.id);
+};
+
+/**
+ * Rename the scene
+ * @param {String} name new scene name
+ */
+Scene.prototype.setName = function (name) {
+  return this.liveosc.send(
+    '/live/name/scene',
+    {
+      type: 'integer',
+      value: this.id
+    },
+    {
+      type: 'string',
+      value: name
+    }
+  );
+};
+
+/**
+ * Rename the scene, same as setName
+ * @param {String} name new scene name
+ */
+Scene.prototype.rename = function (name) {
+  return this.setName(name);
+};
+
+/**
+ * Query the name of the scene
+ * @return {Promise} resolves with the name
+ */
+Scene.prototype.fetchName = function () {
+  return this.liveosc.query('/live/name/scene', [this.id], {match: [this.id]}).then(function (args) {
+    return args[0];
+  });
+};
+
+/**
+ * Listen for a scene event, current events are:
+ *
+ *   name
+ *   playing
+ *   triggered
+ *   added
+ *   removed
+ *   destroy
+ *
+ * @param  {String}   ev     event name or pattern
+ * @param  {Object}   filter parameters to match, optional
+ * @param  {Function} cb     callback
+ * @return {Function}        unsubscribe handle, also has cancel()
+ */
+Scene.prototype.on = function (ev, filter, cb) {
+  return emitter.subscribe(this, ev, filter, cb);
+};
+
+/**
+ * Emit a scene event
+ * @param  {String} ev     event name
+ * @param  {Object} params event parameters
+ */
+Scene.prototype.emitEvent = function (ev, params) {
+  this.eventEmitter.emit(ev, params);
+  this.liveosc.song.eventEmitter.emit('scene:' + ev, _.extend({id: this.id}, params));
+};
+
+/**
+ * Plain data of the scene, see Song.prototype.toJSON
+ * @return {Object}
+ */
+Scene.prototype.toJSON = function () {
+  return {
+    id: this.id,
+    name: this.name
+  };
+};
+
+/**
+ * Create a scene from data returned by toJSON, the scene is not
+ * connected to Live
+ * @param  {Object} data scene data
+ * @return {Scene}
+ */
+Scene.fromJSON = function (data) {
+  var scene = Object.create(Scene.prototype);
+  scene.liveosc = null;
+  scene.id = data.id;
+  scene.name = data.name || '';
+  scene.playing = false;
+  scene.triggered = false;
+  scene.eventEmitter = new emitter.Emitter();
+  scene.destroy = function () {
+    scene.eventEmitter.removeAllListeners();
+  };
+  return scene;
+};
+
+emitter.mixin(Scene);
+
+module.exports = Scene;
@@ -0,0 +1,121 @@
+/**
+ * @module node-liveosc
+ * @author Tom Dinchak <dinchak@gmail.com>
+ */
+
+var _ = require('underscore');
+
+/**
+ * Scheduler object, runs callbacks at song positions.  Jobs only run
+ * while the song is playing and are run opts.lookahead milliseconds
+ * early, so messages they send reach Live before the beat.  The next
+ * job is planned with a timer that is corrected whenever Live reports
+ * a beat, the tempo changes or the transport starts or stops.
+ * @constructor
+ * @param {Object} song Song instance
+ */
+var Scheduler = function (song) {
+
+  /**
+   * Song instance
+   * @type {Object}
+   */
+  this.song = song;
+
+  /**
+   * Time in milliseconds jobs run before their beat
+   * @type {Number}
+   */
+  this.lookahead = song.liveosc.lookahead;
+
+  /**
+   * Scheduled jobs
+   * @type {Array}
+   */
+  this.jobs = [];
+
+  var self = this;
+  _.each(['beat', 'tempo', 'play'], function (ev) {
+    song.on(ev, function () {
+      self.plan();
+    });
+  });
+};
+
+/**
+ * Schedule a callback
+ * @param  {Number}   beat     song position in beats
+ * @param  {Number}   interval beats between repeats, 0 to run once
+ * @param  {Function} fn       called with {beat: beat}, errors it
+ *                             throws are reported as error events
+ * @return {Object}            job, call job.cancel() to unschedule
+ */
+Scheduler.prototype.add = function (beat, interval, fn) {
+  var self = this;
+  var job = {
+    beat: beat,
+    interval: interval,
+    fn: fn,
+    cancel: function () {
+      self.jobs = _.without(self.jobs, job);
+      self.plan();
+    }
+  };
+  this.jobs.push(job);
+  this.plan();
+  return job;
+};
+
+/**
+ * Run the jobs that are due and set a timer for the next one
+ */
+Scheduler.prototype.plan = function () {
+  var clock = this.song.clock;
+  clearTimeout(this.timer);
+  if (!clock.playing) return;
+
+  var ahead = this.lookahead / clock.msPerBeat();
+  var job = this.next();
+  while (job && job.beat - ahead <= clock.beat()) {
+    var beat = job.beat;
+    if (job.interval) {
+      // skip repeats missed when the song position jumped ahead
+      beat = Math.max(beat, Math.floor((clock.beat() + ahead) / job.interval) * job.interval);
+      job.beat = beat + job.interval;
+    } else {
+      this.jobs = _.without(this.jobs, job);
+    }
+    try {
+      job.fn({beat: beat});
+    } catch (err) {
+      // a failing job must not stop the jobs after it
+      this.song.liveosc.error(err);
+    }
+    if (!clock.playing) return;
+    job = this.next();
+  }
+  if (!job) return;
+
+  var self = this;
+  this.timer = setTimeout(function () {
+    self.plan();
+  }, Math.max(0, (job.beat - ahead - clock.beat()) * clock.msPerBeat()));
+};
+
+/**
+ * Job that is due first
+ * @return {Object} job, undefined if nothing is scheduled
+ */
+Scheduler.prototype.next = function () {
+  return _.sortBy(this.jobs, 'beat')[0];
+};
+
+/**
+ * Unschedule every job
+ */
+Scheduler.prototype.stop = function () {
+  clearTimeout(this.timer);
+  this.jobs = [];
+};
+
+module.exports = Scheduler;
@@ -0,0 +1,231 @@
+/**
+ * @module node-liveosc
+ * @author Tom Dinchak <dinchak@gmail.com>
+ */
+
+var _ = require('underscore');
+var subscribe = require('./emitter').subscribe;
+
+/**
+ * Kinds of objects a selector can match
+ * @type {Array}
+ */
+var types = ['track', 'return', 'master', 'scene', 'clip', 'device', 'param'];
+
+/**
+ * Normalize a selector, a string is shorthand for a type, ex 'clip'
+ * is {type: 'clip'}
+ * @param  {Mixed}  selector selector or type
+ * @return {Object}          selector
+ */
+function normalize(selector) {
+  if (typeof selector == 'string') {
+    selector = {type: selector};
+  }
+  selector = selector || {};
+  if (selector.type && !_.contains(types, selector.type)) {
+    throw new Error('Unknown selector type ' + selector.type);
+  }
+  return selector;
+}
+
+/**
+ * Test a name against a string or RegExp
+ * @param  {Mixed}   pattern string or RegExp
+ * @param  {String}  name    name to test
+ * @return {Boolean}
+ */
+function matchName(pattern, name) {
+  if (pattern instanceof RegExp) {
+    return typeof name == 'string' && pattern.test(name);
+  }
+  return pattern === name;
+}
+
+/**
+ * Test a track against a track selector, a name, RegExp or id
+ * @param  {Mixed}   pattern name, RegExp or id
+ * @param  {Object}  track   Track, Return or Song
+ * @return {Boolean}
+ */
+function matchTrack(pattern, track) {
+  if (typeof pattern == 'number') {
+    return track.id === pattern;
+  }
+  return matchName(pattern, track.name);
+}
+
+/**
+ * Test an object against a selector
+ * @param  {Object}  selector normalized selector
+ * @param  {String}  type     kind of the object, ex 'clip'
+ * @param  {Object}  object   object to test
+ * @param  {Object}  parent   track of a clip or device, device of a param
+ * @return {Boolean}
+ */
+function matches(selector, type, object, parent) {
+  if (selector.type && selector.type != type) return false;
+  if (_.has(selector, 'name') && !matchName(selector.name, object.name)) return false;
+  if (_.has(selector, 'audio') && (type != 'track' || !object.audio != !selector.audio)) return false;
+  if (type == 'clip') {
+    if (_.has(selector, 'state')) {
+      if (!_.contains([].concat(selector.state), object.state)) return false;
+    } else if (object.state === 0) {
+      // empty clip slots only match an explicit state
+      return false;
+    }
+  } else if (_.has(selector, 'state')) {
+    return false;
+  }
+  if (_.has(selector, 'deviceType')) {
+    if (type != 'device' && type != 'param') return false;
+    var device = type == 'param' ? parent : object;
+    if (device.type != selector.deviceType) return false;
+  }
+  if (_.has(selector, 'track')) {
+    var track = type == 'param' ? parent.track : parent;
+    if (type == 'track' || type == 'return' || type == 'master') {
+      track = object;
+    }
+    if (!track || !matchTrack(selector.track, track)) return false;
+  }
+  if (selector.where && !selector.where(object, parent)) return false;
+  return true;
+}
+
+/**
+ * Every object of a song, depth first in set order
+ * @param  {Object} song Song instance
+ * @return {Array}       ex [{type: 'clip', object: {Clip}, parent: {Track}}]
+ */
+function walk(song) {
+  var result = [];
+
+  function devices(owner) {
+    _.each(owner.devices, function (device) {
+      result.push({type: 'device', object: device, parent: owner});
+      _.each(_.compact(device.params), function (param) {
+        result.push({type: 'param', object: param, parent: device});
+      });
+    });
+  }
+
+  _.each(song.tracks, function (track) {
+    result.push({type: 'track', object: track, parent: song});
+    _.each(track.clips, function (clip) {
+      result.push({type: 'clip', object: clip, parent: track});
+    });
+    devices(track);
+  });
+  _.each(song.returns, function (ret) {
+    result.push({type: 'return', object: ret, parent: song});
+    devices(ret);
+  });
+  result.push({type: 'master', object: song.master, parent: song});
+  devices(song.master);
+  _.each(song.scenes, function (scene) {
+    result.push({type: 'scene', object: scene, parent: song});
+  });
+  return result;
+}
+
+/**
+ * Find every object of a song matching a selector
+ * @param  {Object} song     Song instance
+ * @param  {Mixed}  selector selector or type
+ * @return {Array}           matching objects
+ */
+function findAll(song, selector) {
+  selector = normalize(selector);
+  return _.pluck(_.filter(walk(song), function (entry) {
+    return matches(selector, entry.type, entry.object, entry.parent);
+  }), 'object');
+}
+
+/**
+ * Find the object a global song event refers to
+ * @param  {Object} song   Song instance
+ * @param  {String} type   kind of object, ex 'clip'
+ * @param  {Object} params global event parameters
+ * @return {Object}        {object: object, parent: parent}, undefined if unknown
+ */
+function resolve(song, type, params) {
+  var owner;
+  if (type == 'clip' || (type == 'device' && params.type == 'track')) {
+    owner = song.tracks[params.trackId];
+  } else if (type == 'device' && params.type == 'return') {
+    owner = song.returns[params.trackId];
+  } else if (type == 'device' || type == 'master') {
+    owner = song.master;
+  } else {
+    owner = song;
+  }
+  if (!owner) return;
+  if (type == 'master') {
+    return {object: owner, parent: song};
+  }
+  if (params.object) {
+    return {object: params.object, parent: owner};
+  }
+  var list = {
+    track: song.tracks,
+    'return': song.returns,
+    scene: song.scenes,
+    clip: owner.clips,
+    device: owner.devices
+  }[type];
+  var object = list && list[params.id];
+  if (object) {
+    return {object: object, parent: owner};
+  }
+}
+
+/**
+ * Watch an event of every object matching a selector, objects added
+ * later are watched as well.  Param selectors watch value changes of
+ * matching parameters, the event name is not used and the callback
+ * gets the device of the parameter.  Objects are matched when the
+ * event fires, before its value is applied.
+ * @param  {Object}   song     Song instance
+ * @param  {Mixed}    selector selector or type, the type is required
+ * @param  {String}   ev       event name, ex 'state'
+ * @param  {Function} cb       called with (params, object), the device
+ *                             for param selectors
+ * @return {Function}          unsubscribe handle, also has cancel()
+ */
+function watch(song, selector, ev, cb) {
+  selector = normalize(selector);
+  if (!selector.type) {
+    throw new Error('Watching requires a selector type');
+  }
+  if (selector.type == 'clip' && !_.has(selector, 'state')) {
+    // clips being created or deleted are still empty
+    selector = _.extend({state: [0, 1, 2, 3]}, selector);
+  }
+  var type = selector.type == 'param' ? 'device' : selector.type;
+  var name = selector.type == 'param' ? 'device:param' : type + ':' + ev;
+
+  function listener(params) {
+    var found = resolve(song, type, params);
+    if (!found) return;
+    if (selector.type == 'param') {
+      // parameters are named once their first value is applied
+      var param = _.extend({}, found.object.findParam(params.name), {name: params.name});
+      if (!matches(selector, 'param', param, found.object)) return;
+      cb(params, found.object);
+      return;
+    }
+    if (!matches(selector, type, found.object, found.parent)) return;
+    cb(params, found.object);
+  }
+
+  return subscribe(song, name, listener);
+}
+
+exports.types = types;
+exports.normalize = normalize;
+exports.matches = matches;
+exports.walk = walk;
+exports.findAll = findAll;
+exports.resolve = resolve;
+exports.watch = watch;
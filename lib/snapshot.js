@@ -0,0 +1,290 @@
+/**
+ * @module node-liveosc
+ * @author Tom Dinchak <dinchak@gmail.com>
+ */
+
+var _ = require('underscore');
+var fs = require('fs');
+
+/**
+ * Mixer values captured from tracks and returns
+ * @type {Array}
+ */
+var mixerFields = ['volume', 'pan', 'mute', 'solo', 'arm'];
+
+/**
+ * Snapshot object, a named copy of the mixer state of the set: the
+ * master volume and panning, the volume, panning, mute, solo, arm
+ * and send levels of every track and return, and the values of
+ * selected device parameters.  Snapshots are plain data and can be
+ * saved as JSON, then recalled instantly or morphed to over time.
+ *
+ * The data has the following format:
+ *
+ *   {
+ *     name: 'Verse',
+ *     master: {volume: 0.85, pan: 0},
+ *     tracks: [{id: 0, name: '1-MIDI', volume: 0.85, pan: 0, mute: 0, solo: 0, arm: 0, sends: [0.2]}],
+ *     returns: [{id: 0, name: 'A-Reverb', volume: 0.85, pan: 0, mute: 0, solo: 0, sends: []}],
+ *     devices: [{type: 'return', trackId: 0, id: 0, name: 'Reverb', params: {'Dry/Wet': 0.5}}]
+ *   }
+ *
+ * @constructor
+ * @param {Object} liveosc LiveOSC instance
+ * @param {Object} data    snapshot data
+ */
+var Snapshot = function (liveosc, data) {
+  data = data || {};
+
+  /**
+   * Instance of LiveOSC
+   * @type {Object}
+   */
+  this.liveosc = liveosc;
+
+  /**
+   * Name of the snapshot
+   * @type {String}
+   */
+  this.name = data.name || '';
+
+  /**
+   * Master volume and panning
+   * @type {Object}
+   */
+  this.master = data.master || {};
+
+  /**
+   * Track mixer values
+   * @type {Array}
+   */
+  this.tracks = data.tracks || [];
+
+  /**
+   * Return mixer values
+   * @type {Array}
+   */
+  this.returns = data.returns || [];
+
+  /**
+   * Device parameter values
+   * @type {Array}
+   */
+  this.devices = data.devices || [];
+};
+
+/**
+ * Capture the mixer state of a song.  opts.devices selects the
+ * device parameters to include, each entry is a Device to capture
+ * every parameter, or {device: Device, params: ['Dry/Wet']} to
+ * capture some of them.
+ * @param  {Object}   liveosc LiveOSC instance
+ * @param  {String}   name    name of the snapshot
+ * @param  {Object}   opts    options
+ * @return {Snapshot}
+ */
+Snapshot.capture = function (liveosc, name, opts) {
+  opts = opts || {};
+  var song = liveosc.song;
+
+  function mixer(track) {
+    var values = {id: track.id, name: track.name};
+    _.each(mixerFields, function (field) {
+      if (_.has(track, field)) {
+        values[field] = track[field];
+      }
+    });
+    values.sends = track.sends.slice();
+    return values;
+  }
+
+  var devices = _.map(opts.devices || [], function (entry) {
+    var device = entry.device || entry;
+    var params = entry.device && entry.params ? _.compact(_.map(entry.params, function (param) {
+      return device.findParam(param);
+    })) : _.compact(device.params);
+    var values = {};
+    _.each(params, function (prm) {
+      values[prm.name] = prm.value;
+    });
+    return {
+      type: device.type,
+      trackId: device.type == 'master' ? null : device.track.id,
+      id: device.id,
+      name: device.name,
+      params: values
+    };
+  });
+
+  return new Snapshot(liveosc, {
+    name: name,
+    master: {volume: song.master.volume, pan: song.master.pan},
+    tracks: _.map(song.tracks, mixer),
+    returns: _.map(song.returns, mixer),
+    devices: devices
+  });
+};
+
+/**
+ * Read a snapshot saved with save()
+ * @param  {Object}  liveosc LiveOSC instance
+ * @param  {String}  file    path of the JSON file
+ * @return {Promise}         resolves with the Snapshot
+ */
+Snapshot.load = function (liveosc, file) {
+  return new Promise(function (resolve, reject) {
+    fs.readFile(file, 'utf8', function (err, json) {
+      if (err) return reject(err);
+      try {
+        resolve(new Snapshot(liveosc, JSON.parse(json)));
+      } catch (e) {
+        reject(e);
+      }
+    });
+  });
+};
+
+/**
+ * Plain data of the snapshot, see the constructor for the format
+ * @return {Object}
+ */
+Snapshot.prototype.toJSON = function () {
+  return {
+    name: this.name,
+    master: this.master,
+    tracks: this.tracks,
+    returns: this.returns,
+    devices: this.devices
+  };
+};
+
+/**
+ * Write the snapshot to a JSON file
+ * @param  {String}  file path of the JSON file
+ * @return {Promise}      resolves once written
+ */
+Snapshot.prototype.save = function (file) {
+  var json = JSON.stringify(this, null, 2);
+  return new Promise(function (resolve, reject) {
+    fs.writeFile(file, json, function (err) {
+      if (err) return reject(err);
+      resolve();
+    });
+  });
+};
+
+/**
+ * Find the device a captured device entry refers to, by position on
+ * its track and name, or by name when the device moved
+ * @param  {Object} entry captured device entry
+ * @return {Device}       undefined when the device is gone
+ */
+Snapshot.prototype.device = function (entry) {
+  var song = this.liveosc.song;
+  var owner = song.master;
+  if (entry.type == 'track') {
+    owner = song.tracks[entry.trackId];
+  } else if (entry.type == 'return') {
+    owner = song.returns[entry.trackId];
+  }
+  if (!owner) return;
+  var device = owner.devices[entry.id];
+  if (device && device.name == entry.name) {
+    return device;
+  }
+  return _.findWhere(owner.devices, {name: entry.name});
+};
+
+/**
+ * Call a function for every value of the snapshot that can be
+ * applied to the set, tracks and returns missing from the set are
+ * skipped
+ * @param {Function} fn called with (target, kind, key, value), kind
+ *                      is 'mixer', 'send' or 'param'
+ */
+Snapshot.prototype.each = function (fn) {
+  var self = this;
+  var song = this.liveosc.song;
+  _.each(['volume', 'pan'], function (field) {
+    if (typeof self.master[field] == 'number') {
+      fn(song.master, 'mixer', field, self.master[field]);
+    }
+  });
+  _.each([['tracks', song.tracks], ['returns', song.returns]], function (pair) {
+    _.each(self[pair[0]], function (values) {
+      var track = pair[1][values.id];
+      if (!track) return;
+      _.each(mixerFields, function (field) {
+        if (typeof values[field] == 'number' && _.has(track, field)) {
+          fn(track, 'mixer', field, values[field]);
+        }
+      });
+      _.each(values.sends, function (value, send) {
+        if (typeof value == 'number') {
+          fn(track, 'send', send, value);
+        }
+      });
+    });
+  });
+  _.each(this.devices, function (entry) {
+    var device = self.device(entry);
+    if (!device) return;
+    _.each(entry.params, function (value, name) {
+      if (device.findParam(name)) {
+        fn(device, 'param', name, value);
+      }
+    });
+  });
+};
+
+/**
+ * Apply every value of the snapshot at once
+ * @return {Promise} resolves once every message is sent
+ */
+Snapshot.prototype.recall = function () {
+  var promises = [];
+  this.each(function (target, kind, key, value) {
+    if (kind == 'param') {
+      promises.push(target.set(key, value));
+    } else if (kind == 'send') {
+      promises.push(target.setSend(key, value));
+    } else {
+      var setter = 'set' + key.charAt(0).toUpperCase() + key.slice(1);
+      promises.push(target[setter](value));
+    }
+  });
+  return Promise.all(promises);
+};
+
+/**
+ * Move to the snapshot over time, see Ramp for the options.
+ * Volumes, panning, sends and device parameters are ramped while
+ * mute, solo and arm switch at the start.
+ * @param  {Object}  opts ramp options, ex {bars: 4, curve: 's'}
+ * @return {Promise}      resolves with true once every value is
+ *                        reached and switch sent, false if a ramp was
+ *                        cancelled
+ */
+Snapshot.prototype.morph = function (opts) {
+  var ramps = [];
+  var switches = [];
+  this.each(function (target, kind, key, value) {
+    if (kind == 'param') {
+      ramps.push(target.ramp(key, value, opts));
+    } else if (kind == 'send') {
+      ramps.push(target.rampSend(key, value, opts));
+    } else if (key == 'volume') {
+      ramps.push(target.rampVolume(value, opts));
+    } else if (key == 'pan') {
+      ramps.push(target.rampPan(value, opts));
+    } else if (target[key] !== value) {
+      var setter = 'set' + key.charAt(0).toUpperCase() + key.slice(1);
+      switches.push(target[setter](value));
+    }
+  });
+  return Promise.all([Promise.all(ramps), Promise.all(switches)]).then(function (results) {
+    return _.every(results[0]);
+  });
+};
+
+module.exports = Snapshot;
@@ -4,15 +4,25 @@
  */
 
 var _ = require('underscore');
-var EventEmitter = require('events').EventEmitter;
+var emitter = require('./emitter');
 var Track = require('./track');
 var Return = require('./return');
-var Device = require('./device');
+var Scene = require('./scene');
+var MasterTrack = require('./master');
+var Clock = require('./clock');
+var Scheduler = require('./scheduler');
+var position = require('./position');
+var Ramp = require('./ramp');
+var Lfo = require('./lfo');
+var Snapshot = require('./snapshot');
+var selector = require('./selector');
+var paths = require('./path');
+var TimeoutError = require('./errors').TimeoutError;
+var LiveOSCError = require('./errors').LiveOSCError;
 
 /**
  * Song object, represents the current state of the Ableton Live
- * set.  Contains tracks, returns, and devices, as well as master
- * track properties.
+ * set.  Contains tracks, returns, scenes and the master track.
  * @constructor
  * @param {Object} liveosc LiveOSC instance
  */
@@ -43,34 +53,66 @@ var Song = function (liveosc) {
   this.returns = [];
 
   /**
-   * Current devices
+   * Current scenes
    * @type {Array}
    */
-  this.devices = [];
+  this.scenes = [];
 
   /**
-   * Master track volume
+   * Currently selected scene, this was song.scene before scene()
+   * became the scene lookup
    * @type {Number}
    */
-  this.volume = 0;
+  this.selectedScene = 0;
 
   /**
-   * Master track panning
+   * Number of scenes
    * @type {Number}
    */
-  this.pan = 0;
+  this.numScenes = 0;
 
   /**
-   * Currently selected scene
+   * Current beat/play position
    * @type {Number}
    */
-  this.scene = 0;
+  this.beat = 0;
 
   /**
-   * Current beat/play position
+   * Current bar, counted from 1
    * @type {Number}
    */
-  this.beat = 0;
+  this.bar = 1;
+
+  /**
+   * Current beat of the bar in units of the signature denominator,
+   * counted from 1
+   * @type {Number}
+   */
+  this.beatInBar = 1;
+
+  /**
+   * Current phrase, counted from 1
+   * @type {Number}
+   */
+  this.phrase = 1;
+
+  /**
+   * Number of bars in a phrase
+   * @type {Number}
+   */
+  this.phraseLength = liveosc.phraseLength;
+
+  /**
+   * Time signature numerator
+   * @type {Number}
+   */
+  this.numerator = 4;
+
+  /**
+   * Time signature denominator
+   * @type {Number}
+   */
+  this.denominator = 4;
 
   /**
    * Transport play state, 1 = stopped, 2 = playing 
@@ -78,11 +120,62 @@ var Song = function (liveosc) {
    */
   this.playing = 1;
 
+  /**
+   * Requests awaiting a reply during a refresh, keyed by reply
+   * address, ex {'/live/clip/info': {arity: 2, keys: {'0 1': [0, 1]}}}
+   * @type {Object}
+   */
+  this.pending = {};
+
+  /**
+   * Refresh progress counts
+   * @type {Object}
+   */
+  this.progress = {answered: 0, total: 0};
+
+  /**
+   * True while a refresh is in progress
+   * @type {Boolean}
+   */
+  this.refreshing = false;
+
   /**
    * EventEmitter for song events
-   * @type {EventEmitter}
+   * @type {Emitter}
+   */
+  this.eventEmitter = new emitter.Emitter();
+
+  /**
+   * Master track, holds the master volume, panning, cue volume,
+   * crossfader and devices
+   * @type {MasterTrack}
    */
-  this.eventEmitter = new EventEmitter();
+  this.master = new MasterTrack(liveosc, this);
+
+  /**
+   * Musical clock following the tempo and song position
+   * @type {Clock}
+   */
+  this.clock = new Clock(this);
+
+  /**
+   * Scheduler of callbacks at song positions, created after the clock
+   * so it sees the updated position
+   * @type {Scheduler}
+   */
+  this.scheduler = new Scheduler(this);
+
+  /**
+   * Running ramps
+   * @type {Array}
+   */
+  this.ramps = [];
+
+  /**
+   * Running LFOs
+   * @type {Array}
+   */
+  this.lfos = [];
 
   var self = this;
 
@@ -110,6 +203,24 @@ var Song = function (liveosc) {
       prev: self.beat
     });
     self.beat = beat;
+    self.updatePosition();
+  }
+
+  /**
+   * Respond to /live/signature
+   * Called when the time signature changes
+   * @param  {Number} numerator   new numerator
+   * @param  {Number} denominator new denominator
+   */
+  function signatureListener(numerator, denominator) {
+    if (numerator == self.numerator && denominator == self.denominator) return;
+    self.eventEmitter.emit('signature', {
+      value: {numerator: numerator, denominator: denominator},
+      prev: {numerator: self.numerator, denominator: self.denominator}
+    });
+    self.numerator = numerator;
+    self.denominator = denominator;
+    self.updatePosition();
   }
 
   /**
@@ -133,48 +244,34 @@ var Song = function (liveosc) {
   function sceneListener(scene) {
     self.eventEmitter.emit('scene', {
       value: scene,
-      prev: self.scene
-    });
-    self.scene = scene;
-  }
-
-  /**
-   * Respond to /live/master/volume
-   * Called when master track volume changes
-   * @param  {Number} volume new volume (0.0 - 1.0)
-   */
-  function volumeListener(volume) {
-    self.eventEmitter.emit('volume', {
-      value: volume,
-      prev: self.volume
+      prev: self.selectedScene
     });
-    self.volume = volume;
-  }
-
-  /**
-   * Respond to /live/master/pan
-   * Called when master track panning changes
-   * @param  {Number} pan new panning (-1.0 - 1.0)
-   */
-  function panListener(pan) {
-    self.eventEmitter.emit('pan', {
-      value: pan,
-      prev: self.pan
-    });
-    self.pan = pan;
+    self.selectedScene = scene;
   }
 
   /**
    * Repond to /live/tracks
-   * Called when number of tracks is reported
+   * Called when number of tracks is reported.  Only the number is
+   * known, so tracks are matched by position: an inserted track is
+   * reported as added at the end and the existing tracks are renamed.
    * @param  {Number} numTracks new number of tracks
    */
   function tracksListener(numTracks) {
+    _.each(self.tracks.slice(numTracks), function (track) {
+      track.emitEvent('removed', {object: track});
+      track.destroy();
+    });
+    self.tracks = self.tracks.slice(0, numTracks);
     for (var i = 0; i < numTracks; i++) {
-      self.tracks[i] = new Track(liveosc, i);
+      if (self.tracks[i]) {
+        self.tracks[i].refresh();
+      } else {
+        self.tracks[i] = new Track(liveosc, i);
+        self.tracks[i].emitEvent('added', {object: self.tracks[i]});
+      }
     }
     // request number of scenes
-    liveosc.emitter.emit('/live/scenes');
+    self.request('/live/scenes');
   }
 
   /**
@@ -183,8 +280,18 @@ var Song = function (liveosc) {
    * @param  {Number} numTracks number of returns
    */
   function returnsListener(numTracks) {
+    _.each(self.returns.slice(numTracks), function (ret) {
+      ret.emitEvent('removed', {object: ret});
+      ret.destroy();
+    });
+    self.returns = self.returns.slice(0, numTracks);
     for (var i = 0; i < numTracks; i++) {
-      self.returns[i] = new Return(liveosc, i);
+      if (self.returns[i]) {
+        self.returns[i].refresh();
+      } else {
+        self.returns[i] = new Return(liveosc, i);
+        self.returns[i].emitEvent('added', {object: self.returns[i]});
+      }
     }
   }
 
@@ -194,25 +301,24 @@ var Song = function (liveosc) {
    * @param  {Number} numScenes number of scenes
    */
   function scenesListener(numScenes) {
-    for (var i = 0; i < self.tracks.length; i++) {
+    var i;
+    _.each(self.scenes.slice(numScenes).reverse(), function (scene) {
+      scene.emitEvent('removed', {object: scene});
+      scene.destroy();
+    });
+    self.scenes = self.scenes.slice(0, numScenes);
+    for (i = self.scenes.length; i < numScenes; i++) {
+      self.scenes[i] = new Scene(liveosc, i);
+      self.scenes[i].emitEvent('added', {object: self.scenes[i]});
+      self.scenes[i].refresh();
+    }
+    self.numScenes = numScenes;
+    for (i = 0; i < self.tracks.length; i++) {
       self.tracks[i].setNumScenes(numScenes);
       self.tracks[i].refreshClips();
     }
   }
 
-  /**
-   * Respond to /live/master/devicelist
-   * Called when device list is received
-   */
-  function devicelistListener() {
-    var args = Array.prototype.slice.call(arguments, 0);
-    for (var i = 0; i < args.length; i += 2) {
-      var deviceId = args[i];
-      var deviceName = args[i + 1];
-      self.devices.push(new Device(liveosc, deviceId, self, 'master', deviceName));
-    }
-  }
-
   /**
    * Respond to:
    * /remix/oscserver/startup
@@ -223,117 +329,450 @@ var Song = function (liveosc) {
   function refreshListener() {
     self.refresh();
   }
-  liveosc.receiver.on('/live/play', playListener);
-  liveosc.receiver.on('/live/beat', beatListener);
-  liveosc.receiver.on('/live/tempo', tempoListener);
-  liveosc.receiver.on('/live/scene', sceneListener);
-  liveosc.receiver.on('/live/master/volume', volumeListener);
-  liveosc.receiver.on('/live/master/pan', panListener);
-  liveosc.receiver.on('/live/tracks', tracksListener);
-  liveosc.receiver.on('/live/returns', returnsListener);
-  liveosc.receiver.on('/live/scenes', scenesListener);
-  liveosc.receiver.on('/live/master/devicelist', devicelistListener);
-  liveosc.receiver.on('/remix/oscserver/startup', refreshListener);
-  liveosc.receiver.on('/remix/oscserver/shutdown', refreshListener);
-  liveosc.receiver.on('/live/refresh', refreshListener);
-
-  // use /live/time to indicate live is ready
-  liveosc.receiver.on('/live/time', function () {
-    self.eventEmitter.emit('ready');
-  });
+
+  /**
+   * Respond to any message from Live
+   * Marks outstanding refresh requests as answered
+   * @param  {String} address address of the message
+   */
+  function replyListener(address) {
+    var expected = self.pending[address];
+    if (!expected) return;
+    var ids = Array.prototype.slice.call(arguments, 1, expected.arity + 1);
+    var key = ids.join(' ');
+    if (!expected.keys[key]) return;
+    delete expected.keys[key];
+    self.progress.answered++;
+    self.eventEmitter.emit('refresh:progress', {
+      answered: self.progress.answered,
+      total: self.progress.total
+    });
+    // wait for listeners of this message to issue follow up requests
+    setImmediate(function () {
+      self.checkRefresh();
+    });
+  }
+  liveosc.router.add('/live/play', [], playListener);
+  liveosc.router.add('/live/beat', [], beatListener);
+  liveosc.router.add('/live/tempo', [], tempoListener);
+  liveosc.router.add('/live/signature', [], signatureListener);
+  liveosc.router.add('/live/scene', [], sceneListener);
+  liveosc.router.add('/live/tracks', [], tracksListener);
+  liveosc.router.add('/live/returns', [], returnsListener);
+  liveosc.router.add('/live/scenes', [], scenesListener);
+  liveosc.router.add('/remix/oscserver/startup', [], refreshListener);
+  liveosc.router.add('/remix/oscserver/shutdown', [], refreshListener);
+  liveosc.router.add('/live/refresh', [], refreshListener);
+  liveosc.receiver.on('message', replyListener);
+
+  /**
+   * Called when LiveOSC is closed, destroys all tracks, returns
+   * and devices and cancels the refresh
+   */
+  this.destroy = function () {
+    clearTimeout(this.refreshTimer);
+    this.scheduler.stop();
+    _.each(this.ramps.slice(), function (ramp) {
+      ramp.cancel();
+    });
+    _.each(this.lfos.slice(), function (lfo) {
+      lfo.stop();
+    });
+    this.refreshing = false;
+    this.pending = {};
+
+    _.each(this.tracks, function (track) {
+      track.destroy();
+    });
+    this.tracks = [];
+
+    _.each(this.returns, function (ret) {
+      ret.destroy();
+    });
+    this.returns = [];
+
+    this.master.destroy();
+
+    _.each(this.scenes, function (scene) {
+      scene.destroy();
+    });
+    this.scenes = [];
+
+    this.eventEmitter.emit('destroy');
+    this.eventEmitter.removeAllListeners();
+    liveosc.router.remove('/live/play', [], playListener);
+    liveosc.router.remove('/live/beat', [], beatListener);
+    liveosc.router.remove('/live/tempo', [], tempoListener);
+    liveosc.router.remove('/live/signature', [], signatureListener);
+    liveosc.router.remove('/live/scene', [], sceneListener);
+    liveosc.router.remove('/live/tracks', [], tracksListener);
+    liveosc.router.remove('/live/returns', [], returnsListener);
+    liveosc.router.remove('/live/scenes', [], scenesListener);
+    liveosc.router.remove('/remix/oscserver/startup', [], refreshListener);
+    liveosc.router.remove('/remix/oscserver/shutdown', [], refreshListener);
+    liveosc.router.remove('/live/refresh', [], refreshListener);
+    liveosc.receiver.removeListener('message', replyListener);
+  };
 
   this.refresh();
 };
 
+/**
+ * Master track volume, same as master.volume.  Assigning it assigns
+ * master.volume, it is not sent to Live.
+ * @type {Number}
+ */
+Object.defineProperty(Song.prototype, 'volume', {
+  get: function () {
+    return this.master.volume;
+  },
+  set: function (volume) {
+    this.master.volume = volume;
+  }
+});
+
+/**
+ * Master track panning, same as master.pan.  Assigning it assigns
+ * master.pan, it is not sent to Live.
+ * @type {Number}
+ */
+Object.defineProperty(Song.prototype, 'pan', {
+  get: function () {
+    return this.master.pan;
+  },
+  set: function (pan) {
+    this.master.pan = pan;
+  }
+});
+
+/**
+ * Cue volume, same as master.cueVolume.  Assigning it assigns
+ * master.cueVolume, it is not sent to Live.
+ * @type {Number}
+ */
+Object.defineProperty(Song.prototype, 'cueVolume', {
+  get: function () {
+    return this.master.cueVolume;
+  },
+  set: function (cueVolume) {
+    this.master.cueVolume = cueVolume;
+  }
+});
+
+/**
+ * Crossfader position, -1.0 (A) - 1.0 (B), same as
+ * master.crossfader.  Assigning it assigns master.crossfader, it is
+ * not sent to Live.
+ * @type {Number}
+ */
+Object.defineProperty(Song.prototype, 'crossfader', {
+  get: function () {
+    return this.master.crossfader;
+  },
+  set: function (crossfader) {
+    this.master.crossfader = crossfader;
+  }
+});
+
+/**
+ * Master track devices, same as master.devices.  Assigning it assigns
+ * master.devices, it is not sent to Live.
+ * @type {Array}
+ */
+Object.defineProperty(Song.prototype, 'devices', {
+  get: function () {
+    return this.master.devices;
+  },
+  set: function (devices) {
+    this.master.devices = devices;
+  }
+});
+
 /**
  * Refresh the current song state
- * Recreates all tracks/returns/clips
+ * Existing tracks/returns/clips/devices are updated in place and
+ * only created or destroyed when they were added or removed in Live,
+ * ready is emitted once every request issued during the refresh has
+ * been answered
  */
 Song.prototype.refresh = function () {
   this.eventEmitter.emit('refresh');
 
-  _.each(this.tracks, function (track) {
-    track.destroy();
-  });
+  this.pending = {};
+  this.progress = {answered: 0, total: 0};
+  this.refreshing = true;
+  clearTimeout(this.refreshTimer);
+  var self = this;
+  this.refreshTimer = setTimeout(function () {
+    var pending = self.outstanding();
+    self.eventEmitter.emit('refresh:timeout', {
+      pending: pending
+    });
+    var err = new TimeoutError('refresh', self.liveosc.refreshTimeout);
+    err.pending = pending;
+    self.liveosc.error(err);
+    self.finishRefresh();
+  }, this.liveosc.refreshTimeout);
 
-  this.tracks = [];
-  _.each(this.returns, function (ret) {
-    ret.destroy();
+  this.request('/live/tracks');
+  this.request('/live/returns');
+  this.master.refresh();
+  this.request('/live/tempo');
+  this.request('/live/signature');
+  _.each(this.scenes, function (scene) {
+    scene.refresh();
   });
+};
 
-  this.returns = [];
-  _.each(this.devices, function (device) {
-    device.destroy();
+/**
+ * Recompute bar, beatInBar and phrase from the current beat, emits
+ * bar and phrase events when they change
+ */
+Song.prototype.updatePosition = function () {
+  var pos = this.position(this.beat);
+  if (pos.bar != this.bar) {
+    this.eventEmitter.emit('bar', {
+      value: pos.bar,
+      prev: this.bar
+    });
+  }
+  if (pos.phrase != this.phrase) {
+    this.eventEmitter.emit('phrase', {
+      value: pos.phrase,
+      prev: this.phrase
+    });
+  }
+  this.bar = pos.bar;
+  this.beatInBar = pos.beatInBar;
+  this.phrase = pos.phrase;
+};
+
+/**
+ * Split a song position into bars, beats and sixteenths using the
+ * current time signature and phrase length
+ * @param  {Number} beat song position in beats, defaults to the
+ *                       position followed by the clock
+ * @return {Object}      ex {bar: 17, beatInBar: 3, sixteenth: 1, phrase: 5}
+ */
+Song.prototype.position = function (beat) {
+  if (typeof beat == 'undefined') {
+    beat = this.clock.beat();
+  }
+  return position.position(beat, this.numerator, this.denominator, this.phraseLength);
+};
+
+/**
+ * Format a song position like Live's transport
+ * @param  {Number} beat song position in beats, defaults to the
+ *                       position followed by the clock
+ * @return {String}      ex '17.3.1'
+ */
+Song.prototype.formatPosition = function (beat) {
+  return position.format(this.position(beat));
+};
+
+/**
+ * Send a request to Live, while refreshing the request is tracked
+ * until its reply arrives
+ * @param  {String} address OSC address to send
+ * @param  {Array}  ids     ids identifying the object, sent as integers
+ * @param  {String} reply   address of the reply, defaults to address
+ */
+Song.prototype.request = function (address, ids, reply) {
+  ids = ids || [];
+  var args = [address].concat(ids.map(function (id) {
+    return {type: 'integer', value: id};
+  }));
+  this.liveosc.transmit(args);
+  if (this.refreshing) {
+    this.expect(reply || address, ids);
+  }
+};
+
+/**
+ * Track a reply that must arrive before the refresh is complete
+ * @param  {String} address address of the reply
+ * @param  {Array}  ids     leading reply arguments identifying the object
+ */
+Song.prototype.expect = function (address, ids) {
+  if (!this.pending[address]) {
+    this.pending[address] = {arity: ids.length, keys: {}};
+  }
+  var key = ids.join(' ');
+  if (this.pending[address].keys[key]) return;
+  this.pending[address].keys[key] = ids;
+  this.progress.total++;
+};
+
+/**
+ * List requests that have not been answered yet
+ * @return {Array} ex [{address: '/live/clip/info', ids: [0, 1]}]
+ */
+Song.prototype.outstanding = function () {
+  var list = [];
+  _.each(this.pending, function (expected, address) {
+    _.each(expected.keys, function (ids) {
+      list.push({address: address, ids: ids});
+    });
   });
+  return list;
+};
 
-  this.devices = [];
-  this.liveosc.emitter.emit('/live/tracks');
-  this.liveosc.emitter.emit('/live/returns');
-  this.liveosc.emitter.emit('/live/master/volume');
-  this.liveosc.emitter.emit('/live/master/pan');
-  this.liveosc.emitter.emit('/live/tempo');
-  this.liveosc.emitter.emit('/live/master/devicelist');
+/**
+ * Complete the refresh if no requests are outstanding
+ */
+Song.prototype.checkRefresh = function () {
+  if (!this.refreshing) return;
+  if (this.progress.answered < this.progress.total) return;
+  this.finishRefresh();
+};
 
-  var self = this;
-  setTimeout(function () {
-    self.liveosc.emitter.emit('/live/time');
-  }, this.liveosc.waitTime);
+/**
+ * End the current refresh and emit ready
+ */
+Song.prototype.finishRefresh = function () {
+  clearTimeout(this.refreshTimer);
+  this.refreshing = false;
+  this.pending = {};
+  this.eventEmitter.emit('ready');
 };
 
 /**
  * Trigger song stop
  */
 Song.prototype.stop = function () {
-  this.liveosc.emitter.emit('/live/stop');
+  return this.liveosc.send('/live/stop');
 };
 
 /**
  * Trigger song play
  */
 Song.prototype.play = function () {
-  this.liveosc.emitter.emit('/live/play');
+  return this.liveosc.send('/live/play');
 };
 
 /**
  * Trigger song continue play
  */
 Song.prototype.continue = function () {
-  this.liveosc.emitter.emit('/live/play/continue');
+  return this.liveosc.send('/live/play/continue');
 };
 
 /**
  * Move to next cue marker
  */
 Song.prototype.nextCue = function () {
-  this.liveosc.emitter.emit('/live/next/cue');
+  return this.liveosc.send('/live/next/cue');
 };
 
 /**
  * Move to previous cue marker
  */
 Song.prototype.prevCue = function () {
-  this.liveosc.emitter.emit('/live/prev/cue');
+  return this.liveosc.send('/live/prev/cue');
 };
 
 /**
  * Trigger undo
  */
 Song.prototype.undo = function () {
-  this.liveosc.emitter.emit('/live/undo');
+  return this.liveosc.send('/live/undo');
 };
 
 /**
  * Trigger redo
  */
 Song.prototype.redo = function () {
-  this.liveosc.emitter.emit('/live/redo');
+  return this.liveosc.send('/live/redo');
 };
 
 /**
  * Focus the master track
  */
 Song.prototype.view = function () {
-  this.liveosc.emitter.emit('/live/master/view');
+  return this.master.view();
+};
+
+/**
+ * Find a scene by name or id.  The number of the selected scene is
+ * song.selectedScene.
+ * @param  {Mixed}  scene name or id of the scene, ex 'Chorus'
+ * @return {Scene}        undefined if there is no such scene
+ */
+Song.prototype.scene = function (scene) {
+  if (typeof scene == 'string') {
+    return _.findWhere(this.scenes, {name: scene});
+  }
+  return this.scenes[scene];
+};
+
+/**
+ * Find every object of the set matching a selector.  Selectors are
+ * objects with any of the following keys, a string is shorthand for
+ * the type:
+ *
+ *   type = 'track', 'return', 'master', 'scene', 'clip', 'device'
+ *     or 'param'
+ *   name = name as a string or RegExp
+ *   audio = true for audio tracks, false for MIDI tracks
+ *   state = clip state or list of states, empty clip slots only
+ *     match when given
+ *   deviceType = type of the track of a device or param, 'track',
+ *     'return' or 'master'
+ *   track = name, RegExp or id of the track of a clip, device or
+ *     param, or of the track itself
+ *   where = function called with (object, parent) returning true
+ *     for objects to keep
+ *
+ * @param  {Mixed} sel selector, ex {type: 'clip', state: 2}
+ * @return {Array}     matching objects in set order
+ */
+Song.prototype.findAll = function (sel) {
+  return selector.findAll(this, sel);
+};
+
+/**
+ * Find the first object of the set matching a selector, see findAll
+ * @param  {Mixed}  sel selector, ex {type: 'device', name: /Reverb/}
+ * @return {Object}     undefined if nothing matches
+ */
+Song.prototype.find = function (sel) {
+  return this.findAll(sel)[0];
+};
+
+/**
+ * Listen for an event of every object matching a selector, including
+ * objects added later, see findAll for selectors.  Param selectors
+ * watch parameter values and call cb with the device.
+ * @param  {Mixed}    sel selector with a type, ex {type: 'track', audio: true}
+ * @param  {String}   ev  event name, ex 'volume'
+ * @param  {Function} cb  called with (params, object)
+ * @return {Function}     unsubscribe handle, also has cancel()
+ */
+Song.prototype.watch = function (sel, ev, cb) {
+  return selector.watch(this, sel, ev, cb);
+};
+
+/**
+ * Read an object or value by path, see path.resolve for the format
+ * @param  {String} path path, ex 'tracks/Drums/devices/Reverb/params/Dry Wet'
+ * @return {Mixed}       object or value, undefined if not found
+ */
+Song.prototype.get = function (path) {
+  return paths.get(this, path);
+};
+
+/**
+ * Change a value by path with the setter of its object, ex
+ * song.set('returns/A-Reverb/sends/1', 0.5)
+ * @param  {String}  path  path of a value
+ * @param  {Mixed}   value new value
+ * @return {Promise}       resolves once sent, rejects with an
+ *                         UnknownPathError for unknown paths or
+ *                         values that can not be set
+ */
+Song.prototype.set = function (path, value) {
+  return paths.set(this, path, value);
 };
 
 /**
@@ -341,7 +780,7 @@ Song.prototype.view = function () {
  * @param  {Number} scene scene number to play
  */
 Song.prototype.playScene = function (scene) {
-  this.liveosc.emitter.emit(
+  return this.liveosc.send(
     '/live/scene',
     {
       type: 'integer',
@@ -355,12 +794,7 @@ Song.prototype.playScene = function (scene) {
  * @param {Number} volume new volume
  */
 Song.prototype.setVolume = function (volume) {
-  this.liveosc.emitter.emit('/live/master/volume',
-    {
-      type: 'float',
-      value: volume
-    }
-  );
+  return this.master.setVolume(volume);
 };
 
 /**
@@ -368,12 +802,23 @@ Song.prototype.setVolume = function (volume) {
  * @param {Number} pan new panning
  */
 Song.prototype.setPan = function (pan) {
-  this.liveosc.emitter.emit('/live/master/pan',
-    {
-      type: 'float',
-      value: pan
-    }
-  );
+  return this.master.setPan(pan);
+};
+
+/**
+ * Sets the cue volume
+ * @param {Number} cueVolume new cue volume
+ */
+Song.prototype.setCueVolume = function (cueVolume) {
+  return this.master.setCueVolume(cueVolume);
+};
+
+/**
+ * Sets the crossfader position
+ * @param {Number} crossfader -1.0 (A) - 1.0 (B)
+ */
+Song.prototype.setCrossfader = function (crossfader) {
+  return this.master.setCrossfader(crossfader);
 };
 
 /**
@@ -381,7 +826,7 @@ Song.prototype.setPan = function (pan) {
  * @param {Number} tempo new tempo
  */
 Song.prototype.setTempo = function (tempo) {
-  this.liveosc.emitter.emit('/live/tempo',
+  return this.liveosc.send('/live/tempo',
     {
       type: 'float',
       value: tempo
@@ -389,22 +834,421 @@ Song.prototype.setTempo = function (tempo) {
   );
 };
 
+/**
+ * Sets the time signature
+ * @param {Number} numerator   new numerator
+ * @param {Number} denominator new denominator
+ */
+Song.prototype.setSignature = function (numerator, denominator) {
+  return this.liveosc.send('/live/signature',
+    {
+      type: 'integer',
+      value: numerator
+    },
+    {
+      type: 'integer',
+      value: denominator
+    }
+  );
+};
+
+/**
+ * Ramp the tempo, see Ramp for the options
+ * @param  {Number} tempo target tempo
+ * @param  {Object} opts  ramp options, ex {bars: 4, curve: 's'}
+ * @return {Ramp}         resolves with true once the tempo is reached
+ */
+Song.prototype.rampTempo = function (tempo, opts) {
+  var self = this;
+  return Ramp.start(this.liveosc, {
+    target: this,
+    name: 'tempo',
+    from: this.tempo,
+    to: tempo,
+    set: function (value) {
+      return self.setTempo(value);
+    }
+  }, opts);
+};
+
+/**
+ * Ramp the master track volume, see Ramp for the options
+ * @param  {Number} volume target volume
+ * @param  {Object} opts   ramp options, ex {beats: 8}
+ * @return {Ramp}          resolves with true once the volume is reached
+ */
+Song.prototype.rampVolume = function (volume, opts) {
+  return this.master.rampVolume(volume, opts);
+};
+
+/**
+ * Ramp the master track panning, see Ramp for the options
+ * @param  {Number} pan  target panning
+ * @param  {Object} opts ramp options, ex {beats: 8}
+ * @return {Ramp}        resolves with true once the panning is reached
+ */
+Song.prototype.rampPan = function (pan, opts) {
+  return this.master.rampPan(pan, opts);
+};
+
+/**
+ * Move the crossfader over time, see Ramp for the options.  Tracks
+ * are assigned to a side with track.setCrossfadeAssign().
+ * @param  {Mixed}  to   'A', 'B' or a position from -1.0 (A) to 1.0 (B)
+ * @param  {Object} opts ramp options, ex {bars: 8, curve: 's'}
+ * @return {Ramp}        resolves with true once the crossfader arrives,
+ *                       rejects with a LiveOSCError for unknown targets
+ */
+Song.prototype.crossfade = function (to, opts) {
+  var target = {A: -1, B: 1}[to];
+  if (typeof to == 'number') {
+    target = Math.max(-1, Math.min(1, to));
+  }
+  if (typeof target == 'undefined') {
+    return Ramp.failed(this.liveosc, new LiveOSCError('Unknown crossfade target ' + to));
+  }
+  return this.master.rampCrossfader(target, opts);
+};
+
+/**
+ * Capture the mixer state into a named snapshot, see Snapshot
+ * @param  {String}   name name of the snapshot
+ * @param  {Object}   opts options, opts.devices selects device
+ *                         parameters, ex [device, {device: reverb, params: ['Dry/Wet']}]
+ * @return {Snapshot}
+ */
+Song.prototype.capture = function (name, opts) {
+  return Snapshot.capture(this.liveosc, name, opts);
+};
+
+/**
+ * Read a snapshot saved with snapshot.save()
+ * @param  {String}  file path of the JSON file
+ * @return {Promise}      resolves with the Snapshot
+ */
+Song.prototype.loadSnapshot = function (file) {
+  return Snapshot.load(this.liveosc, file);
+};
+
+/**
+ * Call a function when the song reaches a position.  Callbacks run
+ * opts.lookahead milliseconds early and wait while the song is
+ * stopped, a position that already passed runs right away.
+ * @param  {Number}   beat song position in beats
+ * @param  {Function} fn   called with {beat: beat}
+ * @return {Object}        job, call job.cancel() to unschedule
+ */
+Song.prototype.at = function (beat, fn) {
+  return this.scheduler.add(beat, 0, fn);
+};
+
+/**
+ * Call a function on the next bar, beat or multiple of a number of
+ * beats after the current position
+ * @param  {Mixed}    unit 'bar', 'beat', beats, or a duration like '2 bars'
+ * @param  {Function} fn   called with {beat: beat}
+ * @return {Object}        job, call job.cancel() to unschedule
+ */
+Song.prototype.onNext = function (unit, fn) {
+  var beats = this.clock.toBeats(unit);
+  var beat = (Math.floor(this.clock.beat() / beats) + 1) * beats;
+  return this.scheduler.add(beat, 0, fn);
+};
+
+/**
+ * Call a function repeatedly, on every multiple of an interval
+ * counted from the start of the song
+ * @param  {Mixed}    interval beats or a duration like '4 bars'
+ * @param  {Function} fn       called with {beat: beat}
+ * @return {Object}            job, call job.cancel() to unschedule
+ */
+Song.prototype.every = function (interval, fn) {
+  var beats = this.clock.toBeats(interval);
+  if (!(beats > 0)) {
+    throw new Error('Invalid interval ' + interval);
+  }
+  var beat = Math.ceil(this.clock.beat() / beats) * beats;
+  return this.scheduler.add(beat, beats, fn);
+};
+
+/**
+ * Query the current tempo
+ * @return {Promise} resolves with the tempo
+ */
+Song.prototype.fetchTempo = function () {
+  return this.liveosc.query('/live/tempo').then(function (args) {
+    return args[0];
+  });
+};
+
+/**
+ * Query the time signature
+ * @return {Promise} resolves with {numerator: 4, denominator: 4}
+ */
+Song.prototype.fetchSignature = function () {
+  return this.liveosc.query('/live/signature').then(function (args) {
+    return {numerator: args[0], denominator: args[1]};
+  });
+};
+
+/**
+ * Query the current song time
+ * @return {Promise} resolves with the song time in beats
+ */
+Song.prototype.fetchTime = function () {
+  return this.liveosc.query('/live/time').then(function (args) {
+    return args[0];
+  });
+};
+
+/**
+ * Query the currently selected scene
+ * @return {Promise} resolves with the scene number
+ */
+Song.prototype.fetchScene = function () {
+  return this.liveosc.query('/live/scene').then(function (args) {
+    return args[0];
+  });
+};
+
+/**
+ * Query the master track volume
+ * @return {Promise} resolves with the volume
+ */
+Song.prototype.fetchVolume = function () {
+  return this.master.fetchVolume();
+};
+
+/**
+ * Query the master track panning
+ * @return {Promise} resolves with the panning
+ */
+Song.prototype.fetchPan = function () {
+  return this.master.fetchPan();
+};
+
+/**
+ * Query the number of tracks
+ * @return {Promise} resolves with the number of tracks
+ */
+Song.prototype.fetchTracks = function () {
+  return this.liveosc.query('/live/tracks').then(function (args) {
+    return args[0];
+  });
+};
+
+/**
+ * Query the number of return tracks
+ * @return {Promise} resolves with the number of returns
+ */
+Song.prototype.fetchReturns = function () {
+  return this.liveosc.query('/live/returns').then(function (args) {
+    return args[0];
+  });
+};
+
+/**
+ * Query the number of scenes
+ * @return {Promise} resolves with the number of scenes
+ */
+Song.prototype.fetchScenes = function () {
+  return this.liveosc.query('/live/scenes').then(function (args) {
+    return args[0];
+  });
+};
+
+/**
+ * Query the master track devices
+ * @return {Promise} resolves with a list of devices, ex [{id: 0, name: 'Limiter'}]
+ */
+Song.prototype.fetchDevices = function () {
+  return this.master.fetchDevices();
+};
+
+/**
+ * Plain data of the set without references back to LiveOSC, for
+ * archiving and diffing.  The format is versioned by
+ * Song.schemaVersion, empty clip slots are null:
+ *
+ *   {
+ *     version: 1,
+ *     tempo: 120,
+ *     numerator: 4,
+ *     denominator: 4,
+ *     volume: 0.85,
+ *     pan: 0,
+ *     cueVolume: 0.85,
+ *     crossfader: 0,
+ *     selectedScene: 0,
+ *     scenes: [{id: 0, name: 'Intro'}],
+ *     tracks: [{id: 0, name: 'Drums', audio: 1, arm: 0, solo: 0, mute: 0,
+ *       volume: 0.85, pan: 0, crossfadeAssign: 'none', sends: [0.2],
+ *       clips: [{id: 0, name: 'Beat', state: 1, length: 8, loopstart: 0,
+ *       loopend: 8, loopstate: 1, warping: 0, coarse: 0, fine: 0}, null],
+ *       devices: [...]}],
+ *     returns: [{id: 0, name: 'A-Reverb', solo: 0, mute: 0, volume: 0.85,
+ *       pan: 0, sends: [], devices: [...]}],
+ *     devices: [{id: 0, name: 'Limiter', type: 'master',
+ *       params: [{id: 0, name: 'Gain', value: 0, min: -24, max: 24}]}]
+ *   }
+ *
+ * cueVolume, crossfader and the crossfadeAssign of tracks are optional
+ * within version 1, data written before they were added loads with
+ * 0, 0 and 'none'.
+ *
+ * @return {Object}
+ */
+Song.prototype.toJSON = function () {
+  // the master track data is kept at the top level
+  return _.extend({
+    version: Song.schemaVersion,
+    tempo: this.tempo,
+    numerator: this.numerator,
+    denominator: this.denominator
+  }, this.master.toJSON(), {
+    selectedScene: this.selectedScene,
+    scenes: _.invoke(this.scenes, 'toJSON'),
+    tracks: _.invoke(this.tracks, 'toJSON'),
+    returns: _.invoke(this.returns, 'toJSON')
+  });
+};
+
+/**
+ * Subscribe to a song event, or to the value at a path if the event
+ * name contains a slash
+ * @param  {Song}     song   Song instance
+ * @param  {String}   ev     event name, pattern or path
+ * @param  {Object}   filter parameters to match, optional
+ * @param  {Function} cb     callback
+ * @param  {Object}   opts   {once: true} and/or {prepend: true}
+ * @return {Function}        unsubscribe handle
+ */
+function subscribe(song, ev, filter, cb, opts) {
+  if (ev.indexOf('/') != -1) {
+    return paths.on(song, ev, typeof filter == 'function' ? filter : cb, opts);
+  }
+  return emitter.subscribe(song, ev, filter, cb, opts);
+}
+
 /**
  * Listen for a song event, current events are:
  * 
  *   ready
+ *   refresh
+ *   refresh:progress
+ *   refresh:timeout
+ *   scene:added
+ *   scene:removed
+ *   destroy
  *   play
  *   beat
+ *   bar
+ *   phrase
+ *   signature
  *   tempo
  *   scene
  *   volume
  *   pan
+ *   cueVolume
+ *   crossfader
+ *   error
+ *
+ * Master track events are also emitted here prefixed with master:,
+ * ex 'master:crossfader'.  volume, pan, cueVolume and crossfader are
+ * the values of the master track.
  *   
- * @param  {String}   ev event name
- * @param  {Function} cb callback
+ * An event name containing a slash is a path to a value, see
+ * path.resolve, ex song.on('tracks/Drums/volume', cb) listens for
+ * changes of the volume of the Drums track.
+ *
+ * Global events of tracks, returns, clips, devices and scenes are
+ * prefixed with their type, ex 'clip:state'.  A * in the event name
+ * matches any characters, ex song.on('clip:*', cb) listens for every
+ * clip event and calls cb with (params, ev).  A filter object only
+ * passes events whose parameters match, ex
+ * song.on('device:param', {trackId: 2}, cb).
+ *
+ * @param  {String}   ev     event name, pattern or path
+ * @param  {Object}   filter parameters to match, optional
+ * @param  {Function} cb     callback
+ * @return {Function}        unsubscribe handle, also has cancel()
  */
-Song.prototype.on = function (ev, cb) {
-  this.eventEmitter.on(ev, cb);
+Song.prototype.on = function (ev, filter, cb) {
+  return subscribe(this, ev, filter, cb);
 };
 
+/**
+ * Listen for the next matching song event or path change, see on()
+ * @return {Function} unsubscribe handle
+ */
+Song.prototype.once = function (ev, filter, cb) {
+  return subscribe(this, ev, filter, cb, {once: true});
+};
+
+/**
+ * Listen for a song event or path change before the other listeners,
+ * see on()
+ * @return {Function} unsubscribe handle
+ */
+Song.prototype.prependListener = function (ev, filter, cb) {
+  return subscribe(this, ev, filter, cb, {prepend: true});
+};
+
+/**
+ * Listen for the next matching song event or path change before the
+ * other listeners, see on()
+ * @return {Function} unsubscribe handle
+ */
+Song.prototype.prependOnceListener = function (ev, filter, cb) {
+  return subscribe(this, ev, filter, cb, {once: true, prepend: true});
+};
+
+/**
+ * Version of the format returned by toJSON
+ * @type {Number}
+ */
+Song.schemaVersion = 1;
+
+/**
+ * Create a song from data returned by toJSON for offline inspection.
+ * The song and its objects hold the saved state but are not
+ * connected to Live, methods that talk to Live can not be used.
+ * The clock stays at the start of the song, so position() and
+ * formatPosition() work with the saved time signature.
+ * @param  {Mixed} data song data or its JSON string
+ * @return {Song}
+ */
+Song.fromJSON = function (data) {
+  if (typeof data == 'string') {
+    data = JSON.parse(data);
+  }
+  if (!data || data.version > Song.schemaVersion) {
+    throw new Error('Unsupported song data version ' + (data && data.version));
+  }
+  var song = Object.create(Song.prototype);
+  song.liveosc = null;
+  _.extend(song, _.pick(data, 'tempo', 'numerator', 'denominator', 'selectedScene'));
+  song.master = MasterTrack.fromJSON(data, song);
+  song.scenes = _.map(data.scenes || [], Scene.fromJSON);
+  song.numScenes = song.scenes.length;
+  song.tracks = _.map(data.tracks || [], Track.fromJSON);
+  song.returns = _.map(data.returns || [], Return.fromJSON);
+  song.beat = 0;
+  song.bar = 1;
+  song.beatInBar = 1;
+  song.phrase = 1;
+  song.phraseLength = 4;
+  song.playing = 1;
+  song.ramps = [];
+  song.lfos = [];
+  song.eventEmitter = new emitter.Emitter();
+  song.clock = new Clock(song);
+  song.destroy = function () {
+    song.eventEmitter.removeAllListeners();
+  };
+  return song;
+};
+
+emitter.mixin(Song);
+
 module.exports = Song;
@@ -4,10 +4,18 @@
  */
 
 var _ = require('underscore');
-var EventEmitter = require('events').EventEmitter;
+var emitter = require('./emitter');
 
 var Clip = require('./clip');
 var Device = require('./device');
+var mixer = require('./mixer');
+var LiveOSCError = require('./errors').LiveOSCError;
+
+/**
+ * Crossfader assignments indexed by the value Live reports
+ * @type {Array}
+ */
+var crossfadeAssignments = ['A', 'none', 'B'];
 
 /**
  * Track object, represents an audio or midi track in the Ableton Live set.
@@ -90,6 +98,12 @@ var Track = function (liveosc, id) {
    */
   this.pan = 0;
 
+  /**
+   * Side of the crossfader the track is assigned to, 'A', 'none' or 'B'
+   * @type {String}
+   */
+  this.crossfadeAssign = 'none';
+
   /**
    * Number of scenes in the track
    * @type {Number}
@@ -98,9 +112,9 @@ var Track = function (liveosc, id) {
 
   /**
    * EventEmitter for track events
-   * @type {EventEmitter}
+   * @type {Emitter}
    */
-  this.eventEmitter = new EventEmitter();
+  this.eventEmitter = new emitter.Emitter();
 
   var self = this;
 
@@ -108,10 +122,6 @@ var Track = function (liveosc, id) {
    * Listen for /live/send
    */
   function sendListener() {
-    var trackId = arguments[0];
-    if (trackId != id) {
-      return;
-    }
     for (var i = 1; i < Object.keys(arguments).length; i += 2) {
       var sendNum = arguments[i];
       var sendVal = arguments[i+1];
@@ -130,7 +140,6 @@ var Track = function (liveosc, id) {
    * @param  {Number} solo    0 or 1
    */
   function soloListener(trackId, solo) {
-    if (trackId != self.id) return;
     self.emitEvent('solo', {
       value: solo,
       prev: self.solo
@@ -144,7 +153,6 @@ var Track = function (liveosc, id) {
    * @param  {Number} arm     0 or 1
    */
   function armListener(trackId, arm) {
-    if (trackId != self.id) return;
     self.emitEvent('arm', {
       value: arm,
       prev: self.arm
@@ -158,7 +166,6 @@ var Track = function (liveosc, id) {
    * @param  {Number} mute    0 or 1
    */
   function muteListener(trackId, mute) {
-    if (trackId != self.id) return;
     self.emitEvent('mute', {
       value: mute,
       prev: self.mute
@@ -172,7 +179,6 @@ var Track = function (liveosc, id) {
    * @param  {Number} volume  new track volume
    */
   function volumeListener(trackId, volume) {
-    if (trackId != self.id) return;
     self.emitEvent('volume', {
       value: volume,
       prev: self.volume
@@ -186,7 +192,6 @@ var Track = function (liveosc, id) {
    * @param  {Number} pan     new track panning
    */
   function panListener(trackId, pan) {
-    if (trackId != self.id) return;
     self.emitEvent('pan', {
       value: pan,
       prev: self.pan
@@ -194,6 +199,20 @@ var Track = function (liveosc, id) {
     self.pan = pan;
   }
 
+  /**
+   * Listen for /live/track/crossfader
+   * @param  {Number} trackId the id of the track
+   * @param  {Number} assign  0 = A, 1 = none, 2 = B
+   */
+  function crossfaderListener(trackId, assign) {
+    var value = crossfadeAssignments[assign] || 'none';
+    self.emitEvent('crossfadeAssign', {
+      value: value,
+      prev: self.crossfadeAssign
+    });
+    self.crossfadeAssign = value;
+  }
+
   /**
    * Listen for /live/track/info
    * @param  {Number} trackId the id of the track
@@ -205,13 +224,7 @@ var Track = function (liveosc, id) {
    * @param  {Number} pan     current track panning
    */
   function trackinfoListener(trackId, arm, solo, mute, audio, volume, pan) {
-    if (trackId != self.id) return;
-    self.arm = arm;
-    self.solo = solo;
-    self.mute = mute;
     self.audio = audio;
-    this.volume = volume;
-    this.pan = pan;
     self.emitEvent('arm', {
       value: arm,
       prev: self.arm
@@ -232,6 +245,11 @@ var Track = function (liveosc, id) {
       value: pan,
       prev: self.pan
     });
+    self.arm = arm;
+    self.solo = solo;
+    self.mute = mute;
+    self.volume = volume;
+    self.pan = pan;
     self.refreshClips();
   }
 
@@ -239,19 +257,8 @@ var Track = function (liveosc, id) {
    * Listen for /live/devicelist
    */
   function devicelistListener() {
-    var args = Array.prototype.slice.call(arguments, 0);
-    var trackId = args.shift();
-    if (trackId != self.id) return;
-    // refresh all devices
-    _.each(this.devices, function (device) {
-      device.destroy();
-    });
-    this.devices = [];
-    for (var i = 0; i < args.length; i += 2) {
-      var deviceId = args[i];
-      var deviceName = args[i + 1];
-      self.devices.push(new Device(liveosc, deviceId, self, 'track', deviceName));
-    }
+    var args = Array.prototype.slice.call(arguments, 1);
+    self.devices = Device.reconcile(liveosc, self.devices, args, self, 'track');
   }
 
   /**
@@ -261,33 +268,31 @@ var Track = function (liveosc, id) {
    * @param  {String} name    track name
    */
   function nameListener(trackId, name) {
-    if (trackId != self.id) return;
     self.emitEvent('name', {
       value: name,
       prev: self.name
     });
     self.name = name;
-    liveosc.emitter.emit('/live/scenes');
-    _.each(self.devices, function (device) {
-      device.destroy();
-    });
-    self.devices = [];
+    liveosc.song.request('/live/scenes');
     // this is called when clips or devices are added or removed
     // request new clip list
-    liveosc.emitter.emit('/live/track/info', {type: 'integer', value: id});
+    liveosc.song.request('/live/track/info', [id]);
+    // not every LiveOSC build answers this, so refresh does not wait for it
+    liveosc.transmit(['/live/track/crossfader', {type: 'integer', value: id}]);
     // request new device list
-    liveosc.emitter.emit('/live/devicelist', {type: 'integer', value: id});
+    liveosc.song.request('/live/devicelist', [id]);
   }
 
-  liveosc.receiver.on('/live/send', sendListener);
-  liveosc.receiver.on('/live/solo', soloListener);
-  liveosc.receiver.on('/live/arm', armListener);
-  liveosc.receiver.on('/live/mute', muteListener);
-  liveosc.receiver.on('/live/pan', panListener);
-  liveosc.receiver.on('/live/volume', volumeListener);
-  liveosc.receiver.on('/live/track/info', trackinfoListener);
-  liveosc.receiver.on('/live/devicelist', devicelistListener);
-  liveosc.receiver.on('/live/name/track', nameListener);
+  liveosc.router.add('/live/send', [id], sendListener);
+  liveosc.router.add('/live/solo', [id], soloListener);
+  liveosc.router.add('/live/arm', [id], armListener);
+  liveosc.router.add('/live/mute', [id], muteListener);
+  liveosc.router.add('/live/pan', [id], panListener);
+  liveosc.router.add('/live/volume', [id], volumeListener);
+  liveosc.router.add('/live/track/info', [id], trackinfoListener);
+  liveosc.router.add('/live/track/crossfader', [id], crossfaderListener);
+  liveosc.router.add('/live/devicelist', [id], devicelistListener);
+  liveosc.router.add('/live/name/track', [id], nameListener);
 
   /**
    * Called when a track is refreshed or destroyed
@@ -295,15 +300,16 @@ var Track = function (liveosc, id) {
   this.destroy = function () {
     this.eventEmitter.emit('destroy');
     this.eventEmitter.removeAllListeners();
-    this.liveosc.receiver.removeListener('/live/send', sendListener);
-    this.liveosc.receiver.removeListener('/live/solo', soloListener);
-    this.liveosc.receiver.removeListener('/live/arm', armListener);
-    this.liveosc.receiver.removeListener('/live/mute', muteListener);
-    this.liveosc.receiver.removeListener('/live/pan', panListener);
-    this.liveosc.receiver.removeListener('/live/volume', volumeListener);
-    this.liveosc.receiver.removeListener('/live/track/info', trackinfoListener);
-    this.liveosc.receiver.removeListener('/live/devicelist', devicelistListener);
-    this.liveosc.receiver.removeListener('/live/name/track', nameListener);
+    this.liveosc.router.remove('/live/send', [this.id], sendListener);
+    this.liveosc.router.remove('/live/solo', [this.id], soloListener);
+    this.liveosc.router.remove('/live/arm', [this.id], armListener);
+    this.liveosc.router.remove('/live/mute', [this.id], muteListener);
+    this.liveosc.router.remove('/live/pan', [this.id], panListener);
+    this.liveosc.router.remove('/live/volume', [this.id], volumeListener);
+    this.liveosc.router.remove('/live/track/info', [this.id], trackinfoListener);
+    this.liveosc.router.remove('/live/track/crossfader', [this.id], crossfaderListener);
+    this.liveosc.router.remove('/live/devicelist', [this.id], devicelistListener);
+    this.liveosc.router.remove('/live/name/track', [this.id], nameListener);
 
     _.each(self.clips, function (clip) {
       clip.destroy();
@@ -316,8 +322,16 @@ var Track = function (liveosc, id) {
     this.devices = [];
   };
 
-  liveosc.emitter.emit('/live/name/track', {type: 'integer', value: id});
-  liveosc.emitter.emit('/live/send', {type: 'integer', value: id});
+  this.refresh();
+};
+
+/**
+ * Request the name and send levels of the track, the name reply
+ * in turn requests the track info, clips and devices
+ */
+Track.prototype.refresh = function () {
+  this.liveosc.song.request('/live/name/track', [this.id]);
+  this.liveosc.song.request('/live/send', [this.id]);
 };
 
 /**
@@ -325,7 +339,7 @@ var Track = function (liveosc, id) {
  * @param {String} name the new track name
  */
 Track.prototype.setName = function (name) {
-  this.liveosc.emitter.emit(
+  return this.liveosc.send(
     '/live/name/track',
     {
       type: 'integer',
@@ -343,7 +357,7 @@ Track.prototype.setName = function (name) {
  * @param {Number} arm 0 or 1
  */
 Track.prototype.setArm = function (arm) {
-  this.liveosc.emitter.emit(
+  return this.liveosc.send(
     '/live/arm',
     {
       type: 'integer',
@@ -361,7 +375,7 @@ Track.prototype.setArm = function (arm) {
  * @param {Number} solo 0 or 1
  */
 Track.prototype.setSolo = function (solo) {
-  this.liveosc.emitter.emit(
+  return this.liveosc.send(
     '/live/solo',
     {
       type: 'integer',
@@ -379,7 +393,7 @@ Track.prototype.setSolo = function (solo) {
  * @param {Number} mute 0 or 1
  */
 Track.prototype.setMute = function (mute) {
-  this.liveosc.emitter.emit(
+  return this.liveosc.send(
     '/live/mute',
     {
       type: 'integer',
@@ -397,7 +411,7 @@ Track.prototype.setMute = function (mute) {
  * @param {Number} volume 0.0 - 1.0
  */
 Track.prototype.setVolume = function (volume) {
-  this.liveosc.emitter.emit(
+  return this.liveosc.send(
     '/live/volume',
     {
       type: 'integer',
@@ -415,7 +429,7 @@ Track.prototype.setVolume = function (volume) {
  * @param {Number} pan -1.0 - 1.0
  */
 Track.prototype.setPan = function (pan) {
-  this.liveosc.emitter.emit(
+  return this.liveosc.send(
     '/live/pan',
     {
       type: 'integer',
@@ -428,13 +442,35 @@ Track.prototype.setPan = function (pan) {
   );
 };
 
+/**
+ * Assign the track to a side of the crossfader
+ * @param {String} assign 'A', 'none' or 'B'
+ */
+Track.prototype.setCrossfadeAssign = function (assign) {
+  var value = crossfadeAssignments.indexOf(assign);
+  if (value == -1) {
+    return this.liveosc.fail(new LiveOSCError('Unknown crossfade assignment ' + assign));
+  }
+  return this.liveosc.send(
+    '/live/track/crossfader',
+    {
+      type: 'integer',
+      value: this.id
+    },
+    {
+      type: 'integer',
+      value: value
+    }
+  );
+};
+
 /**
  * Set track send level
  * @param {Number} send send id
  * @param {Number} val  new send level (0.0 - 1.0)
  */
 Track.prototype.setSend = function (send, val) {
-  this.liveosc.emitter.emit(
+  return this.liveosc.send(
     '/live/send',
     {
       type: 'integer',
@@ -462,26 +498,23 @@ Track.prototype.setNumScenes = function (numScenes) {
 
 /**
  * Refresh the state of all clips in the track
+ * Existing clips are kept, clips are only created or destroyed
+ * when the number of scenes changes
  */
 Track.prototype.refreshClips = function () {
-  _.each(this.clips, function (clip) {
+  _.each(this.clips.slice(this.numScenes), function (clip) {
+    if (clip.state > 0) {
+      clip.emitEvent('deleted', {object: clip});
+    }
     clip.destroy();
   });
-  this.clips = [];
+  this.clips = this.clips.slice(0, this.numScenes);
 
   for (var i = 0; i < this.numScenes; i++) {
-    this.clips[i] = new Clip(this.liveosc, this, i);
-    this.liveosc.emitter.emit(
-      '/live/clip/info',
-      {
-        type: 'integer',
-        value: this.id
-      },
-      {
-        type: 'integer',
-        value: i
-      }
-    );
+    if (!this.clips[i]) {
+      this.clips[i] = new Clip(this.liveosc, this, i);
+    }
+    this.liveosc.song.request('/live/clip/info', [this.id, i]);
   }
 };
 
@@ -489,7 +522,7 @@ Track.prototype.refreshClips = function () {
  * Focus the track
  */
 Track.prototype.view = function () {
-  this.liveosc.emitter.emit(
+  return this.liveosc.send(
     '/live/track/view',
     {
       type: 'integer',
@@ -498,6 +531,91 @@ Track.prototype.view = function () {
   );
 };
 
+/**
+ * Query the crossfader assignment of the track
+ * @return {Promise} resolves with 'A', 'none' or 'B'
+ */
+Track.prototype.fetchCrossfadeAssign = function () {
+  return this.liveosc.query(
+    '/live/track/crossfader',
+    [this.id],
+    {match: [this.id]}
+  ).then(function (args) {
+    return crossfadeAssignments[args[0]] || 'none';
+  });
+};
+
+/**
+ * Query the track state
+ * @return {Promise} resolves with {arm, solo, mute, audio, volume, pan}
+ */
+Track.prototype.fetchInfo = function () {
+  return this.liveosc.query(
+    '/live/track/info',
+    [this.id],
+    {match: [this.id]}
+  ).then(function (args) {
+    return {
+      arm: args[0],
+      solo: args[1],
+      mute: args[2],
+      audio: args[3],
+      volume: args[4],
+      pan: args[5]
+    };
+  });
+};
+
+/**
+ * Query the track name
+ * @return {Promise} resolves with the name
+ */
+Track.prototype.fetchName = function () {
+  return this.liveosc.query(
+    '/live/name/track',
+    [this.id],
+    {match: [this.id]}
+  ).then(function (args) {
+    return args[0];
+  });
+};
+
+/**
+ * Query the track send levels
+ * @return {Promise} resolves with the send levels indexed by send id
+ */
+Track.prototype.fetchSends = function () {
+  return this.liveosc.query(
+    '/live/send',
+    [this.id],
+    {match: [this.id]}
+  ).then(function (args) {
+    var sends = [];
+    for (var i = 0; i < args.length; i += 2) {
+      sends[args[i]] = args[i + 1];
+    }
+    return sends;
+  });
+};
+
+/**
+ * Query the devices in the track
+ * @return {Promise} resolves with a list of devices, ex [{id: 0, name: 'Operator'}]
+ */
+Track.prototype.fetchDevices = function () {
+  return this.liveosc.query(
+    '/live/devicelist',
+    [this.id],
+    {match: [this.id]}
+  ).then(function (args) {
+    var devices = [];
+    for (var i = 0; i < args.length; i += 2) {
+      devices.push({id: args[i], name: args[i + 1]});
+    }
+    return devices;
+  });
+};
+
 /**
  * Listen for a track event, current events are:
  *
@@ -507,14 +625,19 @@ Track.prototype.view = function () {
  *   mute
  *   volume
  *   pan
+ *   crossfadeAssign
  *   name
+ *   added
+ *   removed
  *   destroy
  * 
- * @param  {String}   ev event name
- * @param  {Function} cb callback
+ * @param  {String}   ev     event name or pattern
+ * @param  {Object}   filter parameters to match, optional
+ * @param  {Function} cb     callback
+ * @return {Function}        unsubscribe handle, also has cancel()
  */
-Track.prototype.on = function (ev, cb) {
-  this.eventEmitter.on(ev, cb);
+Track.prototype.on = function (ev, filter, cb) {
+  return emitter.subscribe(this, ev, filter, cb);
 };
 
 /**
@@ -530,4 +653,55 @@ Track.prototype.emitEvent = function (ev, params) {
   );
 };
 
+/**
+ * Plain data of the track, see Song.prototype.toJSON
+ * @return {Object}
+ */
+Track.prototype.toJSON = function () {
+  return {
+    id: this.id,
+    name: this.name,
+    audio: this.audio,
+    arm: this.arm,
+    solo: this.solo,
+    mute: this.mute,
+    volume: this.volume,
+    pan: this.pan,
+    crossfadeAssign: this.crossfadeAssign,
+    sends: this.sends.slice(),
+    clips: _.map(this.clips, function (clip) {
+      return clip.state > 0 ? clip.toJSON() : null;
+    }),
+    devices: _.invoke(this.devices, 'toJSON')
+  };
+};
+
+/**
+ * Create a track from data returned by toJSON, the track is not
+ * connected to Live
+ * @param  {Object} data track data
+ * @return {Track}
+ */
+Track.fromJSON = function (data) {
+  var track = Object.create(Track.prototype);
+  track.liveosc = null;
+  _.extend(track, {crossfadeAssign: 'none'}, _.omit(data, 'clips', 'devices'));
+  track.sends = (data.sends || []).slice();
+  track.clips = _.map(data.clips || [], function (clip, i) {
+    return Clip.fromJSON(clip, track, i);
+  });
+  track.numScenes = track.clips.length;
+  track.devices = _.map(data.devices || [], function (device) {
+    return Device.fromJSON(device, track);
+  });
+  track.eventEmitter = new emitter.Emitter();
+  track.destroy = function () {
+    track.eventEmitter.removeAllListeners();
+  };
+  return track;
+};
+
+emitter.mixin(Track);
+mixer.mixin(Track, 'a track');
+
 module.exports = Track;
@@ -0,0 +1,13 @@
+var path = require('path');
+
+var MockLive = require('./lib/mocklive');
+
+var set;
+if (process.argv[2]) {
+  set = require(path.resolve(process.argv[2]));
+}
+
+var mock = new MockLive({set: set});
+mock.listen().then(function () {
+  console.log('MockLive listening on port ' + mock.port);
+});
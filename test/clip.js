@@ -0,0 +1,129 @@
+var assert = require('assert');
+
+var fake = require('./support/fake');
+var Clip = require('../lib/clip');
+
+describe('Clip', function () {
+  var liveosc, song, emitter, receiver, track, clip;
+
+  beforeEach(function () {
+    liveosc = fake.create();
+    song = liveosc.song;
+    emitter = liveosc.emitter;
+    receiver = liveosc.receiver;
+    receiver.send('/live/tracks', 1);
+    receiver.send('/live/scenes', 2);
+    track = song.tracks[0];
+    clip = track.clips[1];
+    emitter.clear();
+  });
+
+  afterEach(function () {
+    return liveosc.close();
+  });
+
+  it('requests loop settings and name when a clip is found', function () {
+    receiver.send('/live/clip/info', 0, 1, 1, 8);
+    assert.equal(clip.state, 1);
+    assert.equal(clip.length, 8);
+    assert.deepEqual(emitter.sent, [
+      ['/live/clip/loopstart', 0, 1],
+      ['/live/clip/loopend', 0, 1],
+      ['/live/clip/loopstate', 0, 1],
+      ['/live/name/clip', 0, 1]
+    ]);
+  });
+
+  it('requests warping and pitch on audio tracks', function () {
+    track.audio = 1;
+    receiver.send('/live/clip/info', 0, 1, 1, 8);
+    assert.equal(emitter.find('/live/clip/warping').length, 1);
+    assert.equal(emitter.find('/live/pitch').length, 1);
+  });
+
+  it('emits local and global events', function () {
+    var local = [];
+    var global = [];
+    clip.on('state', function (param) {
+      local.push(param);
+    });
+    song.on('clip:state', function (param) {
+      global.push(param);
+    });
+    receiver.send('/live/clip/info', 0, 0, 1, 4);
+    receiver.send('/live/clip/info', 0, 1, 2, 4);
+    assert.deepEqual(local, [{value: 2, prev: 0}]);
+    assert.deepEqual(global, [
+      {id: 0, trackId: 0, value: 1, prev: 0},
+      {id: 1, trackId: 0, value: 2, prev: 0}
+    ]);
+  });
+
+  it('emits created and deleted', function () {
+    var events = [];
+    song.on('clip:created', function (param) {
+      events.push('created ' + param.id);
+      assert.strictEqual(param.object, clip);
+    });
+    song.on('clip:deleted', function (param) {
+      events.push('deleted ' + param.id);
+    });
+    receiver.send('/live/clip/info', 0, 1, 1, 4);
+    receiver.send('/live/clip/info', 0, 1, 2, 4);
+    receiver.send('/live/clip/info', 0, 1, 0, 0);
+    assert.deepEqual(events, ['created 1', 'deleted 1']);
+    assert.equal(clip.name, '');
+  });
+
+  it('updates loop settings, pitch and name', function () {
+    receiver.send('/live/clip/loopstart', 0, 1, 2);
+    receiver.send('/live/clip/loopend', 0, 1, 6);
+    receiver.send('/live/clip/loopstate', 0, 1, 1);
+    receiver.send('/live/pitch', 0, 1, -3, 12);
+    receiver.send('/live/name/clip', 0, 1, 'Lead');
+    assert.equal(clip.loopstart, 2);
+    assert.equal(clip.loopend, 6);
+    assert.equal(clip.loopstate, 1);
+    assert.equal(clip.coarse, -3);
+    assert.equal(clip.fine, 12);
+    assert.equal(clip.name, 'Lead');
+    assert.deepEqual(emitter.find('/live/clip/info'), [['/live/clip/info', 0, 1]]);
+  });
+
+  it('sends setter messages', function () {
+    clip.play();
+    clip.setLoopend(16);
+    clip.setPitch(12);
+    track.audio = 1;
+    clip.setPitch(12);
+    assert.deepEqual(emitter.sent, [
+      ['/live/play/clipslot', 0, 1],
+      ['/live/clip/loopend', 0, 1, 16],
+      ['/live/pitch', 0, 1, 12, 0]
+    ]);
+  });
+
+  it('focuses the clip slot by track and clip id', function () {
+    clip.view();
+    assert.deepEqual(emitter.sent, [['/live/clip/view', 0, 1]]);
+  });
+
+  it('resolves fetchLoop with the loop settings', function () {
+    var promise = clip.fetchLoop();
+    receiver.send('/live/clip/loopstart', 0, 1, 1);
+    receiver.send('/live/clip/loopend', 0, 1, 5);
+    receiver.send('/live/clip/loopstate', 0, 1, 0);
+    return promise.then(function (loop) {
+      assert.deepEqual(loop, {loopstart: 1, loopend: 5, loopstate: 0});
+    });
+  });
+
+  it('removes every receiver listener when destroyed', function () {
+    var before = receiver.listenerTotal();
+    var handlers = fake.handlerTotal(liveosc);
+    var other = new Clip(liveosc, track, 7);
+    other.destroy();
+    assert.equal(receiver.listenerTotal(), before);
+    assert.equal(fake.handlerTotal(liveosc), handlers);
+  });
+});
@@ -0,0 +1,56 @@
+var assert = require('assert');
+
+var fake = require('./support/fake');
+
+describe('Clock', function () {
+  var liveosc, song, receiver, clock, now;
+
+  beforeEach(function () {
+    liveosc = fake.create();
+    song = liveosc.song;
+    receiver = liveosc.receiver;
+    clock = song.clock;
+    now = 0;
+    clock.time = function () {
+      return now;
+    };
+    clock.total = 0;
+    clock.totalTime = clock.positionTime = 0;
+    receiver.send('/live/tempo', 120);
+  });
+
+  afterEach(function () {
+    return liveosc.close();
+  });
+
+  it('follows the song position between beats while playing', function () {
+    receiver.send('/live/play', 2);
+    receiver.send('/live/beat', 8);
+    now += 250;
+    assert.equal(clock.beat(), 8.5);
+    receiver.send('/live/play', 1);
+    now += 1000;
+    assert.equal(clock.beat(), 8.5);
+  });
+
+  it('measures elapsed beats across tempo changes', function () {
+    now += 1000;
+    receiver.send('/live/tempo', 60);
+    now += 1000;
+    assert.equal(clock.elapsed(), 3);
+  });
+
+  it('converts durations to beats', function () {
+    assert.equal(clock.toBeats({beats: 3}), 3);
+    assert.equal(clock.toBeats({bars: 2}), 8);
+    assert.equal(clock.toBeats({ms: 1500}), 3);
+    assert.equal(clock.toBeats(), 4);
+    assert.equal(clock.toBeats(6), 6);
+    assert.equal(clock.toBeats('2 bars'), 8);
+    assert.equal(clock.toBeats('3 beats'), 3);
+    assert.equal(clock.toBeats('bar'), 4);
+    assert.throws(function () {
+      clock.toBeats('soon');
+    });
+  });
+});
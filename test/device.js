@@ -0,0 +1,220 @@
+var assert = require('assert');
+
+var fake = require('./support/fake');
+var Device = require('../lib/device');
+var LiveOSC = require('../index');
+
+describe('Device', function () {
+  var liveosc, song, emitter, receiver, track, device, master;
+
+  beforeEach(function () {
+    liveosc = fake.create();
+    song = liveosc.song;
+    emitter = liveosc.emitter;
+    receiver = liveosc.receiver;
+    receiver.send('/live/tracks', 2);
+    receiver.send('/live/devicelist', 1, 0, 'Reverb');
+    receiver.send('/live/master/devicelist', 0, 'Limiter');
+    track = song.tracks[1];
+    device = track.devices[0];
+    master = song.devices[0];
+    emitter.clear();
+  });
+
+  afterEach(function () {
+    return liveosc.close();
+  });
+
+  it('requests parameters and ranges on creation', function () {
+    var other = new Device(liveosc, 1, track, 'track', 'EQ Eight');
+    new Device(liveosc, 2, song, 'master', 'Utility');
+    assert.deepEqual(emitter.sent, [
+      ['/live/device', 1, 1],
+      ['/live/device/range', 1, 1],
+      ['/live/master/device', 2],
+      ['/live/master/device/range', 2]
+    ]);
+    other.destroy();
+  });
+
+  it('applies parameters and ranges', function () {
+    var events = [];
+    device.on('Dry/Wet', function (param) {
+      events.push(param);
+    });
+    receiver.send('/live/device/allparam', 1, 0, 0, 1, 'Device On', 1, 0.5, 'Dry/Wet');
+    receiver.send('/live/device/range', 1, 0, 0, 0, 1, 1, 0, 1);
+    assert.deepEqual(device.params, [
+      {id: 0, value: 1, name: 'Device On', min: 0, max: 1},
+      {id: 1, value: 0.5, name: 'Dry/Wet', min: 0, max: 1}
+    ]);
+    assert.deepEqual(events, [{value: 0.5, prev: undefined}]);
+  });
+
+  it('ignores parameters of other devices', function () {
+    receiver.send('/live/device/allparam', 0, 0, 0, 1, 'Device On');
+    receiver.send('/live/device/allparam', 1, 1, 0, 1, 'Device On');
+    assert.deepEqual(device.params, []);
+  });
+
+  it('emits global param events', function () {
+    var events = [];
+    song.on('device:param', function (param) {
+      events.push(param);
+    });
+    receiver.send('/live/device/param', 1, 0, 1, 0.25, 'Dry/Wet');
+    receiver.send('/live/master/device/param', 0, 0, 0, 'Device On');
+    assert.deepEqual(events, [
+      {id: 0, type: 'track', trackId: 1, name: 'Dry/Wet', value: 0.25, prev: undefined},
+      {id: 0, type: 'master', name: 'Device On', value: 0, prev: undefined}
+    ]);
+  });
+
+  it('parses master device parameters without a track id', function () {
+    receiver.send('/live/master/device', 0, 0, 1, 'Device On', 1, -3, 'Gain');
+    assert.equal(master.params[1].name, 'Gain');
+    assert.equal(master.params[1].value, -3);
+  });
+
+  it('sets parameters by id or name', function () {
+    receiver.send('/live/device/allparam', 1, 0, 0, 1, 'Device On', 1, 0.5, 'Dry/Wet');
+    emitter.clear();
+    device.set(0, 0);
+    device.set('Dry/Wet', 1);
+    assert.deepEqual(emitter.sent, [
+      ['/live/device', 1, 0, 0, 0],
+      ['/live/device', 1, 0, 1, 1]
+    ]);
+  });
+
+  it('reports unknown parameter names as errors', function () {
+    var errors = [];
+    song.on('error', function (err) {
+      errors.push(err);
+    });
+    return device.set('Missing', 1).then(function () {
+      throw new Error('should have been rejected');
+    }, function (err) {
+      assert(err instanceof LiveOSC.errors.UnknownParameterError);
+      assert.equal(err.param, 'Missing');
+      assert.deepEqual(errors, [err]);
+      assert.deepEqual(emitter.sent, []);
+    });
+  });
+
+  describe('set', function () {
+    var sent, warnings;
+
+    beforeEach(function () {
+      receiver.send('/live/device/allparam', 1, 0, 0, 1, 'Device On', 1, 0.5, 'Dry/Wet', 2, 0, 'Mode');
+      receiver.send('/live/device/range', 1, 0, 0, 0, 1, 1, 0, 1, 2, 0, 3);
+      sent = [];
+      liveosc.on('sent', function (args) {
+        sent.push(args[args.length - 1]);
+      });
+      warnings = [];
+      liveosc.logger.sink = function (entry) {
+        if (entry.level == 'warn') {
+          warnings.push(entry.msg);
+        }
+      };
+    });
+
+    it('sends fractional values as floats and whole values as integers', function () {
+      device.set('Dry/Wet', 0.35);
+      device.set('Dry/Wet', 1);
+      device.set('Mode', 2);
+      assert.deepEqual(sent, [
+        {type: 'float', value: 0.35},
+        {type: 'integer', value: 1},
+        {type: 'integer', value: 2}
+      ]);
+    });
+
+    it('clamps out of range values and warns', function () {
+      device.set('Mode', 5);
+      device.set('Dry/Wet', -1);
+      assert.deepEqual(sent, [
+        {type: 'integer', value: 3},
+        {type: 'integer', value: 0}
+      ]);
+      assert.equal(warnings.length, 2);
+      assert(/outside 0\.\.3/.test(warnings[0]));
+    });
+
+    it('rejects out of range values when configured to', function () {
+      liveosc.outOfRange = 'reject';
+      return device.set('Mode', 5).then(function () {
+        throw new Error('should have been rejected');
+      }, function (err) {
+        assert(err instanceof LiveOSC.errors.ParameterRangeError);
+        assert.equal(err.value, 5);
+        assert.deepEqual(sent, []);
+      });
+    });
+
+    it('accepts normalized values', function () {
+      device.setNormalized('Dry/Wet', 0.25);
+      device.setNormalized('Mode', 1);
+      assert.deepEqual(sent, [
+        {type: 'float', value: 0.25},
+        {type: 'integer', value: 3}
+      ]);
+    });
+
+    it('rejects normalized values while the range is unknown', function () {
+      receiver.send('/live/device/allparam', 1, 0, 3, 0.5, 'Gain');
+      return device.setNormalized('Gain', 0.5).then(function () {
+        throw new Error('should have been rejected');
+      }, function (err) {
+        assert(err instanceof LiveOSC.errors.ParameterRangeError);
+      });
+    });
+
+    it('emits param events with the applied value once', function () {
+      var events = [];
+      device.on('Mode', function (param) {
+        events.push(param);
+      });
+      return device.set('Mode', 7).then(function () {
+        receiver.send('/live/device/param', 1, 0, 2, 3, 'Mode');
+        assert.equal(device.findParam('Mode').value, 3);
+        assert.deepEqual(events, [{value: 3, prev: 0}]);
+      });
+    });
+
+    it('does not emit again for the float32 echo of a set value', function () {
+      var events = [];
+      device.on('param', function (param) {
+        events.push(param.value);
+      });
+      return device.set('Dry/Wet', 0.35).then(function () {
+        receiver.send('/live/device/param', 1, 0, 1, Math.fround(0.35), 'Dry/Wet');
+        assert.deepEqual(events, [0.35]);
+      });
+    });
+  });
+
+    it('focuses the device on its track', function () {
+    device.view();
+    assert.deepEqual(emitter.sent, [['/live/track/device/view', 1, 0]]);
+  });
+
+  it('resolves fetchParams with the parameter values', function () {
+    var promise = master.fetchParams();
+    assert.deepEqual(emitter.sent, [['/live/master/device', 0]]);
+    receiver.send('/live/master/device', 0, 0, 1, 'Device On');
+    return promise.then(function (params) {
+      assert.deepEqual(params, [{id: 0, value: 1, name: 'Device On'}]);
+    });
+  });
+
+  it('removes every receiver listener when destroyed', function () {
+    var before = receiver.listenerTotal();
+    var handlers = fake.handlerTotal(liveosc);
+    var other = new Device(liveosc, 3, track, 'track', 'Utility');
+    other.destroy();
+    assert.equal(receiver.listenerTotal(), before);
+    assert.equal(fake.handlerTotal(liveosc), handlers);
+  });
+});
@@ -0,0 +1,99 @@
+var assert = require('assert');
+var childProcess = require('child_process');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+
+var diff = require('../lib/diff');
+
+describe('diff', function () {
+  var before;
+
+  beforeEach(function () {
+    before = {
+      version: 1,
+      tempo: 120,
+      volume: 0.85,
+      scenes: [{id: 0, name: 'Intro'}],
+      tracks: [
+        {
+          id: 0, name: 'Drums', volume: 0.85, sends: [0, 0.2],
+          clips: [{id: 0, name: 'Beat', state: 1, loopstart: 0, loopend: 8, warping: 0}, null],
+          devices: [
+            {id: 0, name: 'Reverb', type: 'track', params: [
+              {id: 0, name: 'Device On', value: 1, min: 0, max: 1},
+              {id: 1, name: 'Dry/Wet', value: 0.2, min: 0, max: 1}
+            ]}
+          ]
+        }
+      ],
+      returns: [],
+      devices: []
+    };
+  });
+
+  function copy(data) {
+    return JSON.parse(JSON.stringify(data));
+  }
+
+  it('reports changed values with paths', function () {
+    var after = copy(before);
+    after.tempo = 128;
+    after.tracks[0].sends[1] = 0.5;
+    after.tracks[0].clips[0].loopend = 16;
+    after.tracks[0].clips[0].warping = 4;
+    after.tracks[0].devices[0].params[1].value = 0.5;
+    assert.deepEqual(diff.diff(before, after), [
+      {type: 'changed', path: 'tempo', value: 128, prev: 120},
+      {type: 'changed', path: 'tracks[0].sends[1]', value: 0.5, prev: 0.2},
+      {type: 'changed', path: 'tracks[0].clips[0].loopend', value: 16, prev: 8},
+      {type: 'changed', path: 'tracks[0].clips[0].warping', value: 4, prev: 0},
+      {type: 'changed', path: "tracks[0].devices[0].params['Dry/Wet']", value: 0.5, prev: 0.2}
+    ]);
+  });
+
+  it('reports added and removed objects', function () {
+    var after = copy(before);
+    after.tracks[0].clips[0] = null;
+    after.tracks[0].clips[1] = {id: 1, name: 'Fill', state: 1};
+    after.tracks[0].devices[0].name = 'Delay';
+    after.tracks.push({id: 1, name: 'Bass', clips: [], devices: []});
+    var changes = diff.diff(before, after);
+    assert.deepEqual(changes.map(function (change) {
+      return change.type + ' ' + change.path;
+    }), [
+      'removed tracks[0].clips[0]',
+      'added tracks[0].clips[1]',
+      'removed tracks[0].devices[0]',
+      'added tracks[0].devices[0]',
+      'added tracks[1]'
+    ]);
+    assert.equal(diff.format(changes.slice(3)), [
+      '+ tracks[0].devices[0] "Delay"',
+      '+ tracks[1] "Bass"'
+    ].join('\n'));
+  });
+
+  it('formats changed values', function () {
+    var after = copy(before);
+    after.tracks[0].volume = 0.5;
+    assert.equal(diff.format(diff.diff(before, after)), '~ tracks[0].volume: 0.85 -> 0.5');
+  });
+
+  it('compares JSON files from the command line', function () {
+    var dir = os.tmpdir();
+    var a = path.join(dir, 'liveosc-diff-a-' + process.pid + '.json');
+    var b = path.join(dir, 'liveosc-diff-b-' + process.pid + '.json');
+    var after = copy(before);
+    after.volume = 1;
+    fs.writeFileSync(a, JSON.stringify(before));
+    fs.writeFileSync(b, JSON.stringify(after));
+    var result = childProcess.spawnSync(process.execPath, [
+      path.join(__dirname, '..', 'bin', 'liveosc-diff'), a, b
+    ], {encoding: 'utf8', timeout: 10000});
+    fs.unlinkSync(a);
+    fs.unlinkSync(b);
+    assert.equal(result.status, 1);
+    assert.equal(result.stdout, '~ volume: 0.85 -> 1\n');
+  });
+});
@@ -0,0 +1,169 @@
+var assert = require('assert');
+
+var fake = require('./support/fake');
+var LiveOSC = require('../index');
+
+describe('Emitter', function () {
+  var liveosc, song, receiver;
+
+  beforeEach(function () {
+    liveosc = fake.create();
+    song = liveosc.song;
+    receiver = liveosc.receiver;
+    receiver.send('/live/tracks', 3);
+    receiver.send('/live/scenes', 2);
+    receiver.send('/live/name/track', 0, 'Drums');
+    receiver.send('/live/name/track', 1, 'Bass');
+    receiver.send('/live/name/track', 2, 'Keys');
+    receiver.send('/live/devicelist', 2, 0, 'Reverb');
+    receiver.send('/live/device/allparam', 2, 0, 0, 0.5, 'Dry/Wet');
+    receiver.send('/live/devicelist', 0, 0, 'Reverb');
+    receiver.send('/live/device/allparam', 0, 0, 0, 0.5, 'Dry/Wet');
+  });
+
+  afterEach(function () {
+    return liveosc.close();
+  });
+
+  it('returns an unsubscribe handle from on()', function () {
+    var track = song.tracks[0];
+    var volumes = [];
+    var off = track.on('volume', function (param) {
+      volumes.push(param.value);
+    });
+    receiver.send('/live/volume', 0, 0.5);
+    off();
+    off();
+    receiver.send('/live/volume', 0, 0.6);
+    assert.deepEqual(volumes, [0.5]);
+    assert.equal(track.listenerCount('volume'), 0);
+    assert.equal(typeof off.cancel, 'function');
+  });
+
+  it('supports off, once, prepend and introspection', function () {
+    var track = song.tracks[1];
+    var calls = [];
+    function first(param) {
+      calls.push(['first', param.value]);
+    }
+    track.on('pan', first);
+    track.once('pan', function (param) {
+      calls.push(['once', param.value]);
+    });
+    track.prependListener('pan', function (param) {
+      calls.push(['prepended', param.value]);
+    });
+    assert.equal(track.listenerCount('pan'), 3);
+    assert.strictEqual(track.listeners('pan')[1], first);
+    assert(track.eventNames().indexOf('pan') != -1);
+
+    receiver.send('/live/pan', 1, 0.1);
+    assert.equal(track.listenerCount('pan'), 2);
+    track.off('pan', first);
+    receiver.send('/live/pan', 1, 0.2);
+    assert.deepEqual(calls, [
+      ['prepended', 0.1],
+      ['first', 0.1],
+      ['once', 0.1],
+      ['prepended', 0.2]
+    ]);
+    track.removeAllListeners('pan');
+    assert.equal(track.listenerCount('pan'), 0);
+  });
+
+  it('supports once and prepend for path subscriptions', function () {
+    var calls = [];
+    song.on('tracks/Drums/volume', function (param) {
+      calls.push(['on', param.value]);
+    });
+    song.once('tracks/Drums/volume', function (param) {
+      calls.push(['once', param.value]);
+    });
+    song.prependListener('tracks/Drums/volume', function (param) {
+      calls.push(['prepended', param.value]);
+    });
+    song.prependOnceListener('tracks/Drums/volume', function (param) {
+      calls.push(['prepended once', param.value]);
+    });
+    receiver.send('/live/volume', 0, 0.5);
+    receiver.send('/live/volume', 0, 0.6);
+    assert.deepEqual(calls, [
+      ['prepended once', 0.5],
+      ['prepended', 0.5],
+      ['on', 0.5],
+      ['once', 0.5],
+      ['prepended', 0.6],
+      ['on', 0.6]
+    ]);
+  });
+
+  it('listens for global events by pattern', function () {
+    var events = [];
+    var off = song.on('track:*', function (params, ev) {
+      events.push([ev, params.id, params.value]);
+    });
+    assert.equal(song.listenerCount('track:volume'), 1);
+    receiver.send('/live/volume', 0, 0.5);
+    receiver.send('/live/mute', 2, 1);
+    receiver.send('/live/tempo', 128);
+    off();
+    receiver.send('/live/volume', 0, 0.7);
+    assert.deepEqual(events, [['track:volume', 0, 0.5], ['track:mute', 2, 1]]);
+    assert.equal(song.listenerCount('track:*'), 0);
+  });
+
+  it('filters events by their parameters', function () {
+    var names = [];
+    song.on('device:param', {trackId: 2}, function (params) {
+      names.push([params.trackId, params.name, params.value]);
+    });
+    song.once('device:param', {trackId: 0, name: 'Dry/Wet'}, function (params) {
+      names.push([params.trackId, params.name, params.value]);
+    });
+    receiver.send('/live/device/param', 0, 0, 0, 0.1, 'Dry/Wet');
+    receiver.send('/live/device/param', 2, 0, 0, 0.2, 'Dry/Wet');
+    receiver.send('/live/device/param', 0, 0, 0, 0.3, 'Dry/Wet');
+    assert.deepEqual(names, [[0, 'Dry/Wet', 0.1], [2, 'Dry/Wet', 0.2]]);
+  });
+
+  it('disposes subscription groups together', function () {
+    var group = song.group();
+    var events = [];
+    group.on('tempo', function (param) {
+      events.push(['tempo', param.value]);
+    });
+    group.on(song.tracks[0], 'volume', function (param) {
+      events.push(['volume', param.value]);
+    });
+    group.add(song.watch('track', 'mute', function (params) {
+      events.push(['mute', params.value]);
+    }));
+    group.add(song.every('bar', function () {}));
+    group.on('tracks/Bass/pan', function (param) {
+      events.push(['pan', param.value]);
+    });
+    assert(group instanceof LiveOSC.Group);
+
+    receiver.send('/live/tempo', 128);
+    receiver.send('/live/volume', 0, 0.5);
+    receiver.send('/live/mute', 1, 1);
+    receiver.send('/live/pan', 1, 0.2);
+    group.dispose();
+    receiver.send('/live/tempo', 130);
+    receiver.send('/live/volume', 0, 0.6);
+    receiver.send('/live/mute', 1, 0);
+    receiver.send('/live/pan', 1, 0.3);
+    assert.deepEqual(events, [['tempo', 128], ['volume', 0.5], ['mute', 1], ['pan', 0.2]]);
+    assert.equal(song.scheduler.jobs.length, 0);
+  });
+
+  it('routes errors to wildcard listeners', function () {
+    var errors = [];
+    liveosc.on('*', function (params, ev) {
+      if (ev == 'error') errors.push(params);
+    });
+    return song.set('tracks/Strings/volume', 1).catch(function (err) {
+      assert.strictEqual(errors[0], err);
+    });
+  });
+});
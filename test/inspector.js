@@ -0,0 +1,143 @@
+var assert = require('assert');
+var OscEmitter = require('osc-emitter');
+
+var fake = require('./support/fake');
+var LiveOSC = require('../index');
+
+describe('Inspector', function () {
+  var liveosc, song, receiver;
+
+  beforeEach(function () {
+    liveosc = fake.create();
+    song = liveosc.song;
+    receiver = liveosc.receiver;
+    receiver.send('/live/tracks', 2);
+    receiver.send('/live/scenes', 2);
+  });
+
+  afterEach(function () {
+    return liveosc.close();
+  });
+
+  it('records direction, time and typed arguments', function () {
+    var inspector = liveosc.inspect();
+    song.tracks[0].setVolume(0.5);
+    receiver.send('/live/volume', 0, 0.5);
+    var records = inspector.records;
+    assert.equal(records.length, 2);
+    assert.equal(records[0].direction, 'out');
+    assert.equal(records[0].address, '/live/volume');
+    assert.deepEqual(records[0].args, [
+      {type: 'integer', value: 0},
+      {type: 'float', value: 0.5}
+    ]);
+    assert.equal(records[1].direction, 'in');
+    assert.deepEqual(records[1].args, [
+      {type: 'integer', value: 0},
+      {type: 'float', value: 0.5}
+    ]);
+    assert.equal(typeof records[0].time, 'number');
+  });
+
+  it('filters by address pattern and direction', function () {
+    var inspector = liveosc.inspect({
+      filter: '/live/clip/*',
+      exclude: /loopend/,
+      direction: 'in'
+    });
+    receiver.send('/live/clip/info', 0, 1, 1, 4);
+    receiver.send('/live/clip/loopend', 0, 1, 4);
+    receiver.send('/live/beat', 1);
+    song.tracks[0].clips[0].play();
+    assert.deepEqual(inspector.records.map(function (record) {
+      return record.address;
+    }), ['/live/clip/info']);
+  });
+
+  it('filters by object', function () {
+    var clip = song.tracks[1].clips[0];
+    var inspector = liveosc.inspect({object: clip});
+    receiver.send('/live/clip/info', 0, 0, 1, 4);
+    receiver.send('/live/clip/info', 1, 0, 1, 4);
+    receiver.send('/live/clip/info', 1, 1, 1, 4);
+    receiver.send('/live/volume', 1, 0.5);
+    clip.play();
+    assert.deepEqual(inspector.records.map(function (record) {
+      return [record.address].concat(record.args.map(function (arg) {
+        return arg.value;
+      }));
+    }), [
+      ['/live/clip/info', 1, 0, 1, 4],
+      ['/live/clip/loopstart', 1, 0],
+      ['/live/clip/loopend', 1, 0],
+      ['/live/clip/loopstate', 1, 0],
+      ['/live/name/clip', 1, 0],
+      ['/live/play/clipslot', 1, 0]
+    ]);
+  });
+
+  it('counts message rates for all traffic', function () {
+    var inspector = liveosc.inspect({exclude: '/live/beat', window: 500});
+    for (var i = 0; i < 10; i++) {
+      receiver.send('/live/beat', i);
+    }
+    receiver.send('/live/tempo', 120);
+    var rates = inspector.rates();
+    assert.equal(inspector.records.length, 1);
+    assert.deepEqual(rates['/live/beat'], {in: 10, out: 0, rate: 20});
+    assert.equal(rates['/live/tempo'].in, 1);
+    assert.equal(inspector.rate(), 22);
+  });
+
+  it('keeps a limited number of records and emits message', function () {
+    var seen = 0;
+    var inspector = liveosc.inspect({limit: 2});
+    inspector.on('message', function () {
+      seen++;
+    });
+    receiver.send('/live/beat', 1);
+    receiver.send('/live/beat', 2);
+    receiver.send('/live/beat', 3);
+    assert.equal(seen, 3);
+    assert.deepEqual(inspector.records.map(function (record) {
+      return record.args[0].value;
+    }), [2, 3]);
+  });
+
+  it('logs traffic at debug level with opts.debug', function () {
+    var entries = [];
+    var other = fake.create({
+      debug: true,
+      logger: {
+        sink: function (entry) {
+          entries.push(entry);
+        }
+      }
+    });
+    entries = [];
+    other.song.setTempo(120);
+    other.receiver.send('/live/tempo', 120);
+    assert.deepEqual(entries.map(function (entry) {
+      return [entry.level, entry.direction, entry.msg];
+    }), [
+      ['debug', 'out', '  To Live: /live/tempo 120'],
+      ['debug', 'in', 'From Live: /live/tempo 120']
+    ]);
+    return other.close();
+  });
+
+  it('decodes argument types from raw packets', function () {
+    var real = new LiveOSC({port: 19308, livePort: 19305, heartbeatInterval: 0});
+    var inspector = real.inspect({direction: 'in'});
+    var emitter = new OscEmitter();
+    emitter.add('127.0.0.1', 19308);
+    return new Promise(function (resolve) {
+      inspector.on('message', resolve);
+      emitter.emit('/live/tempo', {type: 'float', value: 120});
+    }).then(function (record) {
+      assert.deepEqual(record.args, [{type: 'float', value: 120}]);
+      emitter._socket.close();
+      return real.close();
+    });
+  });
+});
@@ -0,0 +1,159 @@
+var assert = require('assert');
+
+var fake = require('./support/fake');
+var Lfo = require('../lib/lfo');
+var LiveOSC = require('../index');
+
+describe('Lfo', function () {
+  var liveosc, song, emitter, receiver, track, now;
+
+  beforeEach(function () {
+    liveosc = fake.create();
+    song = liveosc.song;
+    emitter = liveosc.emitter;
+    receiver = liveosc.receiver;
+    now = 0;
+    song.clock.time = function () {
+      return now;
+    };
+    song.clock.total = 0;
+    song.clock.totalTime = song.clock.positionTime = 0;
+    receiver.send('/live/tempo', 120);
+    receiver.send('/live/tracks', 1);
+    receiver.send('/live/scenes', 1);
+    track = song.tracks[0];
+    emitter.clear();
+  });
+
+  afterEach(function () {
+    return liveosc.close();
+  });
+
+  function values(address, index) {
+    return emitter.find(address).map(function (msg) {
+      return Math.round(msg[index] * 1000) / 1000;
+    });
+  }
+
+  it('shapes waves between -1 and 1', function () {
+    assert.equal(Lfo.shapes.sine(0.25), 1);
+    assert.equal(Lfo.shapes.triangle(0), -1);
+    assert.equal(Lfo.shapes.triangle(0.5), 1);
+    assert.equal(Lfo.shapes.square(0.75), -1);
+    assert.equal(Lfo.shapes.saw(1), 1);
+  });
+
+  it('modulates around the offset by the depth with a rate in bars', function () {
+    var lfo = track.modulate('volume', {shape: 'triangle', rate: '1 bar', depth: 0.25, offset: 0.5});
+    now = 500;
+    lfo.tick();
+    now = 1000;
+    lfo.tick();
+    now = 1500;
+    lfo.tick();
+    assert.deepEqual(values('/live/volume', 2), [0.25, 0.5, 0.75, 0.5]);
+    lfo.stop();
+  });
+
+  it('clamps to the range and only sends changes', function () {
+    var lfo = track.modulate('pan', {shape: 'square', rate: 2, depth: 3, offset: 0});
+    now = 100;
+    lfo.tick();
+    now = 600;
+    lfo.tick();
+    assert.deepEqual(values('/live/pan', 2), [1, -1]);
+    lfo.stop();
+  });
+
+  it('resets the phase when the song starts playing', function () {
+    var lfo = track.modulate('send 1', {shape: 'saw', rate: 4});
+    now = 1000;
+    lfo.tick();
+    receiver.send('/live/play', 2);
+    lfo.tick();
+    assert.deepEqual(emitter.find('/live/send').map(function (msg) {
+      return msg.slice(1);
+    }), [[0, 1, 0], [0, 1, 0.5], [0, 1, 0]]);
+    lfo.stop();
+  });
+
+  it('holds a random value for each cycle', function () {
+    var random = Math.random;
+    var picks = [0.75, 0.25];
+    Math.random = function () {
+      return picks.shift();
+    };
+    try {
+      var lfo = track.modulate('volume', {shape: 'random', rate: 1});
+      now = 250;
+      lfo.tick();
+      now = 500;
+      lfo.tick();
+    } finally {
+      Math.random = random;
+    }
+    assert.deepEqual(values('/live/volume', 2), [0.75, 0.25]);
+    lfo.stop();
+  });
+
+  it('ignores options that are set by the caller', function () {
+    var lfo = track.modulate('volume', {name: 'pan', target: song, max: 0.5});
+    assert.strictEqual(lfo.target, track);
+    assert.equal(lfo.name, 'volume');
+    assert.equal(lfo.max, 0.5);
+    lfo.stop();
+  });
+
+  it('replaces the running LFO of the same value and stops on destroy', function () {
+    var first = track.modulate('volume', {rate: 4});
+    var second = track.modulate('volume', {rate: 2});
+    assert.equal(first.running, false);
+    assert.deepEqual(song.lfos, [second]);
+    receiver.send('/live/tracks', 0);
+    assert.equal(second.running, false);
+    assert.deepEqual(song.lfos, []);
+  });
+
+  it('modulates device parameters within their range', function () {
+    receiver.send('/live/devicelist', 0, 0, 'Auto Filter');
+    receiver.send('/live/device/allparam', 0, 0, 1, 60, 'Frequency');
+    receiver.send('/live/device/range', 0, 0, 1, 20, 135);
+    var device = track.devices[0];
+    var lfo = device.modulate('Frequency', {shape: 'square', rate: 1});
+    assert.deepEqual(emitter.find('/live/device').pop(), ['/live/device', 0, 0, 1, 135]);
+    lfo.cancel();
+    assert.equal(lfo.running, false);
+    var missing = device.modulate('Missing');
+    assert(missing instanceof Lfo);
+    missing.stop();
+    return lfo.then(function () {
+      return missing.catch(function (err) {
+        assert(err instanceof LiveOSC.errors.UnknownParameterError);
+      });
+    });
+  });
+
+  it('modulates clip loop points in whole beats', function () {
+    var clip = track.clips[0];
+    clip.length = 8;
+    var lfo = clip.modulate('loopend', {shape: 'sine', rate: 4, offset: 4, depth: 2});
+    now = 300;
+    lfo.tick();
+    assert.deepEqual(values('/live/clip/loopend', 3), [4, 6]);
+    lfo.stop();
+  });
+
+  it('needs a range to modulate clips of unknown length', function () {
+    var clip = track.clips[0];
+    var lfo = clip.modulate('loopstart', {rate: 4});
+    assert.equal(lfo.running, false);
+    assert.deepEqual(emitter.find('/live/clip/loopstart'), []);
+    return lfo.catch(function (err) {
+      assert(err instanceof LiveOSC.errors.LiveOSCError);
+      assert(/length is unknown/.test(err.message));
+      lfo = clip.modulate('loopstart', {rate: 4, min: 0, max: 4, shape: 'square'});
+      assert.deepEqual(values('/live/clip/loopstart', 3), [4]);
+      lfo.stop();
+    });
+  });
+});
@@ -0,0 +1,202 @@
+var assert = require('assert');
+
+var fake = require('./support/fake');
+var LiveOSC = require('../index');
+
+describe('LiveOSC', function () {
+  var liveosc, emitter, receiver;
+
+  beforeEach(function () {
+    liveosc = fake.create({heartbeatInterval: 10, heartbeatMisses: 2});
+    emitter = liveosc.emitter;
+    receiver = liveosc.receiver;
+  });
+
+  afterEach(function () {
+    return liveosc.close();
+  });
+
+  it('sends a heartbeat and connects when Live answers', function () {
+    var events = [];
+    liveosc.on('connected', function () {
+      events.push('connected');
+    });
+    assert.equal(liveosc.isConnected, false);
+    assert.equal(emitter.find('/live/time').length, 1);
+    receiver.send('/live/time', 0);
+    assert.equal(liveosc.isConnected, true);
+    assert.deepEqual(events, ['connected']);
+  });
+
+  it('disconnects after missed heartbeats and refreshes on reconnect', function (done) {
+    var events = [];
+    liveosc.on('connected', function () {
+      events.push('connected');
+    });
+    liveosc.on('reconnected', function () {
+      events.push('reconnected');
+    });
+    liveosc.on('disconnected', function () {
+      events.push('disconnected');
+      assert.equal(liveosc.isConnected, false);
+      emitter.clear();
+      receiver.send('/live/time', 0);
+      assert.deepEqual(events, ['connected', 'disconnected', 'connected', 'reconnected']);
+      assert.equal(emitter.find('/live/tracks').length, 1);
+      done();
+    });
+    receiver.send('/live/time', 0);
+  });
+
+  it('queues setter calls until connected', function () {
+    var promise = liveosc.song.setTempo(100);
+    assert.equal(emitter.find('/live/tempo').length, 1);
+    receiver.send('/live/time', 0);
+    assert.deepEqual(emitter.find('/live/tempo')[1], ['/live/tempo', 100]);
+    return promise;
+  });
+
+  it('rejects setter calls while disconnected when configured to', function () {
+    var errors = [];
+    liveosc.on('error', function (err) {
+      errors.push(err);
+    });
+    liveosc.offline = 'reject';
+    return liveosc.song.setTempo(100).then(function () {
+      throw new Error('should have been rejected');
+    }, function (err) {
+      assert(err instanceof LiveOSC.errors.NotConnectedError);
+      assert.deepEqual(errors, [err]);
+      assert.equal(emitter.find('/live/tempo').length, 1);
+    });
+  });
+
+  describe('errors', function () {
+    it('emits error on LiveOSC and the song', function () {
+      var errors = [];
+      liveosc.on('error', function (err) {
+        errors.push('liveosc ' + err.name);
+      });
+      liveosc.song.on('error', function (err) {
+        errors.push('song ' + err.name);
+      });
+      receiver.send('/live/tracks', 'two');
+      assert.deepEqual(errors, ['liveosc ProtocolError', 'song ProtocolError']);
+    });
+
+    it('logs errors nobody listens for', function () {
+      var logged = [];
+      liveosc.logger.sink = function (entry) {
+        if (entry.level == 'error') {
+          logged.push(entry);
+        }
+      };
+      receiver.send('/live/tracks', 'two');
+      assert.equal(logged.length, 1);
+      assert.equal(logged[0].level, 'error');
+      assert.equal(logged[0].name, 'ProtocolError');
+      assert(/\/live\/tracks/.test(logged[0].msg));
+    });
+
+    it('logs warnings by default and nothing with logger false', function () {
+      var entries = [];
+      var other = fake.create({
+        logger: {
+          sink: function (entry) {
+            entries.push(entry.msg);
+          }
+        }
+      });
+      other.receiver.send('/live/time', 0);
+      other.receiver.send('/live/tracks', 'two');
+      var silent = fake.create({logger: false});
+      assert.equal(other.logger.level, 'warn');
+      assert.equal(entries.length, 1);
+      assert(/\/live\/tracks/.test(entries[0]));
+      assert.equal(silent.logger.enabled('error'), false);
+      return Promise.all([other.close(), silent.close()]);
+    });
+
+    it('reports undecodable packets', function () {
+      var errors = [];
+      liveosc.on('error', function (err) {
+        errors.push(err);
+      });
+      receiver.emit('error', new Error('Malformed packet'));
+      assert(errors[0] instanceof LiveOSC.errors.ProtocolError);
+      assert(/Malformed packet/.test(errors[0].message));
+    });
+
+    it('reports a port clash as BindError', function (done) {
+      var first = new LiveOSC({port: 19307, livePort: 19305, heartbeatInterval: 0});
+      var second = new LiveOSC({port: 19307, livePort: 19305, heartbeatInterval: 0});
+      second.on('error', function (err) {
+        assert(err instanceof LiveOSC.errors.BindError);
+        assert.equal(err.port, 19307);
+        assert.equal(err.code, 'EADDRINUSE');
+        Promise.all([first.close(), second.close()]).then(function () {
+          done();
+        }, done);
+      });
+    });
+  });
+
+  describe('close', function () {
+    it('destroys the song tree and removes every listener', function () {
+      var destroyed = false;
+      receiver.send('/live/tracks', 2);
+      receiver.send('/live/scenes', 4);
+      liveosc.song.tracks[0].on('destroy', function () {
+        destroyed = true;
+      });
+      return liveosc.close().then(function () {
+        assert(destroyed);
+        assert.equal(liveosc.song.tracks.length, 0);
+        assert.equal(fake.handlerTotal(liveosc), 0);
+        assert.equal(receiver.listenerTotal(), 0);
+      });
+    });
+
+    it('rejects pending queries and queued messages', function () {
+      var query = liveosc.song.fetchTempo();
+      var queued = liveosc.song.setTempo(90);
+      liveosc.close();
+      return Promise.all([
+        query.then(function () {
+          throw new Error('query should have been rejected');
+        }, function (err) {
+          assert(/closed/.test(err.message));
+        }),
+        queued.then(function () {
+          throw new Error('setter should have been rejected');
+        }, function (err) {
+          assert(/closed/.test(err.message));
+        })
+      ]);
+    });
+
+    it('emits close and stops the heartbeat', function () {
+      var closed = false;
+      liveosc.on('close', function () {
+        closed = true;
+      });
+      return liveosc.close().then(function () {
+        var sent = emitter.sent.length;
+        assert(closed);
+        return new Promise(function (resolve) {
+          setTimeout(resolve, 30);
+        }).then(function () {
+          assert.equal(emitter.sent.length, sent);
+        });
+      });
+    });
+
+    it('frees the UDP port', function () {
+      var first = new LiveOSC({port: 19306, livePort: 19305, heartbeatInterval: 0});
+      return first.close().then(function () {
+        var second = new LiveOSC({port: 19306, livePort: 19305, heartbeatInterval: 0});
+        return second.close();
+      });
+    });
+  });
+});
@@ -0,0 +1,57 @@
+var assert = require('assert');
+
+var Logger = require('../lib/logger');
+
+describe('Logger', function () {
+  it('passes entries at or above its level to a sink function', function () {
+    var entries = [];
+    var logger = new Logger({
+      level: 'warn',
+      sink: function (entry) {
+        entries.push(entry);
+      }
+    });
+    logger.error('failed', {code: 1});
+    logger.warn('careful');
+    logger.info('hello');
+    logger.debug('details');
+    assert.deepEqual(entries.map(function (entry) {
+      return [entry.level, entry.msg, entry.code];
+    }), [
+      ['error', 'failed', 1],
+      ['warn', 'careful', undefined]
+    ]);
+    assert(!isNaN(Date.parse(entries[0].time)));
+  });
+
+  it('writes JSON lines to a stream', function () {
+    var lines = [];
+    var logger = new Logger({
+      json: true,
+      sink: {
+        write: function (line) {
+          lines.push(line);
+        }
+      }
+    });
+    logger.info('Connected to Live', {port: 9006});
+    var entry = JSON.parse(lines[0]);
+    assert.equal(entry.level, 'info');
+    assert.equal(entry.msg, 'Connected to Live');
+    assert.equal(entry.port, 9006);
+  });
+
+  it('writes text lines with simple fields appended', function () {
+    var lines = [];
+    var logger = new Logger({
+      sink: {
+        write: function (line) {
+          lines.push(line);
+        }
+      }
+    });
+    logger.warn('Disconnected from Live', {missed: 3, args: [1]});
+    assert(/Disconnected from Live missed=3\n$/.test(lines[0]));
+    assert(!/args/.test(lines[0]));
+  });
+});
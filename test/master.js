@@ -0,0 +1,198 @@
+var assert = require('assert');
+
+var fake = require('./support/fake');
+var LiveOSC = require('../index');
+var MasterTrack = require('../lib/master');
+var Ramp = require('../lib/ramp');
+
+describe('MasterTrack', function () {
+  var liveosc, song, emitter, receiver, master;
+
+  beforeEach(function () {
+    liveosc = fake.create();
+    song = liveosc.song;
+    emitter = liveosc.emitter;
+    receiver = liveosc.receiver;
+    master = song.master;
+    emitter.clear();
+  });
+
+  afterEach(function () {
+    return liveosc.close();
+  });
+
+  it('follows the master mixer state', function () {
+    var events = [];
+    master.on('pan', function (param) {
+      events.push(['pan', param]);
+    });
+    song.on('master:*', function (param, ev) {
+      events.push([ev, param]);
+    });
+    receiver.send('/live/master/volume', 0.7);
+    receiver.send('/live/master/pan', -1);
+    assert(master instanceof MasterTrack);
+    assert.equal(master.name, 'Master');
+    assert.equal(master.volume, 0.7);
+    assert.equal(master.pan, -1);
+    assert.equal(song.volume, 0.7);
+    assert.deepEqual(events, [
+      ['master:volume', {value: 0.7, prev: 0}],
+      ['pan', {value: -1, prev: 0}],
+      ['master:pan', {value: -1, prev: 0}]
+    ]);
+  });
+
+  it('holds the master devices', function () {
+    receiver.send('/live/master/devicelist', 0, 'Limiter');
+    assert.equal(master.devices[0].name, 'Limiter');
+    assert.strictEqual(master.devices[0].track, master);
+    assert.strictEqual(song.devices, master.devices);
+  });
+
+  it('forwards assignments of the song shortcuts', function () {
+    song.volume = 0.4;
+    song.pan = 0.5;
+    song.devices = [];
+    song.cueVolume = 0.3;
+    song.crossfader = -1;
+    assert.equal(master.cueVolume, 0.3);
+    assert.equal(master.crossfader, -1);
+    assert.equal(master.volume, 0.4);
+    assert.equal(master.pan, 0.5);
+    assert.strictEqual(song.devices, master.devices);
+    assert.deepEqual(emitter.sent, []);
+  });
+
+  it('sends setter messages', function () {
+    master.setVolume(0.9);
+    master.setPan(-0.5);
+    master.view();
+    song.setPan(0);
+    assert.deepEqual(emitter.sent, [
+      ['/live/master/volume', 0.9],
+      ['/live/master/pan', -0.5],
+      ['/live/master/view'],
+      ['/live/master/pan', 0]
+    ]);
+  });
+
+  it('follows the cue volume and crossfader', function () {
+    var events = [];
+    master.on('crossfader', function (param) {
+      events.push(['crossfader', param]);
+    });
+    song.on('master:cueVolume', function (param) {
+      events.push(['master:cueVolume', param]);
+    });
+    receiver.send('/live/master/cue', 0.5);
+    receiver.send('/live/master/crossfader', -1);
+    assert.equal(master.cueVolume, 0.5);
+    assert.equal(master.crossfader, -1);
+    assert.deepEqual(events, [
+      ['master:cueVolume', {value: 0.5, prev: 0}],
+      ['crossfader', {value: -1, prev: 0}]
+    ]);
+    master.setCueVolume(0.6);
+    master.setCrossfader(0.25);
+    assert.deepEqual(emitter.sent, [
+      ['/live/master/cue', 0.6],
+      ['/live/master/crossfader', 0.25]
+    ]);
+  });
+
+  it('exposes the crossfader and cue volume on the song', function () {
+    var events = [];
+    song.on('crossfader', function (param) {
+      events.push(param);
+    });
+    receiver.send('/live/master/crossfader', 0.5);
+    receiver.send('/live/master/cue', 0.3);
+    assert.equal(song.crossfader, 0.5);
+    assert.equal(song.cueVolume, 0.3);
+    assert.deepEqual(events, [{value: 0.5, prev: 0}]);
+    assert.equal(song.get('master/crossfader'), 0.5);
+    song.setCrossfader(-1);
+    song.setCueVolume(0.6);
+    song.set('master/cueVolume', 0.4);
+    assert.deepEqual(emitter.sent, [
+      ['/live/master/crossfader', -1],
+      ['/live/master/cue', 0.6],
+      ['/live/master/cue', 0.4]
+    ]);
+  });
+
+  it('crossfades between sides over time', function () {
+    var now = 0;
+    song.clock.time = function () {
+      return now;
+    };
+    song.clock.total = 0;
+    song.clock.totalTime = song.clock.positionTime = 0;
+    receiver.send('/live/tempo', 120);
+    receiver.send('/live/master/crossfader', -1);
+    emitter.clear();
+    var ramp = song.crossfade('B', {beats: 4});
+    now = 1000;
+    ramp.tick();
+    now = 2000;
+    ramp.tick();
+    assert.deepEqual(emitter.sent, [
+      ['/live/master/crossfader', 0],
+      ['/live/master/crossfader', 1]
+    ]);
+    return ramp.then(function (completed) {
+      assert.strictEqual(completed, true);
+      var failed = song.crossfade('C');
+      assert(failed instanceof Ramp);
+      failed.cancel();
+      return failed.catch(function (err) {
+        assert(err instanceof LiveOSC.errors.LiveOSCError);
+        assert(/Unknown crossfade target C/.test(err.message));
+        return 'rejected';
+      });
+    }).then(function (result) {
+      assert.equal(result, 'rejected');
+    });
+  });
+
+  it('is found and addressed like other channels', function () {
+    receiver.send('/live/master/pan', 0.5);
+    assert.deepEqual(song.findAll('master'), [master]);
+    assert.equal(song.get('master/pan'), 0.5);
+    assert.strictEqual(song.get('master'), master);
+    song.set('master/volume', 0.4);
+    assert.deepEqual(emitter.sent, [['/live/master/volume', 0.4]]);
+  });
+
+  it('serializes its mixer state with the song', function () {
+    receiver.send('/live/master/volume', 0.5);
+    receiver.send('/live/master/pan', 1);
+    var data = JSON.parse(JSON.stringify(song));
+    assert.equal(data.volume, 0.5);
+    assert.equal(data.pan, 1);
+    var loaded = song.constructor.fromJSON(data);
+    assert.equal(loaded.master.pan, 1);
+    assert.equal(loaded.volume, 0.5);
+  });
+
+  it('serializes the cue volume and crossfader with the song', function () {
+    receiver.send('/live/master/cue', 0.5);
+    receiver.send('/live/master/crossfader', 1);
+    var data = JSON.parse(JSON.stringify(song));
+    assert.equal(data.cueVolume, 0.5);
+    assert.equal(data.crossfader, 1);
+    var loaded = song.constructor.fromJSON(data);
+    assert.equal(loaded.master.cueVolume, 0.5);
+    assert.equal(loaded.crossfader, 1);
+  });
+
+  it('removes every receiver listener when destroyed', function () {
+    var before = receiver.listenerTotal();
+    var handlers = fake.handlerTotal(liveosc);
+    var other = new MasterTrack(liveosc, song);
+    other.destroy();
+    assert.equal(receiver.listenerTotal(), before);
+    assert.equal(fake.handlerTotal(liveosc), handlers);
+  });
+});
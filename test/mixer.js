@@ -0,0 +1,43 @@
+var assert = require('assert');
+
+var fake = require('./support/fake');
+var Track = require('../lib/track');
+var Return = require('../lib/return');
+var MasterTrack = require('../lib/master');
+
+describe('mixer', function () {
+  var liveosc, song, emitter, receiver;
+
+  beforeEach(function () {
+    liveosc = fake.create();
+    song = liveosc.song;
+    emitter = liveosc.emitter;
+    receiver = liveosc.receiver;
+    receiver.send('/live/tracks', 1);
+    receiver.send('/live/returns', 1);
+    emitter.clear();
+  });
+
+  afterEach(function () {
+    return liveosc.close();
+  });
+
+  it('shares the ramp methods between channels', function () {
+    assert.strictEqual(Track.prototype.rampVolume, Return.prototype.rampVolume);
+    assert.strictEqual(Track.prototype.rampPan, MasterTrack.prototype.rampPan);
+    assert.strictEqual(Track.prototype.rampSend, Return.prototype.rampSend);
+    assert.strictEqual(MasterTrack.prototype.rampSend, undefined);
+  });
+
+  it('modulates sends only on channels that have them', function () {
+    var lfo = song.returns[0].modulate('send 1', {shape: 'square', rate: 4});
+    assert.deepEqual(emitter.sent, [['/live/return/send', 0, 1, 1]]);
+    lfo.stop();
+    assert.throws(function () {
+      song.master.modulate('send 0');
+    }, /Cannot modulate send 0 of the master track/);
+    assert.throws(function () {
+      song.tracks[0].modulate('mute');
+    }, /Cannot modulate mute of a track/);
+  });
+});
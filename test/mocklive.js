@@ -0,0 +1,80 @@
+var assert = require('assert');
+var _ = require('underscore');
+
+var fake = require('./support/fake');
+var MockLive = require('../lib/mocklive');
+
+describe('MockLive', function () {
+  var mock, liveosc, song;
+
+  beforeEach(function (done) {
+    mock = new MockLive({set: _.extend({}, MockLive.defaultSet, {tempo: 600})});
+    // messages are handed over asynchronously like UDP, so replies
+    // never arrive while LiveOSC is still being constructed
+    var bridge = {
+      emit: function (address) {
+        var args = _.map(Array.prototype.slice.call(arguments, 1), function (arg) {
+          return arg && typeof arg.value != 'undefined' ? arg.value : arg;
+        });
+        setImmediate(function () {
+          mock.handle(address, args);
+        });
+      }
+    };
+    mock.send = function (address, args) {
+      liveosc.receiver.send.apply(liveosc.receiver, [address].concat(args || []));
+    };
+    liveosc = fake.create({emitter: bridge});
+    song = liveosc.song;
+    song.once('ready', function () {
+      done();
+    });
+  });
+
+  afterEach(function () {
+    mock.close();
+    return liveosc.close();
+  });
+
+  it('answers the refresh with the state of the set', function () {
+    assert.equal(song.tempo, 600);
+    assert.deepEqual(_.pluck(song.tracks, 'name'), ['1-MIDI', '2-Audio']);
+    assert.deepEqual(_.pluck(song.scenes, 'name'), ['1', '2', '3', '4']);
+    assert.equal(song.tracks[1].audio, 1);
+    assert.equal(song.tracks[0].clips[0].name, 'Bass');
+    assert.equal(song.tracks[0].clips[0].length, 16);
+    assert.equal(song.tracks[1].clips[1].name, 'Drums');
+    assert.equal(song.tracks[0].devices[0].findParam('Filter Freq').value, 0.75);
+    assert.equal(song.returns[0].devices[0].name, 'Reverb');
+    assert.equal(song.master.devices[0].findParam('Gain').max, 24);
+    assert.equal(song.volume, 0.85);
+  });
+
+  it('echoes setter calls', function (done) {
+    var track = song.tracks[0];
+    track.setVolume(0.5);
+    track.devices[0].set('Filter Freq', 0.25);
+    song.setTempo(128);
+    song.once('tempo', function (param) {
+      assert.equal(param.value, 128);
+      assert.equal(track.volume, 0.5);
+      assert.equal(track.devices[0].findParam('Filter Freq').value, 0.25);
+      assert.equal(mock.set.tracks[0].volume, 0.5);
+      done();
+    });
+  });
+
+  it('plays clips and drives the beat clock', function (done) {
+    var clip = song.tracks[1].clips[1];
+    clip.play();
+    mock.beat = 4;
+    mock.startClock();
+    song.on('beat', function (param) {
+      if (param.value < 5) return;
+      assert.equal(clip.state, 2);
+      assert.equal(song.playing, 2);
+      assert.equal(song.bar, 2);
+      done();
+    });
+  });
+});
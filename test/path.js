@@ -0,0 +1,126 @@
+var assert = require('assert');
+
+var fake = require('./support/fake');
+var LiveOSC = require('../index');
+
+describe('Paths', function () {
+  var liveosc, song, emitter, receiver;
+
+  beforeEach(function () {
+    liveosc = fake.create();
+    song = liveosc.song;
+    emitter = liveosc.emitter;
+    receiver = liveosc.receiver;
+    receiver.send('/live/tracks', 1);
+    receiver.send('/live/returns', 1);
+    receiver.send('/live/scenes', 2);
+    receiver.send('/live/name/track', 0, 'Drums');
+    receiver.send('/live/name/return', 0, 'A-Reverb');
+    receiver.send('/live/volume', 0, 0.5);
+    receiver.send('/live/return/send', 0, 1, 0.3);
+    receiver.send('/live/clip/info', 0, 1, 1, 8);
+    receiver.send('/live/clip/loopend', 0, 1, 8);
+    receiver.send('/live/devicelist', 0, 0, 'Reverb');
+    receiver.send('/live/device/allparam', 0, 0, 0, 1, 'Device On', 1, 0.5, 'Dry/Wet');
+    receiver.send('/live/master/devicelist', 0, 'Limiter');
+    receiver.send('/live/master/device', 0, 0, 2, 'Gain');
+    receiver.send('/live/master/device/range', 0, 0, -24, 24);
+    emitter.clear();
+  });
+
+  afterEach(function () {
+    return liveosc.close();
+  });
+
+  it('reads objects and values by path', function () {
+    assert.strictEqual(song.get('tracks/Drums'), song.tracks[0]);
+    assert.strictEqual(song.get('tracks/0/devices/Reverb'), song.tracks[0].devices[0]);
+    assert.equal(song.get('tracks/Drums/volume'), 0.5);
+    assert.equal(song.get('tracks/Drums/devices/Reverb/params/Dry Wet'), 0.5);
+    assert.equal(song.get('tracks/Drums/devices/Reverb/params/Dry%2FWet'), 0.5);
+    assert.equal(song.get('tracks/Drums/clips/1/loopend'), 8);
+    assert.equal(song.get('returns/A-Reverb/sends/1'), 0.3);
+    assert.equal(song.get('master/devices/Limiter/params/Gain'), 2);
+    assert.equal(song.get('tempo'), 120);
+    assert.equal(song.get('tracks/Bass/volume'), undefined);
+  });
+
+  it('addresses the master values of the song', function () {
+    receiver.send('/live/master/volume', 0.8);
+    receiver.send('/live/master/pan', -0.5);
+    receiver.send('/live/master/cue', 0.7);
+    receiver.send('/live/master/crossfader', 1);
+    assert.equal(song.get('volume'), 0.8);
+    assert.equal(song.get('pan'), -0.5);
+    assert.equal(song.get('cueVolume'), 0.7);
+    assert.equal(song.get('crossfader'), 1);
+    assert.strictEqual(song.get('devices/Limiter'), song.master.devices[0]);
+    return Promise.all([
+      song.set('volume', 0.5),
+      song.set('pan', 0.25),
+      song.set('cueVolume', 0.6),
+      song.set('crossfader', -1)
+    ]).then(function () {
+      assert.deepEqual(emitter.sent, [
+        ['/live/master/volume', 0.5],
+        ['/live/master/pan', 0.25],
+        ['/live/master/cue', 0.6],
+        ['/live/master/crossfader', -1]
+      ]);
+    });
+  });
+
+  it('sets values with the setters of their objects', function () {
+    return Promise.all([
+      song.set('tracks/Drums/volume', 0.7),
+      song.set('returns/A-Reverb/sends/1', 0.5),
+      song.set('tracks/Drums/devices/Reverb/params/Dry Wet', 0.25),
+      song.set('master/volume', 0.9)
+    ]).then(function () {
+      assert.deepEqual(emitter.sent, [
+        ['/live/volume', 0, 0.7],
+        ['/live/return/send', 0, 1, 0.5],
+        ['/live/device', 0, 0, 1, 0.25],
+        ['/live/master/volume', 0.9]
+      ]);
+    });
+  });
+
+  it('rejects paths that can not be set', function () {
+    var errors = [];
+    liveosc.on('error', function (err) {
+      errors.push(err);
+    });
+    return Promise.all([
+      song.set('tracks/Bass/volume', 1).catch(function (err) {
+        return err;
+      }),
+      song.set('tracks/Drums/clips/1/length', 4).catch(function (err) {
+        return err;
+      })
+    ]).then(function (results) {
+      assert(results[0] instanceof LiveOSC.errors.UnknownPathError);
+      assert(/no track Bass/.test(results[0].message));
+      assert(/can not be set/.test(results[1].message));
+      assert.equal(errors.length, 2);
+    });
+  });
+
+  it('listens for changes by path', function () {
+    var events = [];
+    var sub = song.on('tracks/Drums/devices/Reverb/params/Dry Wet', function (param) {
+      events.push(['dry/wet', param.value]);
+    });
+    song.on('returns/A-Reverb/sends/1', function (param) {
+      events.push(['send', param.value]);
+    });
+    receiver.send('/live/device/param', 0, 0, 1, 0.75, 'Dry/Wet');
+    receiver.send('/live/return/send', 0, 0, 0.1, 1, 0.6);
+    sub.cancel();
+    receiver.send('/live/device/param', 0, 0, 1, 0.5, 'Dry/Wet');
+    assert.deepEqual(events, [['dry/wet', 0.75], ['send', 0.6]]);
+    assert.throws(function () {
+      song.on('tracks/Drums', function () {});
+    }, LiveOSC.errors.UnknownPathError);
+  });
+});
@@ -0,0 +1,22 @@
+var assert = require('assert');
+
+var position = require('../lib/position');
+
+describe('position', function () {
+  it('splits beats into bars, beats and sixteenths', function () {
+    assert.deepEqual(position.position(0), {bar: 1, beatInBar: 1, sixteenth: 1, phrase: 1});
+    assert.deepEqual(position.position(66), {bar: 17, beatInBar: 3, sixteenth: 1, phrase: 5});
+    assert.deepEqual(position.position(5.75, 4, 4, 8), {bar: 2, beatInBar: 2, sixteenth: 4, phrase: 1});
+  });
+
+  it('counts beats in units of the signature denominator', function () {
+    // 6/8 has three quarter notes per bar
+    assert.equal(position.beatsPerBar(6, 8), 3);
+    assert.deepEqual(position.position(4, 6, 8), {bar: 2, beatInBar: 3, sixteenth: 1, phrase: 1});
+    assert.deepEqual(position.position(4.5, 6, 8), {bar: 2, beatInBar: 4, sixteenth: 1, phrase: 1});
+  });
+
+  it('formats positions like the Live transport', function () {
+    assert.equal(position.format(position.position(66)), '17.3.1');
+  });
+});
@@ -0,0 +1,65 @@
+var assert = require('assert');
+
+var fake = require('./support/fake');
+var protocol = require('../lib/protocol');
+var ProtocolError = require('../lib/errors').ProtocolError;
+
+describe('protocol', function () {
+  describe('validate', function () {
+    it('accepts well formed messages and unknown addresses', function () {
+      assert.strictEqual(protocol.validate('/live/tempo', [120.5]), null);
+      assert.strictEqual(protocol.validate('/live/devicelist', [0, 0, 'Reverb', 1, 'EQ Eight']), null);
+      assert.strictEqual(protocol.validate('/live/track/info', [0, 0, 0, 0, 1, 0.8, 0, 0, 1, 4]), null);
+      assert.strictEqual(protocol.validate('/live/unknown', ['anything']), null);
+    });
+
+    it('rejects missing arguments', function () {
+      var err = protocol.validate('/live/clip/info', [0, 1]);
+      assert(err instanceof ProtocolError);
+      assert.equal(err.address, '/live/clip/info');
+      assert(/at least 4/.test(err.reason));
+    });
+
+    it('rejects arguments of the wrong type', function () {
+      assert(protocol.validate('/live/tracks', [1.5]) instanceof ProtocolError);
+      assert(protocol.validate('/live/name/track', [0, 3]) instanceof ProtocolError);
+      assert(protocol.validate('/live/send', [0, 0, 'loud']) instanceof ProtocolError);
+    });
+
+    it('rejects incomplete repeated groups', function () {
+      var err = protocol.validate('/live/devicelist', [0, 0, 'Reverb', 1]);
+      assert(err instanceof ProtocolError);
+      assert(/groups of 2/.test(err.reason));
+    });
+  });
+
+  describe('routing', function () {
+    var liveosc, song, receiver, errors;
+
+    beforeEach(function () {
+      liveosc = fake.create();
+      song = liveosc.song;
+      receiver = liveosc.receiver;
+      errors = [];
+      liveosc.on('error', function (err) {
+        errors.push(err);
+      });
+      receiver.send('/live/tracks', 1);
+      receiver.send('/live/devicelist', 0, 0, 'Reverb');
+    });
+
+    afterEach(function () {
+      return liveosc.close();
+    });
+
+    it('drops malformed messages before they reach the model', function () {
+      receiver.send('/live/devicelist', 0, 0, 'Reverb', 1);
+      receiver.send('/live/send', 0, 0);
+      receiver.send('/live/volume', 0, 'loud');
+      assert.equal(errors.length, 3);
+      assert.equal(song.tracks[0].devices.length, 1);
+      assert.deepEqual(song.tracks[0].sends, []);
+      assert.notEqual(song.tracks[0].volume, 'loud');
+    });
+  });
+});
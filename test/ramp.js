@@ -0,0 +1,128 @@
+var assert = require('assert');
+
+var fake = require('./support/fake');
+var Ramp = require('../lib/ramp');
+var LiveOSC = require('../index');
+
+describe('Ramp', function () {
+  var liveosc, song, emitter, receiver, track, now;
+
+  beforeEach(function () {
+    liveosc = fake.create();
+    song = liveosc.song;
+    emitter = liveosc.emitter;
+    receiver = liveosc.receiver;
+    now = 0;
+    song.clock.time = function () {
+      return now;
+    };
+    song.clock.total = 0;
+    song.clock.totalTime = song.clock.positionTime = 0;
+    receiver.send('/live/tempo', 120);
+    receiver.send('/live/tracks', 1);
+    track = song.tracks[0];
+    receiver.send('/live/volume', 0, 0.2);
+    emitter.clear();
+  });
+
+  afterEach(function () {
+    return liveosc.close();
+  });
+
+  function volumes() {
+    return emitter.find('/live/volume').map(function (msg) {
+      return Math.round(msg[2] * 1000) / 1000;
+    });
+  }
+
+  it('moves the value over beats at the song tempo', function () {
+    var ramp = track.rampVolume(0.6, {beats: 2});
+    now = 500;
+    ramp.tick();
+    now = 1000;
+    ramp.tick();
+    assert.deepEqual(volumes(), [0.4, 0.6]);
+    return ramp.then(function (completed) {
+      assert.strictEqual(completed, true);
+      assert.deepEqual(song.ramps, []);
+    });
+  });
+
+  it('follows tempo changes', function () {
+    var ramp = track.rampVolume(0.6, {beats: 2});
+    now = 500;
+    receiver.send('/live/tempo', 60);
+    now = 1500;
+    ramp.tick();
+    assert.deepEqual(volumes(), [0.6]);
+    return ramp;
+  });
+
+  it('shapes progress with curves', function () {
+    assert.equal(Math.round(Ramp.curves.s(0.5) * 1000) / 1000, 0.5);
+    assert(Ramp.curves.exp(0.5) < 0.5);
+    var ramp = track.rampVolume(0.6, {beats: 2, curve: 's'});
+    now = 250;
+    ramp.tick();
+    assert.deepEqual(volumes(), [0.259]);
+    ramp.cancel();
+  });
+
+  it('resolves with false when cancelled or replaced', function () {
+    var first = track.rampVolume(0.6, {beats: 2});
+    var second = track.rampVolume(0, {beats: 2});
+    var pan = track.rampPan(1, {beats: 2});
+    assert.equal(song.ramps.length, 2);
+    second.cancel();
+    pan.cancel();
+    return Promise.all([first, second, pan]).then(function (results) {
+      assert.deepEqual(results, [false, false, false]);
+    });
+  });
+
+  it('ignores options that are set by the caller', function () {
+    var ramp = track.rampVolume(0.6, {beats: 0, from: 1, target: song, set: function () {
+      throw new Error('should not be called');
+    }});
+    assert.strictEqual(ramp.target, track);
+    assert.equal(ramp.from, 0.2);
+    assert.deepEqual(volumes(), [0.6]);
+  });
+
+  it('waits for the next beat when synced', function () {
+    receiver.send('/live/play', 2);
+    var ramp = song.rampTempo(140, {beats: 1, sync: true});
+    now = 1000;
+    assert.equal(ramp.startBeat, undefined);
+    receiver.send('/live/beat', 4);
+    assert.equal(ramp.startBeat, 2);
+    ramp.cancel();
+  });
+
+  it('is cancelled when its target is destroyed', function () {
+    var ramp = track.rampSend(0, 1, {bars: 1});
+    receiver.send('/live/tracks', 0);
+    return ramp.then(function (completed) {
+      assert.strictEqual(completed, false);
+    });
+  });
+
+  it('ramps device parameters', function () {
+    receiver.send('/live/devicelist', 0, 0, 'Reverb');
+    receiver.send('/live/device/allparam', 0, 0, 1, 0, 'Dry/Wet');
+    receiver.send('/live/device/range', 0, 0, 1, 0, 1);
+    var device = track.devices[0];
+    var ramp = device.ramp('Dry/Wet', 1, {ms: 100});
+    now = 50;
+    ramp.tick();
+    assert.deepEqual(emitter.find('/live/device').pop(), ['/live/device', 0, 0, 1, 0.5]);
+    ramp.cancel();
+    var missing = device.ramp('Missing', 1);
+    assert(missing instanceof Ramp);
+    missing.cancel();
+    assert.strictEqual(missing.running, false);
+    return missing.catch(function (err) {
+      assert(err instanceof LiveOSC.errors.UnknownParameterError);
+    });
+  });
+});
@@ -0,0 +1,86 @@
+var assert = require('assert');
+
+var fake = require('./support/fake');
+var Return = require('../lib/return');
+
+describe('Return', function () {
+  var liveosc, song, emitter, receiver, ret;
+
+  beforeEach(function () {
+    liveosc = fake.create();
+    song = liveosc.song;
+    emitter = liveosc.emitter;
+    receiver = liveosc.receiver;
+    receiver.send('/live/returns', 1);
+    ret = song.returns[0];
+    emitter.clear();
+  });
+
+  afterEach(function () {
+    return liveosc.close();
+  });
+
+  it('requests info and devices when named', function () {
+    receiver.send('/live/name/return', 0, 'A-Reverb');
+    assert.equal(ret.name, 'A-Reverb');
+    assert.deepEqual(emitter.sent, [
+      ['/live/scenes'],
+      ['/live/return/info', 0],
+      ['/live/return/devicelist', 0]
+    ]);
+  });
+
+  it('applies return info', function () {
+    var events = [];
+    ret.on('volume', function (param) {
+      events.push(param);
+    });
+    receiver.send('/live/return/info', 0, 1, 0, 0.4, 0.1);
+    assert.equal(ret.solo, 1);
+    assert.equal(ret.mute, 0);
+    assert.equal(ret.volume, 0.4);
+    assert.equal(ret.pan, 0.1);
+    assert.deepEqual(events, [{value: 0.4, prev: 0}]);
+  });
+
+  it('reports the previous volume and panning', function () {
+    var events = [];
+    song.on('return:pan', function (param) {
+      events.push(param);
+    });
+    receiver.send('/live/return/pan', 0, 0.5);
+    receiver.send('/live/return/pan', 0, -0.5);
+    assert.deepEqual(events, [
+      {id: 0, value: 0.5, prev: 0},
+      {id: 0, value: -0.5, prev: 0.5}
+    ]);
+  });
+
+  it('does not duplicate devices when the list is reported again', function () {
+    receiver.send('/live/return/devicelist', 0, 0, 'Reverb');
+    var reverb = ret.devices[0];
+    receiver.send('/live/return/devicelist', 0, 0, 'Reverb');
+    assert.equal(ret.devices.length, 1);
+    assert.strictEqual(ret.devices[0], reverb);
+    assert.equal(reverb.type, 'return');
+  });
+
+  it('sends setter messages', function () {
+    ret.setMute(1);
+    ret.setPan(-1);
+    assert.deepEqual(emitter.sent, [
+      ['/live/return/mute', 0, 1],
+      ['/live/return/pan', 0, -1]
+    ]);
+  });
+
+  it('removes every receiver listener when destroyed', function () {
+    var before = receiver.listenerTotal();
+    var handlers = fake.handlerTotal(liveosc);
+    var other = new Return(liveosc, 3);
+    receiver.send('/live/return/devicelist', 3, 0, 'Reverb');
+    other.destroy();
+    assert.equal(receiver.listenerTotal(), before);
+    assert.equal(fake.handlerTotal(liveosc), handlers);
+  });
+});
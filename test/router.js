@@ -0,0 +1,58 @@
+var assert = require('assert');
+
+var fake = require('./support/fake');
+var Router = require('../lib/router');
+
+describe('Router', function () {
+  var receiver, router;
+
+  beforeEach(function () {
+    receiver = new fake.FakeReceiver();
+    router = new Router(receiver);
+  });
+
+  it('registers one receiver listener per address', function () {
+    router.add('/live/clip/info', [0, 1], function () {});
+    router.add('/live/clip/info', [0, 2], function () {});
+    router.add('/live/clip/info', [1, 1], function () {});
+    assert.equal(receiver.listenerCount('/live/clip/info'), 1);
+  });
+
+  it('dispatches messages by their leading ids', function () {
+    var calls = [];
+    router.add('/live/clip/info', [0, 1], function () {
+      calls.push(['a'].concat(Array.prototype.slice.call(arguments, 0)));
+    });
+    router.add('/live/clip/info', [1, 0], function () {
+      calls.push(['b'].concat(Array.prototype.slice.call(arguments, 0)));
+    });
+    receiver.send('/live/clip/info', 0, 1, 2, 4);
+    receiver.send('/live/clip/info', 1, 1, 2, 4);
+    assert.deepEqual(calls, [['a', 0, 1, 2, 4]]);
+  });
+
+  it('dispatches to handlers with different numbers of ids', function () {
+    var calls = [];
+    router.add('/live/tempo', [], function (tempo) {
+      calls.push(tempo);
+    });
+    router.add('/live/tempo', [120], function (tempo) {
+      calls.push('exact ' + tempo);
+    });
+    receiver.send('/live/tempo', 120);
+    assert.deepEqual(calls.sort(), [120, 'exact 120']);
+  });
+
+  it('removes the receiver listener with the last handler', function () {
+    var calls = 0;
+    function handler() {
+      calls++;
+    }
+    router.add('/live/volume', [3], handler);
+    router.remove('/live/volume', [3], handler);
+    receiver.send('/live/volume', 3, 0.5);
+    assert.equal(calls, 0);
+    assert.equal(receiver.listenerCount('/live/volume'), 0);
+    assert.deepEqual(router.routes, {});
+  });
+});
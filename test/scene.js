@@ -0,0 +1,112 @@
+var assert = require('assert');
+
+var fake = require('./support/fake');
+
+describe('Scene', function () {
+  var liveosc, song, emitter, receiver, scene;
+
+  beforeEach(function () {
+    liveosc = fake.create();
+    song = liveosc.song;
+    emitter = liveosc.emitter;
+    receiver = liveosc.receiver;
+    receiver.send('/live/tracks', 2);
+    receiver.send('/live/scenes', 2);
+    scene = song.scenes[1];
+    receiver.send('/live/name/scene', 0, 'Verse');
+    receiver.send('/live/name/scene', 1, 'Chorus');
+    emitter.clear();
+  });
+
+  afterEach(function () {
+    return liveosc.close();
+  });
+
+  it('creates scenes and requests their names', function () {
+    var other = fake.create();
+    other.receiver.send('/live/scenes', 2);
+    assert.deepEqual(other.emitter.find('/live/name/scene'), [
+      ['/live/name/scene', 0],
+      ['/live/name/scene', 1]
+    ]);
+    assert.equal(other.song.scenes[1].id, 1);
+    return other.close();
+  });
+
+  it('applies names and emits name events', function () {
+    var events = [];
+    scene.on('name', function (param) {
+      events.push(param);
+    });
+    song.on('scene:name', function (param) {
+      events.push(param.id);
+    });
+    receiver.send('/live/name/scene', 1, 'Drop');
+    receiver.send('/live/name/scene', 1, 'Drop');
+    assert.equal(scene.name, 'Drop');
+    assert.deepEqual(events, [{value: 'Drop', prev: 'Chorus'}, 1]);
+  });
+
+  it('is looked up by name or id', function () {
+    assert.strictEqual(song.scene('Chorus'), scene);
+    assert.strictEqual(song.scene(1), scene);
+    assert.strictEqual(song.scene('Missing'), undefined);
+  });
+
+  it('holds the row of clips across tracks', function () {
+    assert.deepEqual(scene.clips(), [song.tracks[0].clips[1], song.tracks[1].clips[1]]);
+  });
+
+  it('plays and renames', function () {
+    song.scene('Chorus').play();
+    scene.rename('Outro');
+    assert.deepEqual(emitter.sent, [
+      ['/live/scene', 1],
+      ['/live/name/scene', 1, 'Outro']
+    ]);
+  });
+
+  it('derives triggered and playing from its clips', function () {
+    var events = [];
+    scene.on('triggered', function (param) {
+      events.push('triggered ' + param.value);
+    });
+    scene.on('playing', function (param) {
+      events.push('playing ' + param.value);
+    });
+    receiver.send('/live/clip/info', 0, 1, 1, 4);
+    receiver.send('/live/clip/info', 1, 1, 1, 4);
+    receiver.send('/live/clip/info', 0, 1, 3, 4);
+    receiver.send('/live/clip/info', 0, 1, 2, 4);
+    assert.equal(scene.playing, false);
+    receiver.send('/live/clip/info', 1, 1, 2, 4);
+    assert.equal(scene.playing, true);
+    receiver.send('/live/clip/info', 1, 1, 1, 4);
+    assert.deepEqual(events, [
+      'triggered true',
+      'triggered false',
+      'playing true',
+      'playing false'
+    ]);
+  });
+
+  it('follows its clips without a song listener per scene', function () {
+    receiver.send('/live/scenes', 64);
+    assert.equal(song.eventEmitter.listenerCount('clip:state'), 0);
+    receiver.send('/live/clip/info', 0, 40, 2, 4);
+    assert.equal(song.scenes[40].playing, true);
+    assert.equal(song.scenes[39].playing, false);
+  });
+
+  it('emits removed with the scene and destroys it', function () {
+    var removed = [];
+    song.on('scene:removed', function (param) {
+      removed.push(param.object);
+    });
+    receiver.send('/live/scenes', 1);
+    assert.deepEqual(removed, [scene]);
+    assert.equal(song.scenes.length, 1);
+    receiver.send('/live/name/scene', 1, 'Gone');
+    assert.equal(scene.name, 'Chorus');
+  });
+});
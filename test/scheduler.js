@@ -0,0 +1,127 @@
+var assert = require('assert');
+
+var fake = require('./support/fake');
+
+describe('Scheduler', function () {
+  var liveosc, song, receiver, clock, now, calls;
+
+  beforeEach(function () {
+    liveosc = fake.create({lookahead: 50});
+    song = liveosc.song;
+    receiver = liveosc.receiver;
+    clock = song.clock;
+    now = 0;
+    clock.time = function () {
+      return now;
+    };
+    clock.total = 0;
+    clock.totalTime = clock.positionTime = 0;
+    calls = [];
+    receiver.send('/live/tempo', 120);
+  });
+
+  afterEach(function () {
+    return liveosc.close();
+  });
+
+  function record(name) {
+    return function (ev) {
+      calls.push([name, ev.beat]);
+    };
+  }
+
+  it('runs callbacks at a position while playing', function () {
+    song.at(4, record('a'));
+    receiver.send('/live/beat', 4);
+    assert.deepEqual(calls, []);
+    receiver.send('/live/play', 2);
+    assert.deepEqual(calls, [['a', 4]]);
+    receiver.send('/live/beat', 5);
+    assert.equal(song.scheduler.jobs.length, 0);
+  });
+
+  it('runs callbacks lookahead early', function () {
+    receiver.send('/live/play', 2);
+    song.at(2, record('a'));
+    now = 940;
+    song.scheduler.plan();
+    assert.deepEqual(calls, []);
+    now = 950;
+    song.scheduler.plan();
+    assert.deepEqual(calls, [['a', 2]]);
+  });
+
+  it('follows tempo changes', function () {
+    receiver.send('/live/play', 2);
+    song.at(2, record('a'));
+    now = 500;
+    receiver.send('/live/tempo', 60);
+    now = 1400;
+    song.scheduler.plan();
+    assert.deepEqual(calls, []);
+    now = 1450;
+    song.scheduler.plan();
+    assert.deepEqual(calls, [['a', 2]]);
+  });
+
+  it('waits while the song is stopped', function () {
+    receiver.send('/live/play', 2);
+    song.at(2, record('a'));
+    now = 500;
+    receiver.send('/live/play', 1);
+    now = 2000;
+    song.scheduler.plan();
+    assert.deepEqual(calls, []);
+    receiver.send('/live/play', 2);
+    now = 2950;
+    song.scheduler.plan();
+    assert.deepEqual(calls, [['a', 2]]);
+  });
+
+  it('runs on the next bar or beat', function () {
+    receiver.send('/live/play', 2);
+    receiver.send('/live/beat', 5);
+    song.onNext('bar', record('bar'));
+    song.onNext('beat', record('beat'));
+    song.onNext(3, record('three'));
+    receiver.send('/live/beat', 6);
+    receiver.send('/live/beat', 7);
+    receiver.send('/live/beat', 8);
+    assert.deepEqual(calls, [['beat', 6], ['three', 6], ['bar', 8]]);
+  });
+
+  it('repeats every interval', function () {
+    receiver.send('/live/play', 2);
+    receiver.send('/live/beat', 3);
+    var job = song.every('bar', record('a'));
+    receiver.send('/live/beat', 4);
+    receiver.send('/live/beat', 8);
+    receiver.send('/live/beat', 20);
+    job.cancel();
+    receiver.send('/live/beat', 24);
+    assert.deepEqual(calls, [['a', 4], ['a', 8], ['a', 20]]);
+  });
+
+  it('cancels jobs', function () {
+    receiver.send('/live/play', 2);
+    var job = song.at(4, record('a'));
+    job.cancel();
+    receiver.send('/live/beat', 4);
+    assert.deepEqual(calls, []);
+  });
+
+  it('reports callbacks that throw and keeps running', function () {
+    var errors = [];
+    song.on('error', function (err) {
+      errors.push(err.message);
+    });
+    receiver.send('/live/play', 2);
+    song.at(4, function () {
+      throw new Error('broken');
+    });
+    song.at(4, record('a'));
+    receiver.send('/live/beat', 4);
+    assert.deepEqual(errors, ['broken']);
+    assert.deepEqual(calls, [['a', 4]]);
+  });
+});
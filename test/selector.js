@@ -0,0 +1,94 @@
+var assert = require('assert');
+
+var fake = require('./support/fake');
+
+describe('Selectors', function () {
+  var liveosc, song, receiver;
+
+  beforeEach(function () {
+    liveosc = fake.create();
+    song = liveosc.song;
+    receiver = liveosc.receiver;
+    receiver.send('/live/tracks', 2);
+    receiver.send('/live/returns', 1);
+    receiver.send('/live/scenes', 2);
+    receiver.send('/live/name/track', 0, 'Drums');
+    receiver.send('/live/name/track', 1, 'Bass');
+    receiver.send('/live/track/info', 0, 0, 0, 0, 1, 0.85, 0);
+    receiver.send('/live/track/info', 1, 0, 0, 0, 0, 0.85, 0);
+    receiver.send('/live/clip/info', 0, 0, 2, 8);
+    receiver.send('/live/clip/info', 1, 1, 1, 4);
+    receiver.send('/live/devicelist', 0, 0, 'Reverb', 1, 'EQ Eight');
+    receiver.send('/live/return/devicelist', 0, 0, 'Reverb');
+    receiver.send('/live/device/allparam', 0, 0, 0, 1, 'Device On', 1, 0.5, 'Dry/Wet');
+    receiver.send('/live/master/devicelist', 0, 'Limiter');
+  });
+
+  afterEach(function () {
+    return liveosc.close();
+  });
+
+  it('finds objects by type and name', function () {
+    assert.strictEqual(song.find({type: 'track', name: 'Bass'}), song.tracks[1]);
+    assert.deepEqual(song.findAll({type: 'device', name: /verb/}), [
+      song.tracks[0].devices[0],
+      song.returns[0].devices[0]
+    ]);
+    assert.strictEqual(song.find({type: 'param', name: 'Dry/Wet'}), song.tracks[0].devices[0].params[1]);
+    assert.equal(song.find({type: 'track', name: 'Keys'}), undefined);
+  });
+
+  it('finds tracks by audio and clips by state', function () {
+    assert.deepEqual(song.findAll({type: 'track', audio: true}), [song.tracks[0]]);
+    assert.deepEqual(song.findAll({type: 'track', audio: false}), [song.tracks[1]]);
+    assert.deepEqual(song.findAll('clip'), [song.tracks[0].clips[0], song.tracks[1].clips[1]]);
+    assert.deepEqual(song.findAll({type: 'clip', state: 2}), [song.tracks[0].clips[0]]);
+    assert.equal(song.findAll({type: 'clip', state: 0}).length, 2);
+  });
+
+  it('finds devices by track and device type', function () {
+    assert.deepEqual(song.findAll({type: 'device', deviceType: 'return'}), [song.returns[0].devices[0]]);
+    assert.deepEqual(song.findAll({type: 'device', deviceType: 'master'}), [song.devices[0]]);
+    assert.deepEqual(song.findAll({type: 'device', track: 'Drums'}), song.tracks[0].devices);
+    assert.throws(function () {
+      song.findAll('bus');
+    });
+  });
+
+  it('watches events of matching objects as they come and go', function () {
+    var events = [];
+    var watcher = song.watch({type: 'track', name: /s$/}, 'volume', function (params, track) {
+      events.push([track.name, params.value]);
+    });
+    receiver.send('/live/volume', 0, 0.5);
+    receiver.send('/live/volume', 1, 0.5);
+    receiver.send('/live/tracks', 3);
+    receiver.send('/live/name/track', 2, 'Lead');
+    receiver.send('/live/volume', 2, 0.1);
+    receiver.send('/live/name/track', 2, 'Pads');
+    receiver.send('/live/volume', 2, 0.2);
+    watcher.cancel();
+    receiver.send('/live/volume', 0, 0.7);
+    assert.deepEqual(events, [['Drums', 0.5], ['Bass', 0.5], ['Pads', 0.2]]);
+  });
+
+  it('watches parameter values', function () {
+    var events = [];
+    song.watch({type: 'param', name: 'Dry/Wet'}, 'value', function (params, device) {
+      events.push([device.name, params.value]);
+    });
+    receiver.send('/live/device/param', 0, 0, 1, 0.25, 'Dry/Wet');
+    receiver.send('/live/device/param', 0, 0, 0, 0, 'Device On');
+    receiver.send('/live/return/device/allparam', 0, 0, 0, 0.75, 'Dry/Wet');
+    assert.deepEqual(events, [['Reverb', 0.25], ['Reverb', 0.75]]);
+  });
+
+  it('watches clips created later', function () {
+    var created = [];
+    song.watch('clip', 'created', function (params, clip) {
+      created.push([clip.track.id, clip.id]);
+    });
+    receiver.send('/live/clip/info', 1, 0, 1, 4);
+    assert.deepEqual(created, [[1, 0]]);
+  });
+});
@@ -0,0 +1,129 @@
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+
+var fake = require('./support/fake');
+var LiveOSC = require('../index');
+
+describe('Snapshot', function () {
+  var liveosc, song, emitter, receiver, track, device, now;
+
+  beforeEach(function () {
+    liveosc = fake.create();
+    song = liveosc.song;
+    emitter = liveosc.emitter;
+    receiver = liveosc.receiver;
+    now = 0;
+    song.clock.time = function () {
+      return now;
+    };
+    song.clock.total = 0;
+    song.clock.totalTime = song.clock.positionTime = 0;
+    receiver.send('/live/tempo', 120);
+    receiver.send('/live/tracks', 1);
+    receiver.send('/live/returns', 1);
+    receiver.send('/live/master/volume', 0.8);
+    receiver.send('/live/volume', 0, 0.5);
+    receiver.send('/live/mute', 0, 1);
+    receiver.send('/live/send', 0, 0, 0.25);
+    receiver.send('/live/return/pan', 0, -0.5);
+    receiver.send('/live/devicelist', 0, 0, 'Reverb');
+    receiver.send('/live/device/allparam', 0, 0, 0, 1, 'Device On', 1, 0.5, 'Dry/Wet');
+    receiver.send('/live/device/range', 0, 0, 0, 0, 1, 1, 0, 1);
+    track = song.tracks[0];
+    device = track.devices[0];
+  });
+
+  afterEach(function () {
+    return liveosc.close();
+  });
+
+  it('captures the mixer and selected device parameters', function () {
+    var snapshot = song.capture('Verse', {
+      devices: [{device: device, params: ['Dry/Wet']}]
+    });
+    var data = JSON.parse(JSON.stringify(snapshot));
+    assert.equal(data.name, 'Verse');
+    assert.deepEqual(data.master, {volume: 0.8, pan: 0});
+    assert.deepEqual(data.tracks[0], {
+      id: 0, name: '', volume: 0.5, pan: 0, mute: 1, solo: 0, arm: 0, sends: [0.25]
+    });
+    assert.equal(data.returns[0].pan, -0.5);
+    assert.deepEqual(data.devices, [
+      {type: 'track', trackId: 0, id: 0, name: 'Reverb', params: {'Dry/Wet': 0.5}}
+    ]);
+  });
+
+  it('recalls every value at once', function () {
+    var snapshot = song.capture('Verse', {devices: [device]});
+    receiver.send('/live/volume', 0, 0.9);
+    emitter.clear();
+    return snapshot.recall().then(function () {
+      assert.deepEqual(emitter.find('/live/volume'), [['/live/volume', 0, 0.5]]);
+      assert.deepEqual(emitter.find('/live/mute'), [['/live/mute', 0, 1]]);
+      assert.deepEqual(emitter.find('/live/send'), [['/live/send', 0, 0, 0.25]]);
+      assert.deepEqual(emitter.find('/live/return/pan'), [['/live/return/pan', 0, -0.5]]);
+      assert.deepEqual(emitter.find('/live/device'), [
+        ['/live/device', 0, 0, 0, 1],
+        ['/live/device', 0, 0, 1, 0.5]
+      ]);
+    });
+  });
+
+  it('morphs to a snapshot over beats', function () {
+    var snapshot = new LiveOSC.Snapshot(liveosc, {
+      tracks: [{id: 0, volume: 0.7, mute: 0}]
+    });
+    emitter.clear();
+    var done = snapshot.morph({beats: 2});
+    assert.deepEqual(emitter.find('/live/mute'), [['/live/mute', 0, 0]]);
+    now = 500;
+    song.ramps[0].tick();
+    now = 1000;
+    song.ramps[0].tick();
+    var volumes = emitter.find('/live/volume').map(function (msg) {
+      return Math.round(msg[2] * 1000) / 1000;
+    });
+    assert.deepEqual(volumes, [0.6, 0.7]);
+    return done.then(function (completed) {
+      assert.strictEqual(completed, true);
+    });
+  });
+
+  it('waits for mute, solo and arm while morphing', function () {
+    var snapshot = new LiveOSC.Snapshot(liveosc, {
+      tracks: [{id: 0, volume: 0.7, mute: 0}]
+    });
+    song.tracks[0].setMute = function () {
+      return Promise.reject(new Error('not sent'));
+    };
+    return snapshot.morph({beats: 0}).then(function () {
+      throw new Error('should have been rejected');
+    }, function (err) {
+      assert.equal(err.message, 'not sent');
+    });
+  });
+
+  it('finds devices that moved by name', function () {
+    var snapshot = new LiveOSC.Snapshot(liveosc, {
+      devices: [{type: 'track', trackId: 0, id: 3, name: 'Reverb', params: {'Dry/Wet': 1}}]
+    });
+    emitter.clear();
+    return snapshot.recall().then(function () {
+      assert.deepEqual(emitter.find('/live/device'), [['/live/device', 0, 0, 1, 1]]);
+    });
+  });
+
+  it('saves and loads JSON files', function () {
+    var file = path.join(os.tmpdir(), 'liveosc-snapshot-' + process.pid + '.json');
+    var snapshot = song.capture('Chorus');
+    return snapshot.save(file).then(function () {
+      return song.loadSnapshot(file);
+    }).then(function (loaded) {
+      fs.unlinkSync(file);
+      assert(loaded instanceof LiveOSC.Snapshot);
+      assert.deepEqual(loaded.toJSON(), snapshot.toJSON());
+    });
+  });
+});
@@ -0,0 +1,305 @@
+var assert = require('assert');
+
+var fake = require('./support/fake');
+var LiveOSC = require('../index');
+
+describe('Song', function () {
+  var liveosc, song, emitter, receiver;
+
+  beforeEach(function () {
+    liveosc = fake.create({refreshTimeout: 50});
+    song = liveosc.song;
+    emitter = liveosc.emitter;
+    receiver = liveosc.receiver;
+  });
+
+  afterEach(function () {
+    return liveosc.close();
+  });
+
+  it('requests the song state on creation', function () {
+    var addresses = emitter.sent.map(function (msg) {
+      return msg[0];
+    });
+    assert.deepEqual(addresses, [
+      '/live/tracks',
+      '/live/returns',
+      '/live/master/volume',
+      '/live/master/pan',
+      '/live/master/cue',
+      '/live/master/crossfader',
+      '/live/master/devicelist',
+      '/live/tempo',
+      '/live/signature'
+    ]);
+  });
+
+  it('updates state and emits events', function () {
+    var events = [];
+    song.on('tempo', function (param) {
+      events.push(['tempo', param]);
+    });
+    song.on('volume', function (param) {
+      events.push(['volume', param]);
+    });
+    song.on('beat', function (param) {
+      events.push(['beat', param]);
+    });
+    receiver.send('/live/tempo', 128);
+    receiver.send('/live/master/volume', 0.5);
+    receiver.send('/live/beat', 4);
+    assert.equal(song.tempo, 128);
+    assert.equal(song.volume, 0.5);
+    assert.equal(song.beat, 4);
+    assert.deepEqual(events, [
+      ['tempo', {value: 128, prev: 120}],
+      ['volume', {value: 0.5, prev: 0}],
+      ['beat', {value: 4, prev: 0}]
+    ]);
+  });
+
+  it('follows bars, phrases and the time signature', function () {
+    var events = [];
+    ['bar', 'phrase', 'signature'].forEach(function (ev) {
+      song.on(ev, function (param) {
+        events.push([ev, param]);
+      });
+    });
+    receiver.send('/live/beat', 3);
+    receiver.send('/live/beat', 17);
+    assert.equal(song.bar, 5);
+    assert.equal(song.beatInBar, 2);
+    assert.equal(song.phrase, 2);
+    assert.equal(song.formatPosition(17), '5.2.1');
+    receiver.send('/live/signature', 3, 4);
+    assert.equal(song.clock.beatsPerBar, 3);
+    assert.equal(song.bar, 6);
+    assert.equal(song.formatPosition(17), '6.3.1');
+    assert.deepEqual(events, [
+      ['bar', {value: 5, prev: 1}],
+      ['phrase', {value: 2, prev: 1}],
+      ['signature', {
+        value: {numerator: 3, denominator: 4},
+        prev: {numerator: 4, denominator: 4}
+      }],
+      ['bar', {value: 6, prev: 5}]
+    ]);
+  });
+
+  it('creates tracks and returns', function () {
+    var added = [];
+    song.on('track:added', function (param) {
+      added.push(param.id);
+      assert.strictEqual(param.object, song.tracks[param.id]);
+    });
+    receiver.send('/live/tracks', 2);
+    receiver.send('/live/returns', 1);
+    assert.equal(song.tracks.length, 2);
+    assert.equal(song.returns.length, 1);
+    assert.deepEqual(added, [0, 1]);
+    assert.equal(emitter.find('/live/name/track').length, 2);
+  });
+
+  it('keeps existing tracks when refreshed', function () {
+    receiver.send('/live/tracks', 2);
+    var track = song.tracks[0];
+    var removed = [];
+    song.on('track:removed', function (param) {
+      removed.push(param.id);
+    });
+    song.refresh();
+    receiver.send('/live/tracks', 1);
+    assert.strictEqual(song.tracks[0], track);
+    assert.equal(song.tracks.length, 1);
+    assert.deepEqual(removed, [1]);
+  });
+
+  it('reports an inserted track as added at the end', function () {
+    receiver.send('/live/tracks', 1);
+    receiver.send('/live/name/track', 0, 'Drums');
+    var track = song.tracks[0];
+    var events = [];
+    song.on('track:added', function (param) {
+      events.push(['added', param.id]);
+    });
+    track.on('name', function (param) {
+      events.push(['name', param.value]);
+    });
+    song.refresh();
+    receiver.send('/live/tracks', 2);
+    receiver.send('/live/name/track', 0, 'Bass');
+    receiver.send('/live/name/track', 1, 'Drums');
+    assert.strictEqual(song.tracks[0], track);
+    assert.deepEqual(events, [['added', 1], ['name', 'Bass']]);
+    assert.strictEqual(song.get('tracks/Drums'), song.tracks[1]);
+  });
+
+  it('emits scene events when the number of scenes changes', function () {
+    var events = [];
+    song.on('scene:added', function (param) {
+      events.push('added ' + param.id);
+    });
+    song.on('scene:removed', function (param) {
+      events.push('removed ' + param.id);
+    });
+    receiver.send('/live/scenes', 2);
+    receiver.send('/live/scenes', 2);
+    receiver.send('/live/scenes', 1);
+    assert.deepEqual(events, ['added 0', 'added 1', 'removed 1']);
+  });
+
+  it('creates master devices', function () {
+    receiver.send('/live/master/devicelist', 0, 'Limiter');
+    assert.equal(song.devices.length, 1);
+    assert.equal(song.devices[0].name, 'Limiter');
+    assert.equal(song.devices[0].type, 'master');
+  });
+
+  it('emits ready once every request is answered', function (done) {
+    var progress = [];
+    song.on('refresh:progress', function (param) {
+      progress.push(param.answered + '/' + param.total);
+    });
+    song.on('ready', function () {
+      assert.equal(progress[progress.length - 1], '8/8');
+      done();
+    });
+    receiver.send('/live/tracks', 0);
+    receiver.send('/live/returns', 0);
+    receiver.send('/live/master/volume', 1);
+    receiver.send('/live/master/pan', 0);
+    receiver.send('/live/master/devicelist');
+    receiver.send('/live/tempo', 120);
+    receiver.send('/live/signature', 4, 4);
+    setImmediate(function () {
+      receiver.send('/live/scenes', 0);
+    });
+  });
+
+  it('reports requests that were never answered', function (done) {
+    var pending;
+    song.on('refresh:timeout', function (param) {
+      pending = param.pending;
+      assert.deepEqual(pending, [
+        {address: '/live/master/devicelist', ids: []},
+        {address: '/live/signature', ids: []},
+        {address: '/live/scenes', ids: []}
+      ]);
+    });
+    song.on('error', function (err) {
+      assert(err instanceof LiveOSC.errors.TimeoutError);
+      assert.strictEqual(err.pending, pending);
+      done();
+    });
+    receiver.send('/live/tracks', 0);
+    receiver.send('/live/returns', 0);
+    receiver.send('/live/master/volume', 1);
+    receiver.send('/live/master/pan', 0);
+    receiver.send('/live/tempo', 120);
+  });
+
+  it('sends setter messages', function () {
+    emitter.clear();
+    song.setTempo(140);
+    song.setVolume(0.7);
+    song.playScene(2);
+    song.setSignature(6, 8);
+    assert.deepEqual(emitter.sent, [
+      ['/live/tempo', 140],
+      ['/live/master/volume', 0.7],
+      ['/live/scene', 2],
+      ['/live/signature', 6, 8]
+    ]);
+  });
+
+  it('serializes the set to JSON', function () {
+    receiver.send('/live/tracks', 1);
+    receiver.send('/live/scenes', 2);
+    receiver.send('/live/name/scene', 0, 'Intro');
+    receiver.send('/live/name/track', 0, 'Drums');
+    receiver.send('/live/volume', 0, 0.5);
+    receiver.send('/live/clip/info', 0, 1, 1, 8);
+    receiver.send('/live/clip/loopend', 0, 1, 8);
+    receiver.send('/live/devicelist', 0, 0, 'Reverb');
+    receiver.send('/live/device/allparam', 0, 0, 1, 0.5, 'Dry/Wet');
+    receiver.send('/live/device/range', 0, 0, 1, 0, 1);
+    var data = JSON.parse(JSON.stringify(song));
+    assert.equal(data.version, LiveOSC.Song.schemaVersion);
+    assert.deepEqual(data.scenes, [{id: 0, name: 'Intro'}, {id: 1, name: ''}]);
+    assert.equal(data.tracks[0].name, 'Drums');
+    assert.equal(data.tracks[0].volume, 0.5);
+    assert.strictEqual(data.tracks[0].clips[0], null);
+    assert.deepEqual(data.tracks[0].clips[1], {
+      id: 1, name: false, state: 1, length: 8, loopstart: 0, loopend: 8,
+      loopstate: 0, warping: 0, coarse: 0, fine: 0
+    });
+    assert.deepEqual(data.tracks[0].devices, [{
+      id: 0, name: 'Reverb', type: 'track',
+      params: [{id: 1, name: 'Dry/Wet', value: 0.5, min: 0, max: 1}]
+    }]);
+  });
+
+  it('loads a set from JSON for offline inspection', function () {
+    receiver.send('/live/tracks', 1);
+    receiver.send('/live/scenes', 2);
+    receiver.send('/live/clip/info', 0, 1, 1, 8);
+    receiver.send('/live/devicelist', 0, 0, 'Reverb');
+    receiver.send('/live/device/allparam', 0, 0, 1, 0.5, 'Dry/Wet');
+    receiver.send('/live/master/devicelist', 0, 'Limiter');
+    var json = JSON.stringify(song);
+    var loaded = LiveOSC.Song.fromJSON(json);
+    assert(loaded instanceof LiveOSC.Song);
+    assert.strictEqual(loaded.tracks[0].clips[1].track, loaded.tracks[0]);
+    assert.strictEqual(loaded.tracks[0].clips[0].state, 0);
+    assert.equal(loaded.tracks[0].devices[0].findParam('Dry/Wet').value, 0.5);
+    assert.strictEqual(loaded.devices[0].track, loaded.master);
+    assert.strictEqual(loaded.master.devices, loaded.devices);
+    assert.equal(JSON.stringify(loaded), json);
+    assert.equal(loaded.formatPosition(), '1.1.1');
+    assert.equal(loaded.formatPosition(9), '3.2.1');
+    assert.throws(function () {
+      LiveOSC.Song.fromJSON({version: LiveOSC.Song.schemaVersion + 1});
+    });
+  });
+
+  it('round-trips the crossfader state through JSON', function () {
+    receiver.send('/live/tracks', 2);
+    receiver.send('/live/track/crossfader', 0, 0);
+    receiver.send('/live/track/crossfader', 1, 2);
+    receiver.send('/live/master/cue', 0.5);
+    receiver.send('/live/master/crossfader', -1);
+    var data = JSON.parse(JSON.stringify(song));
+    assert.deepEqual(data.tracks.map(function (track) {
+      return track.crossfadeAssign;
+    }), ['A', 'B']);
+    var loaded = LiveOSC.Song.fromJSON(data);
+    assert.equal(loaded.tracks[1].crossfadeAssign, 'B');
+    assert.deepEqual(JSON.parse(JSON.stringify(loaded)), data);
+
+    delete data.cueVolume;
+    delete data.crossfader;
+    delete data.tracks[0].crossfadeAssign;
+    var older = LiveOSC.Song.fromJSON(data);
+    assert.equal(older.cueVolume, 0);
+    assert.equal(older.crossfader, 0);
+    assert.equal(older.tracks[0].crossfadeAssign, 'none');
+  });
+
+  it('resolves queries with the reply', function () {
+    var promise = song.fetchTempo();
+    receiver.send('/live/tempo', 99);
+    return promise.then(function (tempo) {
+      assert.equal(tempo, 99);
+    });
+  });
+
+  it('rejects queries that time out', function () {
+    liveosc.timeout = 10;
+    return song.fetchTempo().then(function () {
+      throw new Error('should have timed out');
+    }, function (err) {
+      assert(err instanceof LiveOSC.errors.TimeoutError);
+      assert(/\/live\/tempo/.test(err.message));
+    });
+  });
+});
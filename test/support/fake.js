@@ -0,0 +1,110 @@
+var util = require('util');
+var _ = require('underscore');
+var EventEmitter = require('events').EventEmitter;
+
+var LiveOSC = require('../../index');
+
+/**
+ * Stands in for OscEmitter, records every message instead of sending it
+ * @constructor
+ */
+var FakeEmitter = function () {
+  this.sent = [];
+};
+
+/**
+ * Record a message, typed arguments are reduced to their values
+ * @param  {String} address OSC address
+ */
+FakeEmitter.prototype.emit = function (address) {
+  var args = Array.prototype.slice.call(arguments, 1).map(function (arg) {
+    if (arg && typeof arg.value != 'undefined') {
+      return arg.value;
+    }
+    return arg;
+  });
+  this.sent.push([address].concat(args));
+};
+
+/**
+ * Messages sent to an address
+ * @param  {String} address OSC address
+ * @return {Array}          ex [['/live/clip/info', 0, 1]]
+ */
+FakeEmitter.prototype.find = function (address) {
+  return _.filter(this.sent, function (msg) {
+    return msg[0] == address;
+  });
+};
+
+/**
+ * Forget all recorded messages
+ */
+FakeEmitter.prototype.clear = function () {
+  this.sent = [];
+};
+
+/**
+ * Stands in for OscReceiver, messages are delivered with send()
+ * @constructor
+ */
+var FakeReceiver = function () {
+  EventEmitter.call(this);
+};
+
+util.inherits(FakeReceiver, EventEmitter);
+
+/**
+ * Deliver a message from Live the way OscReceiver does
+ * @param  {String} address OSC address
+ */
+FakeReceiver.prototype.send = function (address) {
+  var args = Array.prototype.slice.call(arguments, 0);
+  this.emit.apply(this, ['message'].concat(args));
+  this.emit.apply(this, args);
+};
+
+/**
+ * Total number of listeners across all addresses
+ * @return {Number}
+ */
+FakeReceiver.prototype.listenerTotal = function () {
+  var self = this;
+  return _.reduce(this.eventNames(), function (total, name) {
+    return total + self.listenerCount(name);
+  }, 0);
+};
+
+/**
+ * Create a LiveOSC instance wired to a fake emitter and receiver
+ * @param  {Object} opts extra LiveOSC options
+ * @return {Object}      LiveOSC instance
+ */
+exports.create = function (opts) {
+  return new LiveOSC(_.extend({
+    emitter: new FakeEmitter(),
+    receiver: new FakeReceiver(),
+    heartbeatInterval: 0,
+    logger: {sink: function () {}}
+  }, opts));
+};
+
+/**
+ * Total number of handlers registered with the router
+ * @param  {Object} liveosc LiveOSC instance
+ * @return {Number}
+ */
+exports.handlerTotal = function (liveosc) {
+  var total = 0;
+  _.each(liveosc.router.routes, function (byArity) {
+    _.each(byArity, function (routes) {
+      _.each(routes, function (handlers) {
+        total += handlers.length;
+      });
+    });
+  });
+  return total;
+};
+
+exports.FakeEmitter = FakeEmitter;
+exports.FakeReceiver = FakeReceiver;
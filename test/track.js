@@ -0,0 +1,172 @@
+var assert = require('assert');
+
+var fake = require('./support/fake');
+var Track = require('../lib/track');
+
+describe('Track', function () {
+  var liveosc, song, emitter, receiver, track;
+
+  beforeEach(function () {
+    liveosc = fake.create();
+    song = liveosc.song;
+    emitter = liveosc.emitter;
+    receiver = liveosc.receiver;
+    receiver.send('/live/tracks', 2);
+    track = song.tracks[1];
+    emitter.clear();
+  });
+
+  afterEach(function () {
+    return liveosc.close();
+  });
+
+  it('requests info, clips and devices when named', function () {
+    var events = [];
+    track.on('name', function (param) {
+      events.push(param);
+    });
+    receiver.send('/live/name/track', 1, 'Drums');
+    assert.equal(track.name, 'Drums');
+    assert.deepEqual(events, [{value: 'Drums', prev: ''}]);
+    assert.deepEqual(emitter.sent, [
+      ['/live/scenes'],
+      ['/live/track/info', 1],
+      ['/live/track/crossfader', 1],
+      ['/live/devicelist', 1]
+    ]);
+    assert(song.refreshing);
+    assert(!song.outstanding().some(function (request) {
+      return request.address == '/live/track/crossfader';
+    }));
+  });
+
+  it('ignores messages for other tracks', function () {
+    receiver.send('/live/name/track', 0, 'Bass');
+    receiver.send('/live/volume', 0, 0.3);
+    assert.equal(track.name, '');
+    assert.equal(track.volume, 0);
+  });
+
+  it('applies track info', function () {
+    var events = [];
+    song.on('track:volume', function (param) {
+      events.push(param);
+    });
+    receiver.send('/live/track/info', 1, 1, 0, 1, 1, 0.6, -0.5);
+    assert.equal(track.arm, 1);
+    assert.equal(track.solo, 0);
+    assert.equal(track.mute, 1);
+    assert.equal(track.audio, 1);
+    assert.equal(track.volume, 0.6);
+    assert.equal(track.pan, -0.5);
+    assert.deepEqual(events, [{id: 1, value: 0.6, prev: 0}]);
+  });
+
+  it('updates mixer state and emits events', function () {
+    var events = [];
+    track.on('mute', function (param) {
+      events.push(['mute', param]);
+    });
+    track.on('send', function (param) {
+      events.push(['send', param]);
+    });
+    receiver.send('/live/mute', 1, 1);
+    receiver.send('/live/send', 1, 0, 0.25, 1, 0.5);
+    assert.equal(track.mute, 1);
+    assert.deepEqual(track.sends, [0.25, 0.5]);
+    assert.deepEqual(events, [
+      ['mute', {value: 1, prev: 0}],
+      ['send', {num: 0, value: 0.25, prev: undefined}],
+      ['send', {num: 1, value: 0.5, prev: undefined}]
+    ]);
+  });
+
+  it('keeps clips when the scenes are refreshed', function () {
+    receiver.send('/live/scenes', 2);
+    var clip = track.clips[0];
+    receiver.send('/live/scenes', 3);
+    assert.strictEqual(track.clips[0], clip);
+    assert.equal(track.clips.length, 3);
+    receiver.send('/live/scenes', 1);
+    assert.strictEqual(track.clips[0], clip);
+    assert.equal(track.clips.length, 1);
+  });
+
+  it('reconciles devices', function () {
+    receiver.send('/live/devicelist', 1, 0, 'EQ Eight', 1, 'Reverb');
+    var reverb = track.devices[1];
+    var events = [];
+    song.on('device:added', function (param) {
+      events.push('added ' + param.object.name);
+    });
+    song.on('device:removed', function (param) {
+      events.push('removed ' + param.object.name);
+    });
+    receiver.send('/live/devicelist', 1, 0, 'Reverb', 1, 'Compressor');
+    assert.strictEqual(track.devices[0], reverb);
+    assert.equal(reverb.id, 0);
+    assert.equal(track.devices[1].name, 'Compressor');
+    assert.deepEqual(events, ['added Compressor', 'removed EQ Eight']);
+  });
+
+  it('sends setter messages', function () {
+    track.setVolume(0.5);
+    track.setSend(1, 0.2);
+    track.setArm(1);
+    assert.deepEqual(emitter.sent, [
+      ['/live/volume', 1, 0.5],
+      ['/live/send', 1, 1, 0.2],
+      ['/live/arm', 1, 1]
+    ]);
+  });
+
+  it('follows and sets the crossfader assignment', function () {
+    var events = [];
+    song.on('track:crossfadeAssign', function (param) {
+      events.push(param);
+    });
+    receiver.send('/live/track/crossfader', 1, 0);
+    receiver.send('/live/track/crossfader', 1, 2);
+    assert.equal(track.crossfadeAssign, 'B');
+    assert.equal(track.toJSON().crossfadeAssign, 'B');
+    assert.deepEqual(events, [
+      {id: 1, value: 'A', prev: 'none'},
+      {id: 1, value: 'B', prev: 'A'}
+    ]);
+    track.setCrossfadeAssign('none');
+    assert.deepEqual(emitter.sent, [['/live/track/crossfader', 1, 1]]);
+    return track.setCrossfadeAssign('left').then(function () {
+      throw new Error('should have been rejected');
+    }, function (err) {
+      assert(/Unknown crossfade assignment left/.test(err.message));
+    });
+  });
+
+  it('resolves fetchInfo with the track state', function () {
+    var promise = track.fetchInfo();
+    receiver.send('/live/track/info', 0, 0, 0, 0, 0, 0, 0);
+    receiver.send('/live/track/info', 1, 0, 1, 0, 1, 0.8, 0);
+    return promise.then(function (info) {
+      assert.deepEqual(info, {arm: 0, solo: 1, mute: 0, audio: 1, volume: 0.8, pan: 0});
+    });
+  });
+
+  it('removes every receiver listener when destroyed', function () {
+    var before = receiver.listenerTotal();
+    var handlers = fake.handlerTotal(liveosc);
+    var other = new Track(liveosc, 5);
+    other.setNumScenes(2);
+    other.refreshClips();
+    receiver.send('/live/devicelist', 5, 0, 'Reverb');
+    assert.equal(other.clips.length, 2);
+    assert.equal(other.devices.length, 1);
+    var destroyed = false;
+    other.on('destroy', function () {
+      destroyed = true;
+    });
+    other.destroy();
+    assert(destroyed);
+    assert.equal(receiver.listenerTotal(), before);
+    assert.equal(fake.handlerTotal(liveosc), handlers);
+  });
+});